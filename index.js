@@ -12,7 +12,8 @@
 //			- examine the `__pfenabled` effect on logging server
 //		- make sure all open hits end before the profiler/bucket enabled state changes
 //		- there are several flags such as `isRefreshing`; enumerate all flags; if necessary, add code to make sure that no exception or error might leave such flags up forever
-//		- the CPU usage is being calculated based on OS and not node js process CPU stats (older node js versions lack a required api). Desired solution - detect node js version and enable node js process CPU stats when possible.
+//		+ the CPU usage is being calculated based on OS and not node js process CPU stats (older node js versions lack a required api). Desired solution - detect node js version and enable node js process CPU stats when possible.
+//			+ process CPU time and heap usage per hit are collected with the `processStats` runtime configuration field set
 //		- make system stats modular; provide modules for CPU/RAM, disk space, log and archive size, mongodb server info, rabbitmq info.
 //		- allow for formatting override
 //		- force `__pfflush` to wait for any archiving started by the file logger before invoking the callback
@@ -36,6 +37,7 @@ EventEmitter.defaultMaxListeners = 666;
 
 
 const { EVerbosity } = require("./lib/EVerbosity.js");
+const { EFormat } = require("./lib/EFormat.js");
 const { Utility } = require("./lib/Utility.js");
 const { RuntimeConfigurator } = require("./lib/RuntimeConfigurator.js");
 const { RemoteRuntimeConfigurator } = require("./lib/RemoteRuntimeConfigurator.js");
@@ -43,16 +45,67 @@ const { ConsoleLogger } = require("./lib/ConsoleLogger.js");
 const { FileLogger } = require("./lib/FileLogger.js");
 const { DataCollector } = require("./lib/DataCollector.js");
 const { DataCollectorHttpProxy } = require("./lib/DataCollectorHttpProxy.js"); 
+const { DataCollectorWorkerProxy } = require("./lib/DataCollectorWorkerProxy.js");
+const { DataCollectorIpcProxy } = require("./lib/DataCollectorIpcProxy.js");
 const { MachineStats } = require("./lib/MachineStats.js");
 const { Profiler } = require("./lib/Profiler.js");
+const { HttpMiddleware } = require("./lib/HttpMiddleware.js");
+const { OutboundInstrumentation } = require("./lib/OutboundInstrumentation.js");
+const { ProfilerNamespace } = require("./lib/ProfilerNamespace.js");
 const { DataCollectorServer } = require("./lib/DataCollectorServer.js");
+const { DataCollectorIpcServer } = require("./lib/DataCollectorIpcServer.js");
 const { Debouncer } = require("./lib/Debouncer.js");
 
 //#region Interface
 const _onInfo = (source, message) => console.log("[raw-profiler]", `[${source}]`, message);
 const _onError = (source, ncode, message, ex) => console.error("[raw-profiler]", `[${source}]`, ncode, message, ex);
 const _onConfigurationChanged = (target, key, value, oldValue, source, ctimes) => console.log("[raw-profiler]", `[${target}]`, `Runtime configuration field "${key}" changed via ${source} from ${JSON.stringify(oldValue)} to ${JSON.stringify(value)}.`);
-const _onConfigurationRefreshFinished = (hasChanged) => hasChanged && console.log("[raw-profiler] =================================\n" + "[raw-profiler] Effective config\n[raw-profiler] =================================\n" + (defaultServer ? defaultServer.printConfigurationLines() : __pf.instance.printConfigurationLines()));
+const _onConfigurationRefreshFinished = (hasChanged) => hasChanged && console.log("[raw-profiler] =================================\n" + "[raw-profiler] Effective config\n[raw-profiler] =================================\n" + (defaultServer ? defaultServer.printConfigurationLines() : defaultIpcServer ? defaultIpcServer.printConfigurationLines() : __pf.instance.printConfigurationLines()));
+
+//	creates a `FileLogger`-backed `DataCollector` instance for a data collector server source (see `__pf.createDataCollectorServer`, `__pf.createDataCollectorIpcServer`)
+const _createSourceDataCollector = (par, sourceKey, config) =>
+{
+	const fileLogger = new FileLogger(
+	{
+		runtimeConfigurator,
+		runtimeInitial:
+		{
+			verbosity: config?.["logger.verbosity"] || par.fileLogger?.verbosity || EVerbosity.Full,
+			format: config?.["logger.format"] || par.fileLogger?.format || EFormat.Text,
+			logPath: config?.["logger.logPath"] || par.fileLogger?.logPath || "__pflogs",
+			archivePath: config?.["logger.archivePath"] || par.fileLogger?.archivePath || "__pfarchive",
+			maxLogSizeBytes: !isNaN(config?.["logger.maxLogSizeBytes"]) ? config?.["logger.maxLogSizeBytes"] :
+				(par.fileLogger && !isNaN(par.fileLogger.maxLogSizeBytes)) ? par.fileLogger.maxLogSizeBytes : 200 * 1024 * 1024, //  200MB
+			maxArchiveSizeBytes: !isNaN(config?.["logger.maxArchiveSizeBytes"]) ? config?.["logger.maxArchiveSizeBytes"] :
+				(par.fileLogger && !isNaN(par.fileLogger.maxArchiveSizeBytes)) ? par.fileLogger.maxArchiveSizeBytes : 1024 * 1024 * 1024,	//  1GB
+			logRequestArchivingModulo: !isNaN(config?.["logger.logRequestArchivingModulo"]) ? config?.["logger.logRequestArchivingModulo"] :
+				(par.fileLogger && !isNaN(par.fileLogger.logRequestArchivingModulo)) ? par.fileLogger.logRequestArchivingModulo : 100,
+		},
+		sourceKey,
+	});
+	fileLogger.on("info", (...args) => _onInfo(`file-logger:${sourceKey}`, ...args));
+	fileLogger.on("error", (...args) => _onError(`file-logger:${sourceKey}`, ...args));
+	fileLogger.on("configurationChanged", (...args) => _onConfigurationChanged(`file-logger:${sourceKey}`, ...args));
+
+	const arg =
+	{
+		runtimeConfigurator,
+		runtimeInitial:
+		{
+			sortColumn: config?.["sortColumn"] || par.dataCollector?.sortColumn || "maxMs",
+		},
+		logger: fileLogger,
+		flushDelayMs: (par.dataCollector && !isNaN(par.dataCollector.flushDelayMs)) ? 
+		par.dataCollector.flushDelayMs : 0,
+	};
+	if (config) for (const key in config) (key.indexOf("bucket.") === 0) && (arg.runtimeInitial[key] = config[key]);
+	const result = new DataCollector(arg);
+	result.on("info", (...args) => _onInfo(`data-collector:${sourceKey}`, ...args));
+	result.on("error", (...args) => _onError(`data-collector:${sourceKey}`, ...args));
+	result.on("configurationChanged", (...args) => _onConfigurationChanged(`data-collector:${sourceKey}`, ...args));
+
+	return result;
+};
 
 //	The `runtimeConfigurator` instance is a shared between all configuration targets.
 let runtimeConfigurator = new RuntimeConfigurator(
@@ -69,6 +122,9 @@ let defaultFileLogger = null;
 let defaultDataCollector = null;
 let defaultProfiler = null;
 let defaultServer = null;
+let defaultIpcServer = null;
+let outboundInstrumentation = null;
+const profilerNamespaces = {};
 
 //	Object: Publishes more profiling and configuration facilities beyond the `__pf*` function family.
 const __pf =
@@ -78,6 +134,8 @@ const __pf =
 	{
 		if (defaultProfiler) return defaultProfiler;
 		defaultProfiler = new Profiler(this.DefaultDataCollector);
+		defaultProfiler.on("warning", (...args) => _onInfo("profiler", ...args));
+		defaultProfiler.on("error", (...args) => _onError("profiler", ...args));
 		return defaultProfiler;
 	},
 
@@ -157,6 +215,7 @@ const __pf =
 	//		fileLogger:		//	optional
 	//		{
 	//			verbosity: EVerbosity,				//	optional, defaults to `EVerbosity.Full`
+	//			format: EFormat,					//	optional, defaults to `EFormat.Text` (`"text"`); `EFormat.Ndjson` (`"ndjson"`) writes a single JSON line per profiling hit into `.ndjson` files
 	//			logPath: string,					//	optional, defaults to `"__pflogs"`
 	//			archivePath: string,				//	optional, defaults to `"__pfarchive"`
 	//			maxLogSizeBytes: uint,				//	optional, defaults to `200 * 1024 * 1024` (200MB); use `0` to disable log archiving
@@ -182,48 +241,7 @@ const __pf =
 			runtimeConfigurator,
 			host: par.host || "0.0.0.0",
 			port: par.port || 9666,
-			createDataCollector(sourceKey, config)
-			{
-				const fileLogger = new FileLogger(
-				{
-					runtimeConfigurator,
-					runtimeInitial:
-					{
-						verbosity: config?.["logger.verbosity"] || par.fileLogger?.verbosity || EVerbosity.Full,
-						logPath: config?.["logger.logPath"] || par.fileLogger?.logPath || "__pflogs",
-						archivePath: config?.["logger.archivePath"] || par.fileLogger?.archivePath || "__pfarchive",
-						maxLogSizeBytes: !isNaN(config?.["logger.maxLogSizeBytes"]) ? config?.["logger.maxLogSizeBytes"] :
-							(par.fileLogger && !isNaN(par.fileLogger.maxLogSizeBytes)) ? par.fileLogger.maxLogSizeBytes : 200 * 1024 * 1024, //  200MB
-						maxArchiveSizeBytes: !isNaN(config?.["logger.maxArchiveSizeBytes"]) ? config?.["logger.maxArchiveSizeBytes"] :
-							(par.fileLogger && !isNaN(par.fileLogger.maxArchiveSizeBytes)) ? par.fileLogger.maxArchiveSizeBytes : 1024 * 1024 * 1024,	//  1GB
-						logRequestArchivingModulo: !isNaN(config?.["logger.logRequestArchivingModulo"]) ? config?.["logger.logRequestArchivingModulo"] :
-							(par.fileLogger && !isNaN(par.fileLogger.logRequestArchivingModulo)) ? par.fileLogger.logRequestArchivingModulo : 100,
-					},
-					sourceKey,
-				});
-				fileLogger.on("info", (...args) => _onInfo(`file-logger:${sourceKey}`, ...args));
-				fileLogger.on("error", (...args) => _onError(`file-logger:${sourceKey}`, ...args));
-				fileLogger.on("configurationChanged", (...args) => _onConfigurationChanged(`file-logger:${sourceKey}`, ...args));
-
-				const arg =
-				{
-					runtimeConfigurator,
-					runtimeInitial:
-					{
-						sortColumn: config?.["sortColumn"] || par.dataCollector?.sortColumn || "maxMs",
-					},
-					logger: fileLogger,
-					flushDelayMs: (par.dataCollector && !isNaN(par.dataCollector.flushDelayMs)) ? 
-					par.dataCollector.flushDelayMs : 0,
-				};
-				if (config) for (const key in config) (key.indexOf("bucket.") === 0) && (arg.runtimeInitial[key] = config[key]);
-				const result = new DataCollector(arg);
-				result.on("info", (...args) => _onInfo(`data-collector:${sourceKey}`, ...args));
-				result.on("error", (...args) => _onError(`data-collector:${sourceKey}`, ...args));
-				result.on("configurationChanged", (...args) => _onConfigurationChanged(`data-collector:${sourceKey}`, ...args));
-
-				return result;
-			},
+			createDataCollector: (sourceKey, config) => _createSourceDataCollector(par, sourceKey, config),
 		});
 		result.on("info", (...args) => _onInfo("data-collector-server", ...args));
 		result.on("error", (...args) => _onError("data-collector-server", ...args));
@@ -234,6 +252,141 @@ const __pf =
 		return result;
 	},
 
+	//	Function: `createDataCollectorIpcServer(par: void | object)` - creates and configures a new `DataCollectorIpcServer` instance; call on the cluster primary process.
+	//	Parameter:
+	//	```
+	//	par:				//	optional
+	//	{
+	//		combined: boolean,	//	optional, defaults to `true`; whether to log the data of all workers also under the `"cluster"` source key.
+	//		fileLogger: ...,	//	optional; same as with `createDataCollectorServer`
+	//		dataCollector: ...,	//	optional; same as with `createDataCollectorServer`
+	//	}
+	//	```
+	//	Returns: the newly created and configured `DataCollectorIpcServer` instance; call `run()` to start receiving data from the workers.
+	//	Usage:
+	//	```
+	//		if (cluster.isPrimary)
+	//		{
+	//			__pf.createDataCollectorIpcServer().run();
+	//			for (let i = 0; i < os.cpus().length; ++i) cluster.fork();
+	//		}
+	//		else
+	//		{
+	//			__pfconfig({ dataCollector: { type: "DataCollectorIpcProxy" } });
+	//		}
+	//	```
+	createDataCollectorIpcServer: function (par)
+	{
+		if (defaultIpcServer) throw new Error(`Only one IPC server instance is supported.`);
+
+		par = par || {};
+
+		const result = new DataCollectorIpcServer(
+		{
+			runtimeConfigurator,
+			combined: par.combined,
+			createDataCollector: (sourceKey, config) => _createSourceDataCollector(par, sourceKey, config),
+		});
+		result.on("info", (...args) => _onInfo("data-collector-ipc-server", ...args));
+		result.on("error", (...args) => _onError("data-collector-ipc-server", ...args));
+
+		defaultIpcServer = result;
+
+		return result;
+	},
+
+	//	Function: `namespace(name: string): ProfilerNamespace` - returns a facade of the profiler that scopes all profiling buckets under the namespace `name`; see `ProfilerNamespace` for details.
+	//	Parameter: `name: string` - required; the namespace name, usually the name of the npm package that profiles itself; may not contain `"."`, `"/"` or `"\"`.
+	//	Returns: the `ProfilerNamespace` instance for `name`; repeated calls with the same `name` return the same instance.
+	//	Usage:
+	//	```
+	//		const pf = __pf.namespace("mylib");
+	//		let hit = pf.begin("CRUD", "READ users");		//	bucket "mylib/CRUD", configured under "namespaces.mylib.buckets.CRUD" in `__pfconfig`
+	//		hit = pf.end(hit);
+	//	```
+	//	Remarks: All namespaces share the single `Profiler` instance and its data collector; disable a namespace as a unit by setting `"namespaces": { "<name>": { "enabled": false } }` in `__pfconfig`.
+	namespace: function (name)
+	{
+		if (profilerNamespaces[name]) return profilerNamespaces[name];
+		return profilerNamespaces[name] = new ProfilerNamespace(this.instance, name);
+	},
+
+	//	Function: `instrument(target: function | object, par: { bucketKey: string, methods: [string], keyFn(methodName, args, typeName): string }): [string]` - replaces methods of a class
+	//		or an object with wrappers that profile every call as a `__pfbegin`/`__pfend` pair; see `Profiler.instrument` for details.
+	//	Usage:
+	//	```
+	//		__pf.instrument(UserRepository, { bucketKey: "CRUD" });	//	profiles every call of every method of every UserRepository instance under keys like "UserRepository.findById"
+	//	```
+	instrument: function (target, par)
+	{
+		return this.instance.instrument(target, par);
+	},
+
+	//	Function: `uninstrument(target: function | object): [string]` - restores the original methods of a class or an object instrumented via `__pf.instrument`.
+	uninstrument: function (target)
+	{
+		return this.instance.uninstrument(target);
+	},
+
+	//	Function: `instrumentOutbound(par: { bucketKey: string, keyFn(method, host, path): string }): OutboundInstrumentation` - starts profiling outgoing HTTP requests made via
+	//		the node `http`/`https` client and via `fetch`/undici; see `OutboundInstrumentation` for details.
+	//	Returns: the `OutboundInstrumentation` instance in use.
+	//	Usage:
+	//	```
+	//		__pf.instrumentOutbound();							//	keys like "GET api.example.com/users/:n" in the "OUTBOUND" bucket
+	//	```
+	//	Remarks: Replaces the outbound instrumentation set up by a previous call.
+	instrumentOutbound: function (par)
+	{
+		outboundInstrumentation?.disable();
+		outboundInstrumentation = new OutboundInstrumentation(this.instance, par);
+		outboundInstrumentation.enable();
+		return outboundInstrumentation;
+	},
+
+	//	Function: `uninstrumentOutbound(): void` - stops profiling outgoing HTTP requests started via `__pf.instrumentOutbound`.
+	uninstrumentOutbound: function ()
+	{
+		outboundInstrumentation?.disable();
+		outboundInstrumentation = null;
+	},
+
+	//	Function: `attachWorker(worker: Worker | MessagePort): function(): void` - feeds the profiling data of a `worker_threads` worker that uses `DataCollectorWorkerProxy` to the data collector
+	//		of this thread and sends the runtime configuration of this thread to the worker; see `DataCollectorWorkerProxy.attach` for details.
+	//	Returns: a function that disconnects the worker; the worker is disconnected automatically when it exits.
+	//	Usage:
+	//	```
+	//		//	main thread
+	//		const worker = new Worker("./worker.js");
+	//		__pf.attachWorker(worker);
+	//
+	//		//	worker.js
+	//		require("raw-profiler").global();
+	//		__pfconfig({ dataCollector: { type: "DataCollectorWorkerProxy" } });
+	//	```
+	//	Remarks: Call after `__pfconfig`, the worker is served by the runtime configuration in use at the time of the call.
+	attachWorker: function (worker)
+	{
+		return DataCollectorWorkerProxy.attach(worker, { profiler: this.instance, runtimeConfigurator });
+	},
+
+	//	Object: A collection of factories for middleware that profiles common application entry points.
+	middleware:
+	{
+		//	Function: `http(par: { bucketKey: string, keyFn(req, res): string }): function(req, res, next): void` - creates a middleware that profiles every HTTP request; see `HttpMiddleware.create` for details.
+		//	Usage:
+		//	```
+		//		app.use(__pf.middleware.http({ bucketKey: "REST" }));		//	Express/Connect; keys like "GET /users/:id"
+		//
+		//		const profileRequest = __pf.middleware.http();
+		//		http.createServer((req, res) => profileRequest(req, res, () => { ... }));	//	plain http handler; keys like "GET /users/42"
+		//	```
+		http: function (par)
+		{
+			return HttpMiddleware.create(__pf.instance, par);
+		},
+	},
+
 	//	Object: A collection of utility functions to aid the building of profiling hit point keys.
 	utility:
 	{
@@ -307,6 +460,8 @@ const __pf =
 //			useRemoteConfig: boolean,						//	optional, defaults to false; only has meaning with DataCollectorHttpProxy; if set to `true` will cause the runtime configuration to be acquired remotely from the data collector server, and the local `__pfenable` and `__pfconfig` files will be ignored, as well as the following configuration properties below: `commandFilePath`, `configurationFilePath`, `refreshSilenceTimeoutMs`; `initialEnabled` will determine whether the proxy will be processing feeds before the remote configuration has been acquired.
 //			remoteConfigRequestTimeoutMs: uint,				//	optional, defaults to 5000; only applicable with useRemoteConfig.
 //			repeatOnRemoteConfigFailureIntervalMs: uint,	//	optional, defaults to 60000; only applicable with useRemoteConfig.
+//			//	with a "DataCollectorWorkerProxy" data collector, the runtime configuration is always acquired from the main thread (see `__pf.attachWorker`) and the properties above and below are ignored.
+//			//	with a "DataCollectorIpcProxy" data collector, the runtime configuration is always acquired from the cluster primary process (see `__pf.createDataCollectorIpcServer`) and the properties above and below are ignored.
 //
 //			initialEnabled: boolean,			//	optional, defaults to true; provides an initial value for the profiler enabled state before the command file has been queried for the first time.
 //			commandFilePath: string,			//	optional, defaults to "__pfenable"; the path to the runtime command file for raw-profiler, e.g. /home/user/__pfenable; the existance of the command file determines the enabled state of the raw-profiler; if there is no such file, the raw-profiler functionality is completely disabled except for testing for the command file existence.
@@ -316,13 +471,18 @@ const __pf =
 //			create(className, config): object,	//	optional; if set will be called whenever a non-standard data collector or logger need to be created (see par.dataCollector.type and par.dataCollector.logger.type).
 //			dataCollector:						//	optional, if not set __pf.DefaultDataCollector is used; configuration for a new data collector instance; if the provided value has no type propery, this value is assumed to be a data collector instance.
 //			{
-//				type: string,					//	optional, defaults to "DataCollector"; the class name to instanciate a new data collector from; can be "DataCollector", "DataCollectorHttpProxy" or a custom data collector; if a custom name is provided, a `par.create` callback must be provided as well that knows how to create a data collector instance based on this name.
+//				type: string,					//	optional, defaults to "DataCollector"; the class name to instanciate a new data collector from; can be "DataCollector", "DataCollectorHttpProxy", "DataCollectorWorkerProxy", "DataCollectorIpcProxy" or a custom data collector; if a custom name is provided, a `par.create` callback must be provided as well that knows how to create a data collector instance based on this name.
 //				config:							//	optional
 //				{
 //					//	with DataCollector
 //					runtimeInitial:				//	optional; DataCollector uses the values specified as properties to this object as initial configuration.
 //					{
 //						sortColumn: string,		//	optional, defaults to "maxMs"
+//						overdueMs: uint,		//	optional, defaults to 0 (disabled); the default threshold in milliseconds after which an open profiling hit is reported as overdue.
+//						maxKeysPerBucket: uint,	//	optional, defaults to 0 (no limit); the default maximum number of distinct profiling keys tracked per bucket.
+//						keyOverflowPolicy: string,	//	optional, defaults to "other"; the default handling of new profiling keys in buckets that have reached their key limit, "other" or "evict".
+//						keyNormalizers: array,	//	optional; the default profiling key normalization rules, e.g. `["uuid", "objectid", "number"]`; see `KeyNormalizer`.
+//						processStats: boolean,	//	optional, defaults to false; whether process CPU time and heap usage are collected per profiling hit.
 //						"buckets.*": ...		//	optional; a mechanism to specify initial/default values foir the buckets runtime configuration that is loaded later from `__pfconfig`.
 //					},
 //					logger:						//	optional, if not set __pf.DefaultConsoleLogger is used; configuration for a logger instance; if the provided value has no type propery, this value is assumed to be a logger instance.
@@ -334,12 +494,14 @@ const __pf =
 //							runtimeInitial:							//	optional; ConsoleLogger uses the values specified as properties to this object as initial configuration.
 //							{
 //								verbosity: string,					//	optional; ConsoleLogger uses the values specified as properties to this object as initial configuration.
+//								format: string,						//	optional, defaults to `EFormat.Text` (`"text"`); `EFormat.Ndjson` (`"ndjson"`) prints a single JSON line per profiling hit
 //							},
 //
 //							//	with FileLogger
 //							runtimeInitial:							//	optional; FileLogger uses the values specified as properties to this object as initial configuration.
 //							{
 //								verbosity: EVerbosity,				//	optional, defaults to `EVerbosity.Full`
+//								format: EFormat,					//	optional, defaults to `EFormat.Text` (`"text"`); `EFormat.Ndjson` (`"ndjson"`) writes a single JSON line per profiling hit into `.ndjson` files
 //								logPath: string,					//	optional, defaults to `"__pflogs"`
 //								archivePath: string,				//	optional, defaults to `"__pfarchive"`
 //								maxLogSizeBytes: uint,				//	optional, defaults to `0` (disabled); use `0` to disable log archiving
@@ -358,8 +520,27 @@ const __pf =
 //						sourceKey: string,				//	required; this key is used by the remote logging server as part of the log file paths allowing for multiple application servers to feed data to a single logging server until overwritten by the runtime configuration.
 //						requestTimeoutMs: uint,			//	required; specifies a timeout for HTTP requests before abortion until overwritten by the runtime configuration.
 //						failureTimeoutMs: uint,			//	required; specifies the time between reporting repeated HTTP request failures until overwritten by the runtime configuration.
+//						overdueMs: uint,				//	optional, defaults to 0 (disabled); the default threshold in milliseconds after which an open profiling hit is reported as overdue.
+//						maxKeysPerBucket: uint,			//	optional, defaults to 0 (no limit); the default maximum number of distinct profiling keys tracked per bucket.
+//						keyOverflowPolicy: string,		//	optional, defaults to "other"; the default handling of new profiling keys in buckets that have reached their key limit, "other" or "evict".
+//						keyNormalizers: array,			//	optional; the default profiling key normalization rules, e.g. `["uuid", "objectid", "number"]`; see `KeyNormalizer`.
+//						processStats: boolean,			//	optional, defaults to false; whether process CPU time and heap usage are collected per profiling hit.
 //						"buckets.*": ...				//	optional; a mechanism to specify initial/default values foir the buckets runtime configuration that is loaded later from `__pfconfig`.
 //					},
+//
+//					//	with DataCollectorWorkerProxy (inside a worker thread)
+//					runtimeInitial:						//	optional; DataCollectorWorkerProxy uses the values specified as properties to this object as initial configuration until the runtime configuration is received from the main thread.
+//					{
+//						overdueMs: uint,				//	optional, defaults to 0 (disabled)
+//						maxKeysPerBucket: uint,			//	optional, defaults to 0 (no limit)
+//						keyOverflowPolicy: string,		//	optional, defaults to "other"
+//						keyNormalizers: array,			//	optional
+//						processStats: boolean,			//	optional, defaults to false
+//						"buckets.*": ...				//	optional
+//					},
+//
+//					//	with DataCollectorIpcProxy (inside a cluster worker process)
+//					runtimeInitial: ...					//	optional; same as with DataCollectorWorkerProxy, used until the runtime configuration is received from the cluster primary process.
 //				},
 //			},
 //		}
@@ -378,12 +559,14 @@ const __pf =
 //					runtimeInitial:							//	optional; ConsoleLogger uses the values specified as properties to this object as initial configuration.
 //					{
 //						verbosity: string,					//	optional; ConsoleLogger uses the values specified as properties to this object as initial configuration.
+//						format: string,						//	optional, defaults to `EFormat.Text` (`"text"`); `EFormat.Ndjson` (`"ndjson"`) prints a single JSON line per profiling hit
 //					},
 //
 //					//	with FileLogger
 //					runtimeInitial:							//	optional; FileLogger uses the values specified as properties to this object as initial configuration.
 //					{
 //						verbosity: EVerbosity,				//	optional, defaults to `EVerbosity.Full`
+//						format: EFormat,					//	optional, defaults to `EFormat.Text` (`"text"`); `EFormat.Ndjson` (`"ndjson"`) writes a single JSON line per profiling hit into `.ndjson` files
 //						logPath: string,					//	optional, defaults to `"__pflogs"`
 //						archivePath: string,				//	optional, defaults to `"__pfarchive"`
 //						maxLogSizeBytes: uint,				//	optional, defaults to `0` (disabled); use `0` to disable log archiving
@@ -400,7 +583,7 @@ function __pfconfig(par)
 	try
 	{
 		//	runtimeConfigurator
-		if (par.useRemoteConfig)
+		if (par.useRemoteConfig || par.dataCollector?.type === "DataCollectorWorkerProxy" || par.dataCollector?.type === "DataCollectorIpcProxy")
 		{
 			runtimeConfigurator.removeAllListeners();
 			runtimeConfigurator = new RemoteRuntimeConfigurator(
@@ -433,12 +616,21 @@ function __pfconfig(par)
 		{
 			runtimeConfigurator,
 		};
+		const default_dataCollectorWorkerProxy_config =
+		{
+			runtimeConfigurator,
+		};
+		const default_dataCollectorIpcProxy_config =
+		{
+			runtimeConfigurator,
+		};
 		const default_consoleLogger_config =
 		{
 			runtimeConfigurator,
 			runtimeInitial:
 			{
 				verbosity: EVerbosity.Full,
+				format: EFormat.Text,
 			},
 		};
 		const default_fileLogger_config =
@@ -447,6 +639,7 @@ function __pfconfig(par)
 			runtimeInitial:
 			{
 				verbosity: EVerbosity.Full,
+				format: EFormat.Text,
 				logPath: "__pflogs",
 				archivePath: "__pfarchive",
 				maxLogSizeBytes: 0,
@@ -511,6 +704,12 @@ function __pfconfig(par)
 					break;
 				case "DataCollectorHttpProxy":
 					dataCollector = new DataCollectorHttpProxy(__blend(default_dataCollectorHttpProxy_config, par.dataCollector.config));
+					break;
+				case "DataCollectorWorkerProxy":
+					dataCollector = new DataCollectorWorkerProxy(__blend(default_dataCollectorWorkerProxy_config, par.dataCollector.config || {}));
+					break;
+				case "DataCollectorIpcProxy":
+					dataCollector = new DataCollectorIpcProxy(__blend(default_dataCollectorIpcProxy_config, par.dataCollector.config || {}));
 					break;
 				default:
 					if (!par.create) throw new Error(`A "par.create" callback is required to instanciate a profiler data collector of type ${JSON.stringify(par.dataCollector.type)}.`);
@@ -597,26 +796,30 @@ function __pfenabled(bucketKey)
 	return __pf.instance.isEnabled(bucketKey);
 }
 
-//	Function: `__pfbegin(bucketKey: string, key: string, text: string): object` - creates, registers and returns a new profiling hit.
+//	Function: `__pfbegin(bucketKey: string, key: string, text: string, options: object): object` - creates, registers and returns a new profiling hit.
 //	Parameter: `bucketKey: string` - a key for grouping and configuration management of profiling data at log-file level; a single profiling bucket usually corresponds to a single
 //		profiling hit point in the code, for Ex. `"CRUD"`, `"REST"`, `"RPC"`, `"VerySpecificSuspiciousLoop"`.
 //	Parameter: `key: string` - a key for grouping of profiling data at statistics level within a bucket; multiple profiling hits (i.e. `__pfbegin`/`__pfend` pairs) for the same
 //		`(bucketKey, key)` pair are aggregated and analysed statistically and produce stats such as minimum, average, maximum and total execution time.
-//	Parameter: `text: string` - a text used as a title for profiling stats tables with `EVerbosity.Brief` and `EVerbosity.Full` and as a logging line with `EVerbosity.Log`;
-//		the `__pfend` call can append a postfix text to this text.
+//	Parameter: `text: string` - optional, defaults to `""`; a text used as a title for profiling stats tables with `EVerbosity.Brief` and `EVerbosity.Full` and as a logging line
+//		with `EVerbosity.Log`; the `__pfend` call can append a postfix text to this text.
+//	Parameter: `options: { tags: object, parent: object }` - optional; `options.tags` is a small set of dimensions of the hit, e.g. `{ tenant, region, cacheHit }`; the stats of the profiling key
+//		are broken down per value of the tags listed in the `buckets.<bucketKey>.groupBy` runtime configuration field; `options.parent` is the enclosing hit of the new hit (see `Profiler.begin`).
 //	Returns: An object representing current state required for the measurements for hit profiling as returned by `ProfilerTarget.hit(title, hitCount, openHitsCount)`;
-//		see `ProfilerTarget.hit(title, hitCount, openHitsCount)` docs for details.
+//		see `ProfilerTarget.hit(title, hitCount, openHitsCount)` docs for details; `null` if profiling is disabled or the call has not been sampled for profiling.
 //	Remarks: 
 //		This function never throws an exception.
 //		Always use `Utility.stripStringify` before logging objects via `text` to ensure that no sensitive data such as unencrypted passwords will appear in the logs.
-function __pfbegin(bucketKey, key, text)
+//		With the `buckets.<bucketKey>.sampleRate` or `buckets.<bucketKey>.sampleEvery` runtime configuration fields set, unsampled calls are only counted and return `null`.
+function __pfbegin(bucketKey, key, text, options)
 {
-	return __pf.instance.begin(bucketKey, key, text);
+	return __pf.instance.begin(bucketKey, key, text, options);
 }
 
-//	Function: `__pfend(hit: object, postfix: string): null` - calculates profiling data and finalizes a profiling `hit`; initiates the logging of the collected data.
+//	Function: `__pfend(hit: object, postfix: string, err: any): null` - calculates profiling data and finalizes a profiling `hit`; initiates the logging of the collected data.
 //	Parameter: `hit: object` - required; the result of the corresponding `__pfbegin` call.
 //	Parameter: `postfix: string` - optional; appended to the `text` from the corresponding `__pfbegin` call.
+//	Parameter: `err: any` - optional; if set to a value other than `void 0` or `null`, the hit is counted as failed (see `__pffail`).
 //	Returns: Always returns `null`. Recommended as a shortcut for releasing the current profiler hit's state, e.g.:
 //	```
 //	    let hit = __pfbegin("bucketKey1", "key1" [, "text"]);
@@ -626,9 +829,36 @@ function __pfbegin(bucketKey, key, text)
 //	Remarks: 
 //		This function never throws an exception.
 //		Always use `Utility.stripStringify` before logging objects via `postfix` to ensure that no sensitive data such as unencrypted passwords will appear in the logs.
-function __pfend(hit, postfix)
+function __pfend(hit, postfix, err)
+{
+	return __pf.instance.end(hit, postfix, err);
+}
+
+//	Function: `__pffail(hit: object, err: any, postfix: string): null` - finalizes a failed profiling `hit`; initiates the logging of the collected data.
+//	Parameter: `hit: object` - required; the result of the corresponding `__pfbegin` call.
+//	Parameter: `err: any` - optional, defaults to `"failed"`; the error that caused the failure; `"; error=" + String(err)` is appended to the `text` from the corresponding `__pfbegin` call.
+//	Parameter: `postfix: string` - optional; appended to the `text` from the corresponding `__pfbegin` call before the error text.
+//	Returns: Always returns `null`. Recommended as a shortcut for releasing the current profiler hit's state, e.g.:
+//	```
+//	    let hit = __pfbegin("bucketKey1", "key1" [, "text"]);
+//		try
+//		{
+//			//	... code to profile
+//			hit = __pfend(hit);
+//		}
+//		catch (ex)
+//		{
+//			hit = __pffail(hit, ex);
+//			throw ex;
+//		}
+//	```
+//	Remarks: 
+//		This function never throws an exception.
+//		Failed hits are counted per profiling key towards the `err`, `err%` and `erravgms` stats columns instead of `okavgms`; the last error text is printed below the stats table.
+//		Always use `Utility.stripStringify` before logging objects via `postfix` to ensure that no sensitive data such as unencrypted passwords will appear in the logs.
+function __pffail(hit, err, postfix)
 {
-	return __pf.instance.end(hit, postfix);
+	return __pf.instance.fail(hit, err, postfix);
 }
 
 //	Function: `__pfdiscard(hit: object): null` - remove the `hit` from the ON-time stats.
@@ -646,6 +876,91 @@ function __pfdiscard(hit)
 	return __pf.instance.discard(hit);
 }
 
+//	Function: `__pfwrap(bucketKey: string, key: string, fn(): any, text: string): any` - invokes the synchronous function `fn` within a profiling hit and returns its result.
+//	Parameter: `bucketKey: string` - see `__pfbegin`.
+//	Parameter: `key: string` - see `__pfbegin`.
+//	Parameter: `fn(): any` - required; a synchronous function to invoke and profile.
+//	Parameter: `text: string` - optional; see `__pfbegin`.
+//	Returns: the return value of `fn`.
+//	Usage:
+//	```
+//		const user = __pfwrap("CRUD", "READ user [_id]", () => readUserSync(id));
+//	```
+//	Remarks:
+//		Replaces the `__pfbegin`/`try`/`catch`/`__pfend` template; the hit is always ended, also on early returns.
+//		If `fn` throws, the hit is counted as failed (see `__pffail`) and the exception is rethrown unchanged.
+//		When profiling is disabled, `fn` is invoked directly at the cost of a single `__pfenabled` check.
+function __pfwrap(bucketKey, key, fn, text)
+{
+	return __pf.instance.wrap(bucketKey, key, fn, text);
+}
+
+//	Function: `__pfasync(bucketKey: string, key: string, asyncFn(): Promise, text: string): Promise` - invokes `asyncFn` within a profiling hit that ends when the returned promise settles.
+//	Parameter: `bucketKey: string` - see `__pfbegin`.
+//	Parameter: `key: string` - see `__pfbegin`.
+//	Parameter: `asyncFn(): Promise` - required; an async function or a function returning a promise to invoke and profile.
+//	Parameter: `text: string` - optional; see `__pfbegin`.
+//	Returns: a promise resolving to the result of `asyncFn`.
+//	Usage:
+//	```
+//		const user = await __pfasync("CRUD", "READ user [_id]", () => db.collection("users").findOne({ _id }));
+//	```
+//	Remarks:
+//		If `asyncFn` throws or its promise rejects, the hit is counted as failed (see `__pffail`) and the returned promise rejects with the same reason.
+//		When profiling is disabled, `asyncFn` is invoked directly at the cost of a single `__pfenabled` check.
+function __pfasync(bucketKey, key, asyncFn, text)
+{
+	return __pf.instance.wrapAsync(bucketKey, key, asyncFn, text);
+}
+
+//	Function: `__pfcount(bucketKey: string, key: string, n: number): void` - adds `n` to a counter custom metric.
+//	Parameter: `bucketKey: string` - see `__pfbegin`.
+//	Parameter: `key: string` - a key for grouping of metric records at statistics level within a bucket; metric keys don't collide with profiling keys of the same name.
+//	Parameter: `n: number` - optional, defaults to `1`; the increment.
+//	Usage:
+//	```
+//		__pfcount("CACHE", cached ? "hit" : "miss");
+//	```
+//	Remarks:
+//		This function never throws an exception.
+//		The counters of a bucket are printed in a separate stats table after the execution time stats table, with `sum` and `rate/s` columns; see `DataCollector.formatBucket`.
+function __pfcount(bucketKey, key, n = 1)
+{
+	return __pf.instance.count(bucketKey, key, n);
+}
+
+//	Function: `__pfgauge(bucketKey: string, key: string, value: number): void` - sets the current value of a gauge custom metric.
+//	Parameter: `bucketKey: string` - see `__pfbegin`.
+//	Parameter: `key: string` - see `__pfcount`.
+//	Parameter: `value: number` - required; the current value, e.g. a queue length or the number of open connections.
+//	Usage:
+//	```
+//		__pfgauge("POOL", "open connections", pool.size);
+//	```
+//	Remarks:
+//		This function never throws an exception.
+//		The gauges of a bucket are printed in a separate stats table with `last`, `min`, `avg` and `max` columns; see `DataCollector.formatBucket`.
+function __pfgauge(bucketKey, key, value)
+{
+	return __pf.instance.gauge(bucketKey, key, value);
+}
+
+//	Function: `__pfvalue(bucketKey: string, key: string, value: number): void` - records an observation of a value distribution custom metric.
+//	Parameter: `bucketKey: string` - see `__pfbegin`.
+//	Parameter: `key: string` - see `__pfcount`.
+//	Parameter: `value: number` - required; the observed value, e.g. the number of rows returned by a query or a payload size.
+//	Usage:
+//	```
+//		__pfvalue("CRUD", "READ users rows", rows.length);
+//	```
+//	Remarks:
+//		This function never throws an exception.
+//		The value distributions of a bucket are printed in a separate stats table with `min`, `avg`, `max` and `p50`...`p99` columns; see `DataCollector.formatBucket`.
+function __pfvalue(bucketKey, key, value)
+{
+	return __pf.instance.value(bucketKey, key, value);
+}
+
 //	Function: `__pflog(bucketKey: string, ...args): void` - writes `args` as text to the profiling logs without creating a hit point.
 //	Parameter: `bucketKey: string` - a key for grouping and configuration management of profiling data at log-file level; a single profiling bucket usually corresponds to a single
 //		profiling hit point in the code, for Ex. `"CRUD"`, `"REST"`, `"RPC"`, `"VerySpecificSuspiciousLoop"`.
@@ -686,6 +1001,22 @@ function __pfjson(obj, stripFieldPaths = null)
 	}
 }
 
+//	Function: `__pfreset(bucketKey: string): void` - closes the current stats epoch by clearing all collected stats for the specified bucket or for all buckets.
+//	Parameter: `bucketKey: string` - optional; the key of the bucket to reset; if not set, all buckets are reset.
+//	Usage:
+//	```
+//		__pfreset("REST");		//	e.g. right after a deployment, to compare "before" and "after" numbers on the same instance
+//	```
+//	Remarks: 
+//		This function never throws an exception.
+//		The final stats table of every affected bucket is written to the logs before the stats are cleared.
+//		Open hits remain valid and are counted towards the new epoch when they end.
+//		Use the `buckets.<bucketKey>.resetIntervalMs` runtime configuration field to reset bucket stats on a schedule.
+function __pfreset(bucketKey)
+{
+	return __pf.instance.reset(bucketKey);
+}
+
 //	Function: `__pfflush(callback(err: object): void, stopLogging: boolean): void` - immediately initiates the process of flushing the queues to the logger.
 //	Parameter: `callback(err): void` - required; a callback that is called when flushing finishes.
 //	Parameter: `stopLogging: boolean` - optional, defaults to `true`; if set to true, the current data collector immediately starts ignoring any new data ensuring that there won't be new entries
@@ -709,8 +1040,15 @@ module.exports =
 		global.__pfenabled = __pfenabled;
 		global.__pfbegin = __pfbegin;
 		global.__pfend = __pfend;
+		global.__pffail = __pffail;
 		global.__pfdiscard = __pfdiscard;
+		global.__pfwrap = __pfwrap;
+		global.__pfasync = __pfasync;
+		global.__pfcount = __pfcount;
+		global.__pfgauge = __pfgauge;
+		global.__pfvalue = __pfvalue;
 		global.__pflog = __pflog;
+		global.__pfreset = __pfreset;
 		global.__pfschema = __pfschema;
 		global.__pfjson = __pfjson;
 
@@ -722,20 +1060,34 @@ module.exports.__pfconfig = __pfconfig;
 module.exports.__pfenabled = __pfenabled;
 module.exports.__pfbegin = __pfbegin;
 module.exports.__pfend = __pfend;
+module.exports.__pffail = __pffail;
 module.exports.__pfdiscard = __pfdiscard;
+module.exports.__pfwrap = __pfwrap;
+module.exports.__pfasync = __pfasync;
+module.exports.__pfcount = __pfcount;
+module.exports.__pfgauge = __pfgauge;
+module.exports.__pfvalue = __pfvalue;
 module.exports.__pflog = __pflog;
+module.exports.__pfreset = __pfreset;
 module.exports.__pfflush = __pfflush;
 module.exports.__pfschema = __pfschema;
 module.exports.__pfjson = __pfjson;
 
 module.exports.EVerbosity = EVerbosity;
+module.exports.EFormat = EFormat;
 module.exports.RuntimeConfigurator = RuntimeConfigurator;
 module.exports.ConsoleLogger = ConsoleLogger;
 module.exports.FileLogger = FileLogger;
 module.exports.DataCollector = DataCollector;
 module.exports.DataCollectorHttpProxy = DataCollectorHttpProxy;
+module.exports.DataCollectorWorkerProxy = DataCollectorWorkerProxy;
+module.exports.DataCollectorIpcProxy = DataCollectorIpcProxy;
 module.exports.MachineStats = MachineStats;
+module.exports.ProfilerNamespace = ProfilerNamespace;
 module.exports.Profiler = Profiler;
+module.exports.HttpMiddleware = HttpMiddleware;
+module.exports.OutboundInstrumentation = OutboundInstrumentation;
 module.exports.DataCollectorServer = DataCollectorServer;
+module.exports.DataCollectorIpcServer = DataCollectorIpcServer;
 module.exports.Debouncer = Debouncer;
 //#endregion
\ No newline at end of file
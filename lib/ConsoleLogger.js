@@ -1,6 +1,7 @@
 ﻿"use strict";
 
 const { EVerbosity } = require("./EVerbosity.js");
+const { EFormat } = require("./EFormat.js");
 const { RuntimeConfigurator } = require("./RuntimeConfigurator.js");
 const { RemoteRuntimeConfigurator } = require("./RemoteRuntimeConfigurator.js");
 
@@ -9,6 +10,7 @@ const EventEmitter = require("events");
 //	Class: Provides the ability for the `DataCollector` to write collected data to stdout.
 //	Runtime configuration: `ConsoleLogger` is runtime-configuration-enabled and responds to the following runtime configuration property changes:
 //		* `"verbosity"` - the amount of detail in the output is determined based on the currently configured level of verbosity
+//		* `"format"` - `"text"` (default) or `"ndjson"` (see `EFormat`); with `"ndjson"`, every profiling hit and log line is printed as a single JSON line regardless of the verbosity
 //	Events: `ConsoleLogger` emits the following events:
 //		* `"configurationChanged"`, arguments: `key, value, oldValue, source, ctimes`
 class ConsoleLogger extends EventEmitter
@@ -16,7 +18,7 @@ class ConsoleLogger extends EventEmitter
 	//	Creates a new instance of `ConsoleLogger` with given initial configuration and state.
 	//	Parameter: `par: object` - required.
 	//	Parameter: `par.runtimeConfigurator: RuntimeConfigurator` - required; `ConsoleLogger` subscribes to this instance and listens for runtime configuration changes.
-	//	Parameter: `par.runtimeInitial: { verbosity: string }` - required; `ConsoleLogger` uses the values specified as properties to this object as initial configuration.
+	//	Parameter: `par.runtimeInitial: { verbosity: string, format: string }` - required; `ConsoleLogger` uses the values specified as properties to this object as initial configuration.
 	constructor(par)
 	{
 		super();
@@ -32,6 +34,7 @@ class ConsoleLogger extends EventEmitter
 		this.runtimeInitial = par.runtimeInitial;
 
 		this.verbosity = this.runtimeInitial.verbosity;
+		this.format = this.runtimeInitial.format === EFormat.Ndjson ? EFormat.Ndjson : EFormat.Text;
 	}
 
 	//	Function: `logBuckets(currentBucketKey: string, verbosityOverride: EVerbosity | null | void 0, buckets: object, callback: function): void` - prints to the console the data from the bucket specified by `currentBucketKey` at the
@@ -49,8 +52,11 @@ class ConsoleLogger extends EventEmitter
 		const headerBucket = buckets["header"];
 		const currentBucket = buckets[currentBucketKey];
 
-		if (headerBucket[verbosityOverride || this.verbosity]) console.log(headerBucket[verbosityOverride || this.verbosity]);
-		if (currentBucket && currentBucket[verbosityOverride || this.verbosity]) console.log(currentBucket[verbosityOverride || this.verbosity]);
+		//	slow hits (see `Profiler.onHitSlow`) are printed with full detail
+		if (headerBucket.slow) console.log(headerBucket.slow);
+		else if (headerBucket[verbosityOverride || this.verbosity]) console.log(headerBucket[verbosityOverride || this.verbosity]);
+		//	with NDJSON, the hit line already holds the stats of the current profiling key
+		if (this.format !== EFormat.Ndjson && currentBucket && currentBucket[verbosityOverride || this.verbosity]) console.log(currentBucket[verbosityOverride || this.verbosity]);
 
 		return callback();
 	}
@@ -61,7 +67,8 @@ class ConsoleLogger extends EventEmitter
 	//	```
 	//	//	with prefix === `consoleLogger`
 	//	{
-	//		{ setting: "consoleLogger.verbosity", type: "runtime", value: "full" }
+	//		{ setting: "consoleLogger.verbosity", type: "runtime", value: "full" },
+	//		{ setting: "consoleLogger.format", type: "runtime", value: "text" }
 	//	}
 	//	```
 	getConfigurationLines(prefix = null)
@@ -69,6 +76,7 @@ class ConsoleLogger extends EventEmitter
 		const fp = prefix ? `${prefix}.` : "";
 		const result = [];
 		result.push({ setting: fp + "verbosity", type: "runtime", value: this.verbosity });
+		result.push({ setting: fp + "format", type: "runtime", value: this.format });
 		return result;
 	}
 
@@ -92,6 +100,10 @@ class ConsoleLogger extends EventEmitter
 				this.verbosity = (value === EVerbosity.Full || value === EVerbosity.Brief || value === EVerbosity.Full) ? value : this.runtimeInitial.verbosity;
 				this.onConfigurationChanged(key, this.verbosity, oldValue, source, ctimes);
 				return;
+			case "logger.format":
+				this.format = (value === EFormat.Text || value === EFormat.Ndjson) ? value : this.runtimeInitial.format === EFormat.Ndjson ? EFormat.Ndjson : EFormat.Text;
+				this.onConfigurationChanged(key, this.format, oldValue, source, ctimes);
+				return;
 		}
 	}
 }
@@ -3,11 +3,13 @@
 
 const async = require("async");
 
-const EventEmitter = require("events");
-
 const { EVerbosity } = require("./EVerbosity.js");
+const { EFormat } = require("./EFormat.js");
 const { RuntimeConfigurator } = require("./RuntimeConfigurator.js");
 const { InternalStats } = require("./InternalStats.js");
+const { SlidingWindowStats } = require("./SlidingWindowStats.js");
+const { DataCollectorBase } = require("./DataCollectorBase.js");
+const { MetricTarget } = require("./MetricTarget.js");
 const { rep, rpad, lpad, erpad, elpad, fdate, fduration, fdurationNs, hrtimeToNs } = require("./Utility.js")
 
 const STATE_IDLE = 1;
@@ -15,12 +17,71 @@ const STATE_WAITING = 2;
 const STATE_FLUSHING = 3;
 const STATE_DISABLED = 4;
 
+//	the sorting columns used for custom metric stats (see `MetricTarget`) in buckets sorted by a column that the metric stats don't have, e.g. `"maxMs"`
+const METRIC_SORT_COLUMNS =
+{
+	count: "sum",
+	gauge: "last",
+	value: "max",
+};
+
+//	the stats columns that are not available for sorting, because their values are approximate; see the `gcms` column
+const UNSORTABLE_COLUMNS = ["gcMs", "gcSec"];
+
+//	the columns of the custom metric stats tables per metric kind as `[property, title, width]`; see `DataCollector.formatBucket`
+const METRIC_COLUMNS =
+{
+	count: [["count", "count", 7], ["sum", "sum", 12], ["rate", "rate/s", 10], ["last", "last", 10]],
+	gauge: [["count", "count", 7], ["last", "last", 12], ["min", "min", 12], ["avg", "avg", 12], ["max", "max", 12], ["maxDateTime", "max event time", 30]],
+	value: [["count", "count", 7], ["sum", "sum", 12], ["min", "min", 10], ["avg", "avg", 10], ["max", "max", 10], ["p50", "p50", 10], ["p90", "p90", 10], ["p95", "p95", 10], ["p99", "p99", 10], ["maxDateTime", "max event time", 30]],
+};
+
 //	Class: Maintains and flushes to the configured logger multiple profiling/logging data queues. Formats the incoming data for logging.
 //	Runtime configuration: `DataCollector` is runtime-configuration-enabled and responds to the following runtime configuration property changes:
 //		* `"sortColumn"` - specifies the default sorting column key for the profiling data table printouts; this setting is used for buckets with no `sortColumn` setting specified explicitly by
 //			the `"buckets.<bucketKey>.sortColumn"` runtime configuration field;
+//		* `"overdueMs"` - specifies the default threshold in milliseconds after which an open profiling hit is reported as overdue (see `Profiler.onHitOverdue`); this setting is used for
+//			buckets with no `overdueMs` setting specified explicitly by the `"buckets.<bucketKey>.overdueMs"` runtime configuration field; `void 0` or `0` mean no overdue hit detection.
+//		* `"maxKeysPerBucket"` - specifies the default maximum number of distinct profiling keys tracked per bucket; this setting is used for buckets with no `maxKeys` setting specified
+//			explicitly by the `"buckets.<bucketKey>.maxKeys"` runtime configuration field; `void 0` or `0` mean no limit.
+//		* `"keyOverflowPolicy"` - specifies the default handling of new profiling keys in buckets that have reached their key limit: `"other"` (default) folds the new keys into a single
+//			`"(other)"` profiling key, `"evict"` removes the least recently used profiling keys to make room; this setting is used for buckets with no `keyOverflowPolicy` setting specified
+//			explicitly by the `"buckets.<bucketKey>.keyOverflowPolicy"` runtime configuration field.
+//		* `"keyNormalizers"` - specifies the default rules for rewriting dynamic parts of profiling keys (ids, UUIDs, numbers...) into placeholders before the stats lookup (see `KeyNormalizer`);
+//			this setting is used for buckets with no `keyNormalizers` setting specified explicitly by the `"buckets.<bucketKey>.keyNormalizers"` runtime configuration field.
+//		* `"processStats"` - specifies whether process CPU time and heap usage are collected per profiling hit (the `usrms`, `sysms` and `heapkb` columns); this setting is used for buckets
+//			with no `processStats` setting specified explicitly by the `"buckets.<bucketKey>.processStats"` runtime configuration field; `void 0` or `false` mean no.
 //		* `"buckets.<bucketKey>.enabled"` - specifies explicitly whether the bucket key should be logged or not; `void 0` or `true` mean yes, `false` means no.
 //		* `"buckets.<bucketKey>.sortColumn"` - specifies explicitly a sorting column for the particular bucket.
+//		* `"buckets.<bucketKey>.overdueMs"` - specifies explicitly the overdue hit threshold for the particular bucket; `0` disables overdue hit detection for the bucket.
+//		* `"buckets.<bucketKey>.maxKeys"` - specifies explicitly the maximum number of distinct profiling keys tracked for the particular bucket; `0` means no limit.
+//		* `"buckets.<bucketKey>.keyOverflowPolicy"` - specifies explicitly the key overflow policy (`"other"` or `"evict"`) for the particular bucket.
+//		* `"buckets.<bucketKey>.keyNormalizers"` - specifies explicitly the profiling key normalization rules for the particular bucket, e.g. `["uuid", "objectid", "number"]`.
+//		* `"buckets.<bucketKey>.processStats"` - specifies explicitly whether process CPU time and heap usage are collected per profiling hit for the particular bucket.
+//		* `"namespaces.<name>.enabled"` - specifies explicitly whether the buckets of the profiler namespace (see `ProfilerNamespace`) should be logged or not; `void 0` or `true` mean yes, `false` means no.
+//		* `"namespaces.<name>.buckets.<bucketKey>.*"` - the bucket runtime configuration fields for the buckets of the profiler namespace, e.g. `"namespaces.mylib.buckets.CRUD.sortColumn"`.
+//		* `"buckets.<bucketKey>.sampleRate"` - specifies the fraction (0..1) of calls profiled for the particular bucket; unsampled calls are only counted; `void 0` or `1` mean all calls are profiled.
+//		* `"buckets.<bucketKey>.sampleEvery"` - specifies that only every N-th call per profiling key is profiled for the particular bucket; takes precedence over `sampleRate`.
+//		* `"buckets.<bucketKey>.resetIntervalMs"` - specifies an interval in milliseconds after which the stats for the particular bucket are reset automatically (see `Profiler.reset`) by a timer
+//			started when the bucket is first seen; `void 0` or `0` mean no automatic reset.
+//		* `"buckets.<bucketKey>.window"` - specifies a rolling time window (`"1m"`, `"5m"` or `"15m"`) for the particular bucket; when set, the `count`, `min`, `avg`, `max` and percentile
+//			columns of the profiling data table printouts show, and are sorted by, the stats for the specified last 1, 5 or 15 minutes instead of the stats since the profiling has started.
+//		* `"buckets.<bucketKey>.groupBy"` - specifies the names of the hit tags (see `Profiler.begin`) the stats of every profiling key of the particular bucket are broken down by, e.g.
+//			`["tenant"]`; the breakdown rows (`<tag>=<value>`) are printed under the row of their profiling key and always show the stats since the profiling has started (see `TagGroupStats`).
+//		* `"buckets.<bucketKey>.maxTagValues"` - specifies the maximum number of distinct values tracked per tag and profiling key for the particular bucket; further values are folded
+//			into a single `"(other)"` value; `void 0` or `0` mean `TagGroupStats.DEFAULT_MAX_VALUES` (20).
+//		* `"buckets.<bucketKey>.slowMs"` - specifies a threshold in milliseconds above which a finished profiling hit of the particular bucket is a slow hit (see `Profiler.onHitSlow`); slow hits
+//			are additionally logged with full detail to a separate slow log (see `FileLogger`); while a threshold is configured, the bucket's hits are logged at the `"log"` verbosity
+//			unless `"buckets.<bucketKey>.verbosity"` is set explicitly; `void 0` or `0` mean no slow hit detection.
+//		* `"buckets.<bucketKey>.slowMsPatterns"` - specifies per profiling key slow hit thresholds for the particular bucket, e.g. `[{ "pattern": "^READ ", "slowMs": 50 }]`; the first
+//			pattern matching the profiling key takes precedence over `slowMs` (see `SlowHitRules`).
+//		* `"buckets.<bucketKey>.minMsToLog"` - specifies that only the profiling hits of the particular bucket that took at least the specified number of milliseconds are logged.
+//		* `"buckets.<bucketKey>.logOnlyErrors"` - specifies that only the failed profiling hits of the particular bucket are logged (see `Profiler.fail`).
+//		* `"buckets.<bucketKey>.logEveryNth"` - specifies that only the first and then every N-th profiling hit or metric record per profiling key of the particular bucket is logged.
+//		* `"buckets.<bucketKey>.keyFilter"` - specifies a regular expression; only the profiling hits and metric records of the particular bucket with a matching profiling key are logged.
+//		The `minMsToLog`, `logOnlyErrors`, `logEveryNth` and `keyFilter` filters are combined; hits that don't pass them are still counted towards the stats, but are neither formatted
+//			nor logged, which saves most of the formatting CPU time (see `InternalStats.formattingTotalNs`). `minMsToLog` and `logOnlyErrors` apply to profiling hits only,
+//			metric records are filtered by `logEveryNth` and `keyFilter` only. Slow hits (see `Profiler.onHitSlow`) are always logged.
 //	Events: `DataCollector` emits the following events:
 //		* `"configurationChanged"`, arguments: `key, value, oldValue, source, ctimes`
 //		* `"error"`, arguments: `ncode, message, ex`
@@ -29,27 +90,44 @@ const STATE_DISABLED = 4;
 //		Queues are flushed with a configurable delay (`flushDelayMs`).
 //		Sorting column names:
 //		- `key` - unique profiling key; stats are collected per profiling key
-//		- `count` - the count of profile hits for the specified key; _sorting column name: `count`_
+//		- `count` - the count of profile hits for the specified key, incl. the calls that have not been sampled for profiling; _sorting column name: `count`_
+//		- `smpl%` - the percentage of calls sampled for profiling for the specified key; all other columns are based on the sampled calls only; _sorting column name: `samplingRate`_
 //		- `d.` - "discrepancy". values other than 0 indicate incidents of a profiling hit point that has been hit, but never ended (the corresponding `__pfend` has not been calld yet); the value represents the number of such pending hits; it's normal to see such indications from time to time appear and disappear; a problem could be recognized, if such indications last for longer times; _sorting column name: `discrepancy`_
 //		- `minms` - the shortest execution time for the specified key on record; _sorting column name: `minMs`_
 //		- `avgms` - the average execution time for the specified key since the profiling has started; _sorting column name: `avgMs`_
 //		- `maxms` - the longest execution time for the specified key on record; _sorting column name: `maxMs`_
+//		- `p50ms`, `p90ms`, `p95ms`, `p99ms` - the 50th (median), 90th, 95th and 99th percentiles of the execution time for the specified key since the profiling has started, approximated with a relative error of at most 1%; _sorting column names: `p50Ms`, `p90Ms`, `p95Ms`, `p99Ms`_
+//		- `err` - the count of failed profile hits for the specified key (see `Profiler.fail`); _sorting column name: `errorCount`_
+//		- `err%` - the percentage of failed profile hits for the specified key; _sorting column name: `errorRate`_
+//		- `okavgms` - the average execution time of the successful profile hits for the specified key; _sorting column name: `okAvgMs`_
+//		- `erravgms` - the average execution time of the failed profile hits for the specified key; _sorting column name: `errorAvgMs`_
 //		- `totalms` - the total cumulative execution time for all occurrences for the specified key since the profiling has started; _sorting column names: `totalMs`_
 //		- `onms` - the total continuous execution time for the specified key since the profiling has started; _sorting column names: `onMs`_
+//		- `gcms` - the total garbage collection pause time during the profile hits for the specified key since the profiling has started; approximate, because GC pauses are reported asynchronously
+//			and a pause during a synchronous hit is attributed to a later hit, so this column is not available for sorting
+//		- `usrms`, `sysms` - the average process user and system CPU time per profile hit for the specified key, as measured by `process.cpuUsage()`; `-` unless the `processStats` runtime configuration field is set; _sorting column names: `cpuUserMs`, `cpuSysMs`_
+//		- `heapkb` - the average change of the process used heap size per profile hit for the specified key, in kilobytes; `-` unless the `processStats` runtime configuration field is set; _sorting column name: `heapDeltaKb`_
 //		- `max event time` - the timepoint at which the value from `maxms` was recorded
 //		- `CPU%` - the load of the OS CPU during the hit duration; if multiple CPUs are reported by the OS, the highest value is taken; it is normal for this value to be close to 100% - this means that during the profiling hit the application's main thread did not wait; _sorting column name: `avgCpu`_
 //		- `minCPU%` - the minimum OS CPU load, measured for the last 1 minute at the end of a profiling hit for the specified key (this value has no direct relation to the `CPU%` value); _sorting column name: `minAvgOsCpu`_
 //		- `avgCPU%` - the average OS CPU load, measured for the last 1 minute since the profiling has started for the specified key (this value has no direct relation to the `CPU%` value); _sorting column name: `avgAvgOsCpu`_
 //		- `maxCPU%` - the maximum OS CPU load, measured for the last 1 minute at the end of a profiling hit for the specified key (this value has no direct relation to the `CPU%` value); _sorting column name: `maxAvgOsCpu`_
-class DataCollector extends EventEmitter
+//		Custom metrics (see `Profiler.count`, `Profiler.gauge`, `Profiler.value`) are listed in separate stats tables per metric kind after the execution time stats table of the bucket:
+//		- counters - `count`, `sum`, `rate/s` (the sum per second since the first record) and `last`
+//		- gauges - `count`, `last`, `min`, `avg`, `max` and `max event time`
+//		- value distributions - `count`, `sum`, `min`, `avg`, `max`, `p50`, `p90`, `p95`, `p99` and `max event time`
+//		The metric stats tables are sorted by the bucket's sorting column if the metric stats have such a column (e.g. `count`, `sum`, `last`, `min`, `avg`, `max`, `p99`); otherwise
+//		counters are sorted by `sum`, gauges by `last` and value distributions by `max`. The `buckets.<bucketKey>.window` runtime configuration field doesn't apply to custom metrics.
+class DataCollector extends DataCollectorBase
 {
 	//	Constructor: Creates a new instance of the `DataCollector` class.
 	//	Parameter: `par: object` - required.
 	//	Parameter: `par.runtimeConfigurator: RuntimeConfigurator` - required; `DataCollector` subscribes to this instance and listens for runtime configuration changes.
-	//	Parameter: `par.runtimeInitial: { sortColumn: string, "buckets.*"... }` - required; `DataCollector` uses the values specified as properties to this object as initial configuration.
+	//	Parameter: `par.runtimeInitial: { sortColumn: string, overdueMs: uint, maxKeysPerBucket: uint, keyOverflowPolicy: string, keyNormalizers: array, processStats: boolean, "buckets.*"... }` - required; `DataCollector` uses the values specified as properties to this object as initial configuration.
 	//	Parameter: `par.runtimeInitial["buckets.*"]: *` - optional; a mechanism to specify initial/default values foir the buckets runtime configuration that is loaded later from `__pfconfig`.
 	//	Parameter: `par.logger: ConsoleLogger | FileLogger | { logBuckets: function }` - required; `DataCollector` will invoke `this.logger.logBuckets()` every time it's ready
-	//		to flush collected data; see the implementation of `ConsoleLogger` and `FileLogger` for details on implementing custom loggers.
+	//		to flush collected data; see the implementation of `ConsoleLogger` and `FileLogger` for details on implementing custom loggers. The data is formatted as NDJSON if `this.logger.format`
+	//		is `EFormat.Ndjson` (see `DataCollector.formatStatsNdjson`), otherwise as text.
 	//	Parameter: `par.flushDelayMs: uint` - required; used as a parameter for a `setTimeout` before flushing the queues.
 	//	Remarks: Queue flushing is triggered on every piece of data being fed to the data collector. Once a flush request is generated, all subsequent flushed requests are ignored
 	//		until all queues have been flushed. The delay `flushDelayMs` introduces allows the `DataCollector` to continue collecting more data before performing an actual flush,
@@ -57,16 +135,15 @@ class DataCollector extends EventEmitter
 	//		the overhead of the single flush operation (e.g. opening and closing file system files) and small enogh to keep the amounts of unflushed data acceptably low.
 	constructor(par)
 	{
-		super();
+		super(par);
 
-		this.runtimeConfigurator = par.runtimeConfigurator;
-		this.runtimeConfigurator.on("changed", this.runtimeConfiguration_changed.bind(this));
-		this.runtimeInitial = par.runtimeInitial;
 		this.logger = par.logger;
 		this.flushDelayMs = par.flushDelayMs;
 
 		this.sortColumn = this.runtimeInitial.sortColumn;
-		for (const key in this.runtimeInitial) if (key.indexOf("buckets.") === 0) this[key] = this.runtimeInitial[key];
+
+		//	a dictionary of `(bucketKey, RegExp | null)` pairs; cleared on every `keyFilter` change
+		this.keyFilterCache = {};
 
 		this.targetStatsMap = {};
 		this.loggingState = STATE_IDLE;
@@ -74,34 +151,16 @@ class DataCollector extends EventEmitter
 		this.loggingQueue = [];
 	}
 
-	//	Function: Fires the "configurationChanged" event whenever a runtime configuration property's value has been changed.
-	//	Parameter: `key: string` - the full property object path in the form `propName1.propName2.propName2...`.
-	//	Parameter: `value: any` - the new value of the property.
-	//	Parameter: `oldValue: any` - the old value of the property; on first configuration read `oldValue` is always undefined.
-	//	Parameter: `source: string` - indicates the source for the update of ths setting (see `RuntimeConfigurator.onChanged`, `RemoteRuntimeConfigurator.onChanged`).
-	// Parameter: `ctimes: { commandFile: uint | null, configurationFile: uint | null } - `null` times mean the corresponding file could not be accessed for whatever reason; not set with `source === "prop"`.
-	onConfigurationChanged(key, value, oldValue, source, ctimes)
-	{
-		this.emit("configurationChanged", key, value, oldValue, source, ctimes);
-	}
-
-	//	Function: Fires the "error" event whenever a recoverable exception occurs.
-	//	Parameter: `ncode: number` - a unique identifier for the codepoint where the error was intercepted.
-	//	Parameter: `ex: Error` - the exception instance.
-	//	Parameter: `message: string` - additional details about the error.
-	onError(ncode, message, ex)
-	{
-		this.emit("error", ncode, message, ex);
-	}
-
 	//	Function: `log(bucketKey: string, text: string, time: Date | null): void` - writes text to the profiling logs without creating a hit point.
 	//	Parameter: `bucketKey: string` - a key for grouping and configuration management of profiling data at log-file level; a single profiling bucket usually corresponds to a single
 	//		profiling hit point in the code, for Ex. `"CRUD"`, `"REST"`, `"RPC"`, `"VerySpecificSuspiciousLoop"`.
 	//	Parameter: `text: string` - a text used as a logging line.
 	//	Parameter: `time: Date | null` - optional; explicitly specifies the time of the log line.
+	//	Parameter: `table: [object] | null` - optional; the stats of a bucket as returned by `DataCollector._getStats`, included in the log line as a JSON array with the `"ndjson"` logger
+	//		format only (see `DataCollector.reset`).
 	//	Remarks: Silently ignores calls with disabled profiling buckets. Such situation may happen when a profiling hit was started but before it ends, the bucket
 	//		associated with it becomes disabled by a runtime configuration change.
-	log(bucketKey, text, time = null)
+	log(bucketKey, text, time = null, table = null)
 	{
 		if (!this.isBucketEnabled(bucketKey)) return;
 		if (this.loggingState === STATE_DISABLED) return; 
@@ -111,6 +170,7 @@ class DataCollector extends EventEmitter
 			time: time || new Date(),
 			bucketKey,
 			text,
+			table,
 			logger: this.logger,
 		});
 
@@ -134,8 +194,9 @@ class DataCollector extends EventEmitter
 	}
 
 	//	Function: `feed(targetStats: object, hit: object): void` - Initiates delayed flush or, if one is pending, does nothing.
-	//	Parameter: `targetStats: object` - required; the return value of a `ProfilerTarget.getStats()` call (see `ProfilerTarget.getStats` docs for details).
-	//	Parameter: `hit: object` - required; the return value of a `ProfilerTarget.hit()` call (see `ProfilerTarget.hit` docs for details).
+	//	Parameter: `targetStats: object` - required; the return value of a `ProfilerTarget.getStats()` or a `MetricTarget.getStats()` call (see `ProfilerTarget.getStats` and
+	//		`MetricTarget.getStats` docs for details).
+	//	Parameter: `hit: object` - required; the return value of a `ProfilerTarget.hit()` or a `MetricTarget.record()` call (see `ProfilerTarget.hit` and `MetricTarget.record` docs for details).
 	//	Remarks: Silently ignores calls with disabled profiling buckets. Such situation may happen when a profiling hit was started but before it ends, the bucket
 	//		associated with it becomes disabled by a runtime configuration change.
 	feed(targetStats, hit)
@@ -143,12 +204,19 @@ class DataCollector extends EventEmitter
 		if (!this.isBucketEnabled(hit.bucketKey)) return;
 		if (this.loggingState === STATE_DISABLED) return; 
 		
-		const key = hit.bucketKey + "*" + hit.key;
+		const key = hit.kind ? hit.bucketKey + "*" + hit.key + "*" + hit.kind : hit.bucketKey + "*" + hit.key;
+		const item = this.targetStatsMap[key];
+		const feedCount = (item?.feedCount || 0) + 1;
 		this.targetStatsMap[key] =
 		{
 			bucketKey: hit.bucketKey,
 			targetStats: targetStats,
+			feedCount,		//	the number of hits fed for the profiling key since the stats were last reset or evicted; used by `logEveryNth`
+			windowStats: item?.windowStats || (hit.kind ? null : new SlidingWindowStats()),		//	the rolling window stats of the profiling key, see `getBucketWindow`
 		};
+		if (!hit.kind) DataCollector._recordWindowStats(this.targetStatsMap[key].windowStats, targetStats, item?.targetStats, hit);
+
+		if (!this._isHitLogged(hit, feedCount)) return;
 
 		this.loggingQueue.push(
 		{
@@ -176,6 +244,36 @@ class DataCollector extends EventEmitter
 		}.bind(this), this.flushDelayMs);
 	}
 
+	//	Function: `reset(bucketKey: string | null, reason: string): void` - logs the final stats table and clears the collected stats for the specified bucket or for all buckets.
+	//	Parameter: `bucketKey: string | null` - optional; the key of the bucket to reset; if not set, all buckets are reset.
+	//	Parameter: `reason: string` - optional; a short text explaining the reset, included in the log.
+	//	Remarks: The final stats table is logged as a log line of the respective bucket; disabled buckets are cleared without logging.
+	reset(bucketKey = null, reason = "reset")
+	{
+		const stats = this._getStats();
+		for (const key in stats)
+		{
+			if (bucketKey && key !== bucketKey) continue;
+			if (this.logger.format === EFormat.Ndjson)
+			{
+				this.log(key, `Stats reset (${reason}), final stats:`, null, stats[key]);
+				continue;
+			}
+			const table = DataCollector.formatBucket(key, stats[key], null);
+			this.log(key, `Stats reset (${reason}), final stats:\n${table[EVerbosity.Full]}`);
+		}
+		for (const key in this.targetStatsMap) if (!bucketKey || this.targetStatsMap[key].bucketKey === bucketKey) delete this.targetStatsMap[key];
+	}
+
+	//	Function: `evict(bucketKey: string, key: string): void` - removes the collected stats for the specified profiling key from the profiling data table printouts.
+	//	Parameter: `bucketKey: string` - required; the key of the bucket of the profiling key.
+	//	Parameter: `key: string` - required; the profiling key to remove.
+	//	Remarks: Called by `Profiler` when a profiling key is evicted due to the `keyOverflowPolicy` runtime configuration.
+	evict(bucketKey, key)
+	{
+		delete this.targetStatsMap[bucketKey + "*" + key];
+	}
+
 	//	Function: `flush(callback(err): void, stopLogging: boolean): void` - immediately initiates the process of flushing the queues to the logger.
 	//	Parameter: `callback(err): void` - required; a callback that is called when flushing finishes.
 	//	Parameter: `stopLogging: boolean` - optional, defaults to `true`; if set to true, the data collector immediately starts ignoring any new data ensuring that there won't be new entries
@@ -250,7 +348,7 @@ class DataCollector extends EventEmitter
 		result.push({ setting: fp + "flushDelayMs", type: "preconf", value: this.flushDelayMs });
 		result.push({ setting: fp + "enabled", type: "runtime", value: this.enabled });
 		result.push({ setting: fp + "sortColumn", type: "runtime", value: this.sortColumn });
-		for (const key in this) if (key.indexOf("buckets.") === 0) result.push({ setting: fp + key, type: "runtime", value: this[key] });
+		result = result.concat(this.getBucketConfigurationLines(prefix));
 		result.push({ setting: fp + "logger", type: "preconf", value: this.logger?.constructor.name });
 
 		this.logger?.getConfigurationLines && (result = result.concat(this.logger.getConfigurationLines(fp + "logger")));
@@ -258,40 +356,28 @@ class DataCollector extends EventEmitter
 		return result;
 	}
 
-	//	Property: Gets the enabled state for the data collector as currently configured by the runtime configuraiton.
-	//	Remarks:
-	//		Disabling the data collector effectively disables any profiling and logging, except for machine stats collection (see `MachineStats`).
-	get enabled()
-	{
-		this.runtimeConfigurator.asyncSmartRefresh();
-		return this.runtimeConfigurator.enabled;
-	}
-
-	//	Function: `isBucketEnabled(bucketKey: string)` - gets the enabled state for the specified bucket as currently configured by the runtime configuraiton.
-	//	Parameter: `bucketKey: string` - the key of the bucket to test.
-	//	Runtime configuration field: `"buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".enabled"`
-	//	Remarks: This function ignores the data collector enabled state. The full code to test the effective enabled state of a bucket would be:
-	//	```
-	//		if (!dataCollector.enabled) return false;
-	//		if (!bucketKey) return true;
-	//		return dataCollector.isBucketEnabled(bucketKey);
-	//	```
-	isBucketEnabled(bucketKey)
-	{
-		this.runtimeConfigurator.asyncSmartRefresh();
-		const key = "buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".enabled";
-		return this[key] !== false;
-	}
-
 	//	Function: `getBucketSortColumn(bucketKey: string)` - gets the sorting column used with profiling table printouts for the specified bucket as currently configured by the runtime configuraiton.
 	//	Parameter: `bucketKey: string` - the key of the bucket to test.
 	//	Runtime configuration field: `"buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".sortColumn"`
-	//	Remarks: Defaults to the default sorting column (see constructor).
+	//	Remarks: Defaults to the default sorting column (see constructor). Columns that are not available for sorting (`gcMs`) are replaced by `"maxMs"`.
 	getBucketSortColumn(bucketKey)
 	{
 		this.runtimeConfigurator.asyncSmartRefresh();
 		const key = "buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".sortColumn";
-		return this[key] || this.sortColumn;
+		const result = this[key] || this.sortColumn;
+		return UNSORTABLE_COLUMNS.indexOf(result) === -1 ? result : "maxMs";
+	}
+
+	//	Function: `getBucketWindow(bucketKey: string)` - gets the rolling time window used with profiling table printouts for the specified bucket as currently configured by the runtime configuraiton.
+	//	Parameter: `bucketKey: string` - the key of the bucket to query.
+	//	Runtime configuration field: `"buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".window"`
+	//	Returns: `"1m"`, `"5m"`, `"15m"` or `null`.
+	//	Remarks: Defaults to null, i.e. the stats since the profiling has started; unsupported values are ignored.
+	getBucketWindow(bucketKey)
+	{
+		this.runtimeConfigurator.asyncSmartRefresh();
+		const key = "buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".window";
+		return SlidingWindowStats.WINDOWS[this[key]] ? this[key] : null;
 	}
 
 	//	Function: `getBucketVerbosity(bucketKey: string)` - gets the verbosity override for the specified bucket.
@@ -305,6 +391,62 @@ class DataCollector extends EventEmitter
 		return this[key] || null;
 	}
 
+	//	Function: `getBucketMinMsToLog(bucketKey: string)` - gets the minimum execution time of the logged profiling hits for the specified bucket as currently configured by the runtime configuraiton.
+	//	Parameter: `bucketKey: string` - the key of the bucket to query.
+	//	Runtime configuration field: `"buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".minMsToLog"`
+	//	Remarks: Defaults to 0 (no filter).
+	getBucketMinMsToLog(bucketKey)
+	{
+		this.runtimeConfigurator.asyncSmartRefresh();
+		const key = "buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".minMsToLog";
+		return Math.max(0, parseInt(this[key]) || 0);
+	}
+
+	//	Function: `getBucketLogOnlyErrors(bucketKey: string)` - gets whether only the failed profiling hits are logged for the specified bucket as currently configured by the runtime configuraiton.
+	//	Parameter: `bucketKey: string` - the key of the bucket to query.
+	//	Runtime configuration field: `"buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".logOnlyErrors"`
+	//	Remarks: Defaults to false.
+	getBucketLogOnlyErrors(bucketKey)
+	{
+		this.runtimeConfigurator.asyncSmartRefresh();
+		const key = "buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".logOnlyErrors";
+		return this[key] === true;
+	}
+
+	//	Function: `getBucketLogEveryNth(bucketKey: string)` - gets the logging interval per profiling key for the specified bucket as currently configured by the runtime configuraiton.
+	//	Parameter: `bucketKey: string` - the key of the bucket to query.
+	//	Runtime configuration field: `"buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".logEveryNth"`
+	//	Remarks: Defaults to 1 (every hit is logged).
+	getBucketLogEveryNth(bucketKey)
+	{
+		this.runtimeConfigurator.asyncSmartRefresh();
+		const key = "buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".logEveryNth";
+		return Math.max(1, parseInt(this[key]) || 1);
+	}
+
+	//	Function: `getBucketKeyFilter(bucketKey: string)` - gets the regular expression the profiling keys of the logged hits must match for the specified bucket as currently configured by the runtime configuraiton.
+	//	Parameter: `bucketKey: string` - the key of the bucket to query.
+	//	Runtime configuration field: `"buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".keyFilter"`
+	//	Returns: a `RegExp` instance or `null` if no key filter is configured.
+	//	Remarks: Defaults to null. An invalid regular expression is reported via the "error" event and disables the key filter for the bucket until the configuration is changed.
+	getBucketKeyFilter(bucketKey)
+	{
+		this.runtimeConfigurator.asyncSmartRefresh();
+		let result = this.keyFilterCache[bucketKey];
+		if (result !== void 0) return result;
+		const key = "buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".keyFilter";
+		try
+		{
+			result = typeof this[key] === "string" && this[key] ? new RegExp(this[key]) : null;
+		}
+		catch (ex)
+		{
+			this.onError(2765522, `Invalid key filter for bucket ${JSON.stringify(bucketKey)}.`, ex);
+			result = null;
+		}
+		return this.keyFilterCache[bucketKey] = result;
+	}
+
 
 	//	Function: Handles runtime configuration changes.
 	runtimeConfiguration_changed(key, value, oldValue, source, ctimes)
@@ -319,11 +461,32 @@ class DataCollector extends EventEmitter
 				return;
 		}
 
-		if (key.indexOf("buckets.") === 0)
-		{
-			this[key] = value;
-			this.onConfigurationChanged(key, value, oldValue, source, ctimes);
-		}
+		super.runtimeConfiguration_changed(key, value, oldValue, source, ctimes);
+	}
+
+	//	Function: `clearBucketCaches(key: string): void` - clears the cached bucket configuration objects affected by a change of the specified runtime configuration field.
+	//	Remarks: See `DataCollectorBase.clearBucketCaches`.
+	clearBucketCaches(key)
+	{
+		super.clearBucketCaches(key);
+		if (key.indexOf(".keyFilter") !== -1) this.keyFilterCache = {};
+	}
+
+	//	returns `false` if `hit` doesn't pass the `minMsToLog`, `logOnlyErrors`, `logEveryNth` and `keyFilter` filters of its bucket; slow hits are always logged, metric records are not subject
+	//	to `minMsToLog` and `logOnlyErrors`
+	_isHitLogged(hit, feedCount)
+	{
+		if (hit.slowMs) return true;
+
+		const logEveryNth = this.getBucketLogEveryNth(hit.bucketKey);
+		if ((feedCount - 1) % logEveryNth !== 0) return false;
+		const keyFilter = this.getBucketKeyFilter(hit.bucketKey);
+		if (keyFilter && !keyFilter.test(hit.key)) return false;
+		if (hit.kind) return true;
+		if (this.getBucketLogOnlyErrors(hit.bucketKey) && !hit.errorText) return false;
+		const minMsToLog = this.getBucketMinMsToLog(hit.bucketKey);
+		if (minMsToLog && hit.executionStats.ms < minMsToLog) return false;
+		return true;
 	}
 
 	_tryFlushLoggingCueue(callback)
@@ -353,6 +516,11 @@ class DataCollector extends EventEmitter
 						//	/profiler self-profiling
 						try
 						{
+							if (item.logger.format === EFormat.Ndjson)
+							{
+								if (item.hit) return DataCollector.formatStatsNdjson(item.stats, item.hit, next);
+								return DataCollector.formatLogNdjson(item.text, item.time, item.bucketKey, item.table, next);
+							}
 							if (item.hit) return DataCollector.formatStats(
 								item.stats,
 								item.hit.time,
@@ -360,8 +528,10 @@ class DataCollector extends EventEmitter
 								item.hit.machineStats,
 								item.hit.executionStats,
 								item.hit.customStats,
+								item.hit,
 								item.hit.bucketKey,
 								item.hit.key,
+								item.hit.kind || null,
 								InternalStats,
 								next
 							);
@@ -389,7 +559,9 @@ class DataCollector extends EventEmitter
 					}.bind(this),
 					function (buckets, next)
 					{
-						if (item.hit) return item.logger.logBuckets(item.hit.bucketKey, this.getBucketVerbosity(item.hit.bucketKey), buckets, next);
+						//	slow hits are logged with full detail to the bucket's slow log (see `Profiler.onHitSlow`); with slow hit thresholds configured, the ordinary log defaults to `EVerbosity.Log`
+						if (item.hit && item.hit.slowMs) buckets["header"].slow = buckets["header"][EVerbosity.Full];
+						if (item.hit) return item.logger.logBuckets(item.hit.bucketKey, this.getBucketVerbosity(item.hit.bucketKey) || (this.getBucketSlowHitRules(item.hit.bucketKey) ? EVerbosity.Log : null), buckets, next);
 						return item.logger.logBuckets(item.bucketKey, this.getBucketVerbosity(item.bucketKey), buckets, next);
 					}.bind(this)
 				], next);
@@ -402,6 +574,8 @@ class DataCollector extends EventEmitter
 	{
 		ascending = !!ascending;
 
+		const now = Date.now();
+		const windows = {};
 		const result = {};
 		for (const key in this.targetStatsMap)
 		{
@@ -411,8 +585,10 @@ class DataCollector extends EventEmitter
 			{
 				bucket = [];
 				result[item.bucketKey] = bucket;
+				windows[item.bucketKey] = this.getBucketWindow(item.bucketKey);
 			}
-			bucket.push(item.targetStats);
+			const window = windows[item.bucketKey];
+			bucket.push(window && item.windowStats ? DataCollector._getWindowStats(item.targetStats, item.windowStats.getStats(now, window), window) : item.targetStats);
 		}
 
 		for (const bucketKey in result)
@@ -421,8 +597,12 @@ class DataCollector extends EventEmitter
 			const sortPropertyName = this.getBucketSortColumn(bucketKey);
 			bucket.sort(function (left, right)
 			{
-				const leftValue = left[sortPropertyName];
-				const rightValue = right[sortPropertyName];
+				//	execution time stats first, then custom metric stats grouped by kind (see `MetricTarget.KINDS`)
+				const kindOrder = MetricTarget.KINDS.indexOf(left.kind) - MetricTarget.KINDS.indexOf(right.kind);
+				if (kindOrder) return kindOrder;
+
+				const leftValue = (left.kind && left[sortPropertyName] === void 0) ? left[METRIC_SORT_COLUMNS[left.kind]] : left[sortPropertyName];
+				const rightValue = (right.kind && right[sortPropertyName] === void 0) ? right[METRIC_SORT_COLUMNS[right.kind]] : right[sortPropertyName];
 
 				if ((!leftValue && leftValue !== 0) || (!rightValue && rightValue !== 0))
 				{
@@ -441,9 +621,38 @@ class DataCollector extends EventEmitter
 		return result;
 	}
 
+	//	records the execution time of `hit` and the calls skipped by sampling since `previousTargetStats` were fed into `windowStats`; the calls skipped before the first fed hit of
+	//	the profiling key are counted as skipped at the time of that hit
+	static _recordWindowStats(windowStats, targetStats, previousTargetStats, hit)
+	{
+		const now = Date.now();
+		const unsampledCount = (targetStats.count - targetStats.sampledCount) - (previousTargetStats ? previousTargetStats.count - previousTargetStats.sampledCount : 0);
+		if (unsampledCount > 0) windowStats.recordUnsampled(now, unsampledCount);
+		if (hit.executionStats) windowStats.record(hit.executionStats.ns / 1000000, now);
+	}
+
+	//	returns a copy of `targetStats` with the lifetime count and execution time stats replaced by `windowStats`, the stats for `window` (see `SlidingWindowStats.getStats`)
+	static _getWindowStats(targetStats, windowStats, window)
+	{
+		return Object.assign({}, targetStats,
+		{
+			window,
+			count: windowStats.count,
+			minMs: windowStats.minMs,
+			avgMs: windowStats.avgMs,
+			maxMs: windowStats.maxMs,
+			p50Ms: windowStats.p50Ms,
+			p90Ms: windowStats.p90Ms,
+			p95Ms: windowStats.p95Ms,
+			p99Ms: windowStats.p99Ms,
+		});
+	}
+
 
 	//	Parameter: `customStats: [{categoryTitle: string, psText: string | void 0, osText: string | void 0 }]`
-	static formatStats(stats, time, title, machineStats, executionStats, customStats, currentBucketKey, currentHitKey, internalStats, callback)
+	//	Parameter: `callTree: { childHits: [object], omittedChildHitsCount: uint }` - optional; usually the hit itself; see `ProfilerTarget.hit` for the schema of `childHits`.
+	//	Parameter: `currentKind: string | null` - the metric kind of the current hit (see `MetricTarget`) or `null` for profiling hits.
+	static formatStats(stats, time, title, machineStats, executionStats, customStats, callTree, currentBucketKey, currentHitKey, currentKind, internalStats, callback)
 	{
 		try
 		{
@@ -466,7 +675,22 @@ class DataCollector extends EventEmitter
 			}
 
 			headerBucket[EVerbosity.Brief] = sb.join("");
-			headerBucket[EVerbosity.Full] = headerBucket.brief;
+
+			if (executionStats && callTree && callTree.childHits && callTree.childHits.length)
+			{
+				sb.push('\n');
+				sb.push(DataCollector.formatCallTree(
+				{
+					bucketKey: currentBucketKey,
+					key: currentHitKey,
+					ms: executionStats.ms,
+					msText: executionStats.msText,
+					childHits: callTree.childHits,
+					omittedChildHitsCount: callTree.omittedChildHitsCount,
+				}));
+			}
+
+			headerBucket[EVerbosity.Full] = sb.join("");
 
 			return async.eachOfSeries(stats, function (bucket, bucketKey, next)
 			{
@@ -474,7 +698,7 @@ class DataCollector extends EventEmitter
 				{
 					try
 					{
-						result[bucketKey] = DataCollector.formatBucket(bucketKey, bucket, currentHitKey);
+						result[bucketKey] = DataCollector.formatBucket(bucketKey, bucket, currentHitKey, currentKind);
 						return next();
 					}
 					catch (ex)
@@ -515,6 +739,80 @@ class DataCollector extends EventEmitter
 		}
 	}
 
+	//	Function: `formatStatsNdjson(stats: object, hit: object, callback(err, buckets): void): void` - formats a finished profiling hit or metric record for the `"ndjson"` logger format.
+	//	Parameter: `stats: object` - required; the current stats of all buckets as returned by `DataCollector._getStats`.
+	//	Parameter: `hit: object` - required; see `ProfilerTarget.hit` and `MetricTarget.record` for the schema.
+	//	Remarks: Produces a bucket dictionary in the same shape as `DataCollector.formatStats`. The header holds a single JSON line, the same with every verbosity:
+	//	```
+	//	{ time, bucketKey, key, kind, title, errorText, tags, slowMs, workerId, threadId, executionStats, machineStats, customStats, childHits, omittedChildHitsCount, targetStats }
+	//	```
+	//		where `targetStats` is the current stats of the hit's profiling key (see `ProfilerTarget.getStats`) and unset fields are omitted. Every bucket holds its stats table as a single-line
+	//		JSON array with the `EVerbosity.Full` verbosity only; loggers write it to stats snapshots and never to the log.
+	static formatStatsNdjson(stats, hit, callback)
+	{
+		try
+		{
+			const result = {};
+			const headerBucket = result["header"] = {};
+
+			const bucket = stats[hit.bucketKey] || [];
+			const line = JSON.stringify(
+			{
+				time: hit.time,
+				bucketKey: hit.bucketKey,
+				key: hit.key,
+				kind: hit.kind,
+				title: hit.title,
+				errorText: hit.errorText,
+				tags: hit.tags || void 0,
+				slowMs: hit.slowMs,
+				workerId: hit.workerId,
+				threadId: hit.threadId,
+				executionStats: hit.executionStats,
+				machineStats: hit.machineStats,
+				customStats: hit.customStats,
+				childHits: hit.childHits && hit.childHits.length ? hit.childHits : void 0,
+				omittedChildHitsCount: hit.omittedChildHitsCount || void 0,
+				targetStats: bucket.find(item => item.key === hit.key && (item.kind || null) === (hit.kind || null)) || null,
+			});
+
+			headerBucket[EVerbosity.Log] = line;
+			headerBucket[EVerbosity.Brief] = line;
+			headerBucket[EVerbosity.Full] = line;
+
+			for (const bucketKey in stats) result[bucketKey] = { [EVerbosity.Full]: JSON.stringify(stats[bucketKey]) };
+
+			return callback(null, result);
+		}
+		catch (ex)
+		{
+			return callback(new Error(ex));
+		}
+	}
+
+	//	Function: `formatLogNdjson(text: string, time: Date, currentBucketKey: string, table: [object] | null, callback(err, buckets): void): void` - formats a log line for the `"ndjson"` logger format.
+	//	Remarks: Produces a bucket dictionary in the same shape as `DataCollector.formatLog` with a single JSON line, `{ time, bucketKey, text, table }`; `table` is omitted if not set.
+	static formatLogNdjson(text, time, currentBucketKey, table, callback)
+	{
+		try
+		{
+			const result = {};
+			const headerBucket = result["header"] = {};
+
+			const line = JSON.stringify({ time, bucketKey: currentBucketKey, text, table: table || void 0 });
+
+			headerBucket[EVerbosity.Log] = line;
+			headerBucket[EVerbosity.Brief] = line;
+			headerBucket[EVerbosity.Full] = line;
+
+			return callback(null, result);
+		}
+		catch (ex)
+		{
+			return callback(new Error(ex));
+		}
+	}
+
 	//	Parameter: `customStats: [{categoryTitle: string, psText: string | void 0, osText: string | void 0 }]`
 	static formatMachineStats(machineStats, customStats, internalStats)
 	{
@@ -561,6 +859,20 @@ class DataCollector extends EventEmitter
 		}
 		printMetric("CPU", psCpuText, sbOsCpuText.join(""));
 
+		if (machineStats.loopDelayP99Ms_end !== void 0)
+		{
+			printMetric("Loop lag", "p99 " + machineStats.loopDelayP99Ms_begin + "ms -> " + machineStats.loopDelayP99Ms_end + "ms, max " + machineStats.loopDelayMaxMs_end + "ms", "-");
+		}
+		if (machineStats.elu !== void 0)
+		{
+			printMetric("ELU", machineStats.elu + "% (5 sec avg " + machineStats.elu_begin + "% -> " + machineStats.elu_end + "%)", "-");
+		}
+
+		if (machineStats.gc)
+		{
+			printMetric("GC", machineStats.gc.count + " pauses, " + machineStats.gc.ms + "ms (major: " + machineStats.gc.majorCount + ", " + machineStats.gc.majorMs + "ms)", "-");
+		}
+
 		printMetric("RAM",
 			machineStats.psMemUsage_begin + "% -> " + machineStats.psMemUsage_end + "% (D " + machineStats.psMemUsage_delta + "%)",
 			machineStats.osMemUsage_begin + "% -> " + machineStats.osMemUsage_end + "% (D " + machineStats.osMemUsage_delta + "%)"
@@ -675,7 +987,33 @@ class DataCollector extends EventEmitter
 		return sb.join("");
 	}
 
-	static formatBucket(bucketKey, bucket, currentHitKey)
+	//	Parameter: `node: { bucketKey: string, key: string, ms: number, msText: string, childHits: [object], omittedChildHitsCount: uint }` - the root of the call tree;
+	//		`childHits` have the same schema.
+	//	Remarks: Every nested hit is printed on a separate line, indented according to its depth, along with its share of the duration of the enclosing hit.
+	static formatCallTree(node)
+	{
+		const indentSize = 4;
+
+		const lines = [];
+		lines.push("Call tree");
+
+		function printNode(node, depth, parentMs)
+		{
+			let line = rep(depth * indentSize, ' ') + `[${node.bucketKey}] ${node.key} - ${node.msText}`;
+			if (parentMs) line += ` (${Math.round(100 * node.ms / parentMs)}%)`;
+			lines.push(line);
+
+			const childHits = node.childHits || [];
+			for (let length = childHits.length, i = 0; i < length; ++i) printNode(childHits[i], depth + 1, node.ms);
+			if (node.omittedChildHitsCount) lines.push(rep((depth + 1) * indentSize, ' ') + `(${node.omittedChildHitsCount} more nested hits omitted)`);
+		}
+
+		printNode(node, 0, 0);
+
+		return lines.join('\n');
+	}
+
+	static formatBucket(bucketKey, bucket, currentHitKey, currentKind = null)
 	{
 		const delimiter = " │ ";
 
@@ -710,6 +1048,8 @@ class DataCollector extends EventEmitter
 			sb.push(delimiter);
 			sb.push(lpad(stat.count, 5, ' '));
 			sb.push(delimiter);
+			sb.push(lpad(stat.samplingRate + "%", 5, ' '));
+			sb.push(delimiter);
 			sb.push(lpad(stat.discrepancy, 2, ' '));
 			sb.push(delimiter);
 			sb.push(elpad(stat.minMs + "ms", 10, ' '));
@@ -718,6 +1058,22 @@ class DataCollector extends EventEmitter
 			sb.push(delimiter);
 			sb.push(elpad(stat.maxMs + "ms", 10, ' '));
 			sb.push(delimiter);
+			sb.push(elpad(stat.p50Ms + "ms", 8, ' '));
+			sb.push(delimiter);
+			sb.push(elpad(stat.p90Ms + "ms", 8, ' '));
+			sb.push(delimiter);
+			sb.push(elpad(stat.p95Ms + "ms", 8, ' '));
+			sb.push(delimiter);
+			sb.push(elpad(stat.p99Ms + "ms", 8, ' '));
+			sb.push(delimiter);
+			sb.push(lpad(stat.errorCount, 5, ' '));
+			sb.push(delimiter);
+			sb.push(lpad(stat.errorRate + "%", 4, ' '));
+			sb.push(delimiter);
+			sb.push(elpad(stat.okAvgMs + "ms", 10, ' '));
+			sb.push(delimiter);
+			sb.push(elpad(stat.errorAvgMs + "ms", 10, ' '));
+			sb.push(delimiter);
 
 			const totalSec = Math.round(stat.totalMs / 1000);
 			if (totalSec > 0) sb.push(elpad(totalSec + "s", 7, ' '));
@@ -729,6 +1085,21 @@ class DataCollector extends EventEmitter
 			if (onSec > 0) sb.push(elpad(onSec + "s", 7, ' '));
 			else sb.push(elpad(stat.onMs + "ms", 7, ' '));
 
+			sb.push(delimiter);
+
+			const gcMs = stat.gcMs || 0;
+			const gcSec = Math.round(gcMs / 1000);
+			if (gcSec > 0) sb.push(elpad(gcSec + "s", 7, ' '));
+			else sb.push(elpad(gcMs + "ms", 7, ' '));
+
+			sb.push(delimiter);
+
+			const hasProcessStats = stat.cpuUserMs !== void 0 && stat.processStatsCount !== 0;
+			sb.push(elpad(hasProcessStats ? stat.cpuUserMs + "ms" : "-", 9, ' '));
+			sb.push(delimiter);
+			sb.push(elpad(hasProcessStats ? stat.cpuSysMs + "ms" : "-", 9, ' '));
+			sb.push(delimiter);
+			sb.push(elpad(hasProcessStats ? stat.heapDeltaKb + "kb" : "-", 9, ' '));
 			sb.push(delimiter);
 			sb.push(fdate(stat.maxDateTime));
 			sb.push(delimiter);
@@ -742,19 +1113,77 @@ class DataCollector extends EventEmitter
 			sb.push(delimiter);
 		}
 
+		//	prints a row of the per-tag-value breakdown of a profiling key (see `TagGroupStats`), aligned with the columns of `printStat` up to `totalms`
+		function printGroup(sb, group)
+		{
+			const indent = bucketKey ? bucketKey.length + 3 : 0;
+			sb.push(erpad(rep(indent + 2, " ") + group.tag + "=" + group.value, 144 - indent));
+			sb.push(delimiter);
+			sb.push(lpad(group.count, 5, ' '));
+			sb.push(delimiter);
+			sb.push(lpad("", 5, ' '));
+			sb.push(delimiter);
+			sb.push(lpad("", 2, ' '));
+			sb.push(delimiter);
+			sb.push(elpad(group.minMs + "ms", 10, ' '));
+			sb.push(delimiter);
+			sb.push(elpad(group.avgMs + "ms", 10, ' '));
+			sb.push(delimiter);
+			sb.push(elpad(group.maxMs + "ms", 10, ' '));
+			sb.push(delimiter);
+			sb.push(elpad(group.p50Ms + "ms", 8, ' '));
+			sb.push(delimiter);
+			sb.push(elpad(group.p90Ms + "ms", 8, ' '));
+			sb.push(delimiter);
+			sb.push(elpad(group.p95Ms + "ms", 8, ' '));
+			sb.push(delimiter);
+			sb.push(elpad(group.p99Ms + "ms", 8, ' '));
+			sb.push(delimiter);
+			sb.push(lpad(group.errorCount, 5, ' '));
+			sb.push(delimiter);
+			sb.push(lpad(group.errorRate + "%", 4, ' '));
+			sb.push(delimiter);
+			sb.push(elpad(group.okAvgMs + "ms", 10, ' '));
+			sb.push(delimiter);
+			sb.push(elpad(group.errorAvgMs + "ms", 10, ' '));
+			sb.push(delimiter);
+
+			const totalSec = Math.round(group.totalMs / 1000);
+			if (totalSec > 0) sb.push(elpad(totalSec + "s", 7, ' '));
+			else sb.push(elpad(group.totalMs + "ms", 7, ' '));
+
+			sb.push(delimiter);
+		}
+
+		const timings = bucket.filter(item => !item.kind);
+		const window = timings.length ? timings[0].window : null;
 		const headerDef =
 		{
 			bucketKey: bucketKey,
-			key: "key",
+			key: window ? `key (last ${window})` : "key",
 			count: "count",
+			samplingRate: "smpl",
 			discrepancy: "d.",
 			minMs: "min",
 			avgMs: "avg",
 			maxMs: "max",
+			p50Ms: "p50",
+			p90Ms: "p90",
+			p95Ms: "p95",
+			p99Ms: "p99",
+			errorCount: "err",
+			errorRate: "err",
+			okAvgMs: "okavg",
+			errorAvgMs: "erravg",
 			totalSec: "total",
 			totalMs: "total",
 			onSec: "on",
 			onMs: "on",
+			gcSec: "gc",
+			gcMs: "gc",
+			cpuUserMs: "usr",
+			cpuSysMs: "sys",
+			heapDeltaKb: "heap",
 			avgCpu: "CPU",
 			minAvgOsCpu: "minCPU",
 			avgAvgOsCpu: "avgCPU",
@@ -764,6 +1193,23 @@ class DataCollector extends EventEmitter
 
 		const sb = [];
 		const sbBrief = [];
+		if (timings.length || !bucket.length) DataCollector._formatTimingTable(sb, sbBrief, headerDef, printStat, printGroup, timings, currentKind ? null : currentHitKey);
+		for (const kind of MetricTarget.KINDS)
+		{
+			const metrics = bucket.filter(item => item.kind === kind);
+			if (metrics.length) DataCollector._formatMetricTable(sb, sbBrief, bucketKey, kind, metrics, currentKind === kind ? currentHitKey : null);
+		}
+
+		return {
+			log: null,
+			full: sb.join(""),
+			brief: sbBrief.join(""),
+		};
+	}
+
+	//	appends the execution time stats table of a bucket to `sb` (all rows) and `sbBrief` (the row of `currentHitKey` only); the per-tag-value breakdown rows follow the row of their profiling key
+	static _formatTimingTable(sb, sbBrief, headerDef, printStat, printGroup, bucket, currentHitKey)
+	{
 		const headerStart = sb.join("").length;
 
 		printStat(sb, headerDef);
@@ -786,11 +1232,21 @@ class DataCollector extends EventEmitter
 
 			printStat(sb, item, currentHitKey == item.key);
 			sb.push('\n');
+			for (let jlength = item.groups ? item.groups.length : 0, j = 0; j < jlength; ++j)
+			{
+				printGroup(sb, item.groups[j]);
+				sb.push('\n');
+			}
 
 			if (currentHitKey == item.key)
 			{
 				printStat(sbBrief, item, true);
 				sbBrief.push('\n');
+				for (let jlength = item.groups ? item.groups.length : 0, j = 0; j < jlength; ++j)
+				{
+					printGroup(sbBrief, item.groups[j]);
+					sbBrief.push('\n');
+				}
 			}
 		}
 
@@ -800,11 +1256,82 @@ class DataCollector extends EventEmitter
 		sbBrief.push(rep(rowSize, "─"));
 		sbBrief.push('\n');
 
-		return {
-			log: null,
-			full: sb.join(""),
-			brief: sbBrief.join(""),
-		};
+		const currentStat = bucket.find(item => item.key == currentHitKey);
+		if (currentStat && currentStat.lastErrorText)
+		{
+			const line = `Last error: ${fdate(currentStat.lastErrorTime)} ${currentStat.lastErrorText}\n`;
+			sb.push(line);
+			sbBrief.push(line);
+		}
+	}
+
+	//	appends the stats table of the custom metrics of `kind` of a bucket to `sb` (all rows) and `sbBrief` (the row of `currentHitKey` only); see `METRIC_COLUMNS`
+	static _formatMetricTable(sb, sbBrief, bucketKey, kind, bucket, currentHitKey)
+	{
+		const delimiter = " │ ";
+		const columns = METRIC_COLUMNS[kind];
+
+		function printStat(sb, stat, isCurrent)
+		{
+			let keyFieldWidth = 144;
+			let keyText = "";
+			if (isCurrent)
+			{
+				keyFieldWidth -= "> ".length - 2;
+				keyText += "> ";
+			}
+			if (stat.bucketKey)
+			{
+				keyFieldWidth -= stat.bucketKey.length + 3;
+				keyText += "[" + stat.bucketKey + "] ";
+			}
+			keyText += stat.key;
+
+			sb.push(erpad(keyText, keyFieldWidth));
+			sb.push(delimiter);
+			for (const [property, , width] of columns)
+			{
+				const value = stat[property];
+				sb.push(elpad(value instanceof Date ? fdate(value) : String(value), width, ' '));
+				sb.push(delimiter);
+			}
+		}
+
+		const headerDef = { bucketKey, key: `${kind} key` };
+		for (const [property, title] of columns) headerDef[property] = title;
+
+		const headerStart = sb.join("").length;
+		printStat(sb, headerDef);
+		printStat(sbBrief, headerDef);
+		const rowSize = sb.join("").length - headerStart - 2;
+
+		sb.push('\n');
+		sb.push(rep(rowSize, "─"));
+		sb.push('\n');
+
+		sbBrief.push('\n');
+		sbBrief.push(rep(rowSize, "─"));
+		sbBrief.push('\n');
+
+		for (let length = bucket.length, i = 0; i < length; ++i)
+		{
+			const item = bucket[i];
+
+			printStat(sb, item, currentHitKey == item.key);
+			sb.push('\n');
+
+			if (currentHitKey == item.key)
+			{
+				printStat(sbBrief, item, true);
+				sbBrief.push('\n');
+			}
+		}
+
+		sb.push(rep(rowSize, "─"));
+		sb.push('\n');
+
+		sbBrief.push(rep(rowSize, "─"));
+		sbBrief.push('\n');
 	}
 }
 
@@ -0,0 +1,338 @@
+"use strict";
+
+const EventEmitter = require("events");
+
+const RuntimeConfigurator = require("./RuntimeConfigurator");
+const { KeyNormalizer } = require("./KeyNormalizer.js");
+const { TagGroupStats } = require("./TagGroupStats.js");
+const { SlowHitRules } = require("./SlowHitRules.js");
+const { ProfilerNamespace } = require("./ProfilerNamespace.js");
+
+//	Class: The `DataCollectorBase` class implements the runtime configuration of the profiling buckets shared by all data collectors (`DataCollector`, `DataCollectorHttpProxy`,
+//		`DataCollectorWorkerProxy` and `DataCollectorIpcProxy`), i.e. the `"buckets.*"`, `"namespaces.*"` and `"keyNormalizers.*"` runtime configuration fields and the defaults
+//		for the bucket fields (`"overdueMs"`, `"maxKeysPerBucket"`, `"keyOverflowPolicy"` and `"processStats"`).
+//	Remarks: A new bucket runtime configuration field used by the `Profiler` should be added here as a `getBucket*` function, so that it is supported by all data collectors.
+//		The data collector specific runtime configuration fields are handled by the derived classes, which override `runtimeConfiguration_changed` and call the base implementation
+//		for the fields they don't handle themselves.
+//		`getBucketWindow` is intentionally implemented by `DataCollector` only: the rolling windows are maintained and printed by the receiving data collector (see `SlidingWindowStats`).
+//	Events: `DataCollectorBase` emits the following events:
+//		* `"error"`, arguments: `ncode, message, ex`
+//		* `"configurationChanged"`, arguments: `key, value, oldValue, source, ctimes`
+class DataCollectorBase extends EventEmitter
+{
+	//	Constructor: Creates a new instance of the `DataCollectorBase` class.
+	//	Parameter: `par: object` - required.
+	//	Parameter: `par.runtimeConfigurator: RuntimeConfigurator | RemoteRuntimeConfigurator` - required; `DataCollectorBase` subscribes to this instance and listens for runtime configuration changes.
+	//	Parameter: `par.runtimeInitial: { overdueMs: uint, maxKeysPerBucket: uint, keyOverflowPolicy: string, keyNormalizers: array, processStats: boolean, "buckets.*"... }` - optional;
+	//		`DataCollectorBase` uses the values specified as properties to this object as initial configuration.
+	constructor(par)
+	{
+		super();
+
+		this.runtimeConfigurator = par.runtimeConfigurator;
+		this.runtimeConfigurator.on("changed", this.runtimeConfiguration_changed.bind(this));
+		this.runtimeInitial = par.runtimeInitial || {};
+
+		this.overdueMs = this.runtimeInitial.overdueMs || 0;
+		this.maxKeysPerBucket = this.runtimeInitial.maxKeysPerBucket || 0;
+		this.keyOverflowPolicy = this.runtimeInitial.keyOverflowPolicy === "evict" ? "evict" : "other";
+		this.processStats = this.runtimeInitial.processStats === true;
+		for (const key in this.runtimeInitial) if (key.indexOf("buckets.") === 0) this[key] = this.runtimeInitial[key];
+
+		//	a dictionary of `(bucketKey, KeyNormalizer | null)` pairs; cleared on every key normalization rules change
+		this.keyNormalizerCache = {};
+		//	a dictionary of `(bucketKey, [string] | null)` pairs; cleared on every `groupBy` change
+		this.groupByCache = {};
+		//	a dictionary of `(bucketKey, SlowHitRules | null)` pairs; cleared on every `slowMs` or `slowMsPatterns` change
+		this.slowHitRulesCache = {};
+	}
+
+	//	Function: Fires the "configurationChanged" event whenever a runtime configuration property's value has been changed.
+	//	Parameter: `key: string` - the full property object path in the form `propName1.propName2.propName2...`.
+	//	Parameter: `value: any` - the new value of the property.
+	//	Parameter: `oldValue: any` - the old value of the property; on first configuration read `oldValue` is always undefined.
+	//	Parameter: `source: string` - indicates the source for the update of ths setting (see `RuntimeConfigurator.onChanged`, `RemoteRuntimeConfigurator.onChanged`).
+	// Parameter: `ctimes: { commandFile: uint | null, configurationFile: uint | null } - `null` times mean the corresponding file could not be accessed for whatever reason; not set with `source === "prop"`.
+	onConfigurationChanged(key, value, oldValue, source, ctimes)
+	{
+		this.emit("configurationChanged", key, value, oldValue, source, ctimes);
+	}
+
+	//	Function: Fires the "error" event whenever a recoverable exception occurs.
+	//	Parameter: `ncode: number` - a unique identifier for the codepoint where the error was intercepted.
+	//	Parameter: `ex: Error` - the exception instance.
+	//	Parameter: `message: string` - additional details about the error.
+	onError(ncode, message, ex)
+	{
+		this.emit("error", ncode, message, ex);
+	}
+
+	//	Function: `getBucketConfigurationLines(prefix: string): [{ setting: string, type: string, value: * }]` - lists the bucket runtime configuration settings of this instance,
+	//		incl. the defaults for the bucket fields; see `DataCollector.getConfigurationLines`.
+	//	Parameter: `prefix: string` - optional, defaults to null; if not `null`, `undefined` or `""`, the prefix followed by a period is prepended to all setting names.
+	getBucketConfigurationLines(prefix = null)
+	{
+		const fp = prefix ? `${prefix}.` : "";
+		const result = [];
+		result.push({ setting: fp + "overdueMs", type: "runtime", value: this.overdueMs });
+		result.push({ setting: fp + "maxKeysPerBucket", type: "runtime", value: this.maxKeysPerBucket });
+		result.push({ setting: fp + "keyOverflowPolicy", type: "runtime", value: this.keyOverflowPolicy });
+		result.push({ setting: fp + "processStats", type: "runtime", value: this.processStats });
+		for (const key in this) if (key.indexOf("keyNormalizers.") === 0 || key.indexOf("buckets.") === 0 || key.indexOf("namespaces.") === 0) result.push({ setting: fp + key, type: "runtime", value: this[key] });
+		return result;
+	}
+
+	//	Property: Gets the enabled state for the data collector as currently configured by the runtime configuraiton.
+	//	Remarks:
+	//		Disabling the data collector effectively disables any profiling and logging, except for machine stats collection (see `MachineStats`).
+	get enabled()
+	{
+		this.runtimeConfigurator.asyncSmartRefresh();
+		return this.runtimeConfigurator.enabled;
+	}
+
+	//	Function: `isBucketEnabled(bucketKey: string)` - gets the enabled state for the specified bucket as currently configured by the runtime configuraiton.
+	//	Parameter: `bucketKey: string` - the key of the bucket to test.
+	//	Runtime configuration field: `"buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".enabled"`
+	//	Remarks: This function ignores the data collector enabled state. The full code to test the effective enabled state of a bucket would be:
+	//	```
+	//		if (!dataCollector.enabled) return false;
+	//		if (!bucketKey) return true;
+	//		return dataCollector.isBucketEnabled(bucketKey);
+	//	```
+	//		Buckets of a disabled namespace (see `ProfilerNamespace`) are disabled regardless of their own enabled state.
+	isBucketEnabled(bucketKey)
+	{
+		this.runtimeConfigurator.asyncSmartRefresh();
+		const namespaceName = ProfilerNamespace.getNamespaceName(bucketKey);
+		if (namespaceName !== null && !this.isNamespaceEnabled(namespaceName)) return false;
+		const key = "buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".enabled";
+		return this[key] !== false;
+	}
+
+	//	Function: `isNamespaceEnabled(namespaceName: string)` - gets the enabled state for the specified profiler namespace (see `ProfilerNamespace`) as currently configured by the runtime configuraiton.
+	//	Parameter: `namespaceName: string` - the name of the namespace to test.
+	//	Runtime configuration field: `"namespaces." + namespaceName + ".enabled"`
+	isNamespaceEnabled(namespaceName)
+	{
+		this.runtimeConfigurator.asyncSmartRefresh();
+		return this["namespaces." + namespaceName + ".enabled"] !== false;
+	}
+
+	//	Function: `getBucketOverdueMs(bucketKey: string)` - gets the threshold for reporting never-ending (overdue) hits for the specified bucket as currently configured by the runtime configuraiton.
+	//	Parameter: `bucketKey: string` - the key of the bucket to query.
+	//	Runtime configuration field: `"buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".overdueMs"`
+	//	Remarks: Defaults to the `overdueMs` runtime configuration field; `0` means no overdue hit detection.
+	getBucketOverdueMs(bucketKey)
+	{
+		this.runtimeConfigurator.asyncSmartRefresh();
+		const key = "buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".overdueMs";
+		if (this[key] !== void 0 && this[key] !== null) return Math.max(0, parseInt(this[key]) || 0);
+		return this.overdueMs;
+	}
+
+	//	Function: `getBucketMaxKeys(bucketKey: string)` - gets the maximum number of distinct profiling keys tracked for the specified bucket as currently configured by the runtime configuraiton.
+	//	Parameter: `bucketKey: string` - the key of the bucket to query.
+	//	Runtime configuration field: `"buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".maxKeys"`
+	//	Remarks: Defaults to the `maxKeysPerBucket` runtime configuration field; `0` means no limit.
+	getBucketMaxKeys(bucketKey)
+	{
+		this.runtimeConfigurator.asyncSmartRefresh();
+		const key = "buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".maxKeys";
+		if (this[key] !== void 0 && this[key] !== null) return Math.max(0, parseInt(this[key]) || 0);
+		return this.maxKeysPerBucket;
+	}
+
+	//	Function: `getBucketKeyOverflowPolicy(bucketKey: string)` - gets the handling of new profiling keys in the specified bucket after its key limit has been reached, as currently configured by the runtime configuraiton.
+	//	Parameter: `bucketKey: string` - the key of the bucket to query.
+	//	Runtime configuration field: `"buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".keyOverflowPolicy"`
+	//	Returns: `"other"` or `"evict"`.
+	//	Remarks: Defaults to the `keyOverflowPolicy` runtime configuration field; unsupported values are ignored.
+	getBucketKeyOverflowPolicy(bucketKey)
+	{
+		this.runtimeConfigurator.asyncSmartRefresh();
+		const key = "buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".keyOverflowPolicy";
+		if (this[key] === "other" || this[key] === "evict") return this[key];
+		return this.keyOverflowPolicy;
+	}
+
+	//	Function: `getBucketProcessStats(bucketKey: string)` - gets whether process CPU time and heap usage are collected per profiling hit for the specified bucket as currently configured by the runtime configuraiton.
+	//	Parameter: `bucketKey: string` - the key of the bucket to query.
+	//	Runtime configuration field: `"buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".processStats"`
+	//	Remarks: Defaults to the `processStats` runtime configuration field.
+	getBucketProcessStats(bucketKey)
+	{
+		this.runtimeConfigurator.asyncSmartRefresh();
+		const key = "buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".processStats";
+		if (this[key] === true || this[key] === false) return this[key];
+		return this.processStats;
+	}
+
+	//	Function: `getBucketKeyNormalizer(bucketKey: string)` - gets the profiling key normalizer for the specified bucket as currently configured by the runtime configuraiton.
+	//	Parameter: `bucketKey: string` - the key of the bucket to query.
+	//	Runtime configuration field: `"buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".keyNormalizers"`
+	//	Returns: a `KeyNormalizer` instance or `null` if no normalization rules are configured.
+	//	Remarks: Defaults to the `keyNormalizers` runtime configuration field. Invalid rules are reported via the "error" event and disable the normalization for the bucket until the
+	//		configuration is changed.
+	getBucketKeyNormalizer(bucketKey)
+	{
+		this.runtimeConfigurator.asyncSmartRefresh();
+		let result = this.keyNormalizerCache[bucketKey];
+		if (result !== void 0) return result;
+		try
+		{
+			const prefix = "buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".keyNormalizers.";
+			result = KeyNormalizer.fromConfiguration(this, prefix) || KeyNormalizer.fromConfiguration(this, "keyNormalizers.");
+			if (!result && this.runtimeInitial.keyNormalizers) result = new KeyNormalizer(this.runtimeInitial.keyNormalizers);
+		}
+		catch (ex)
+		{
+			this.onError(69576330, `Invalid key normalization rules for bucket ${JSON.stringify(bucketKey)}.`, ex);
+			result = null;
+		}
+		return this.keyNormalizerCache[bucketKey] = result;
+	}
+
+	//	Function: `getBucketGroupBy(bucketKey: string)` - gets the names of the tags the stats of the specified bucket are broken down by, as currently configured by the runtime configuraiton.
+	//	Parameter: `bucketKey: string` - the key of the bucket to query.
+	//	Runtime configuration field: `"buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".groupBy"`
+	//	Returns: an array of tag names, e.g. `["tenant"]`, or `null` if no breakdown is configured.
+	//	Remarks: Defaults to null; see `TagGroupStats`.
+	getBucketGroupBy(bucketKey)
+	{
+		this.runtimeConfigurator.asyncSmartRefresh();
+		const result = this.groupByCache[bucketKey];
+		if (result !== void 0) return result;
+		const prefix = "buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".groupBy.";
+		return this.groupByCache[bucketKey] = TagGroupStats.fromConfiguration(this, prefix);
+	}
+
+	//	Function: `getBucketMaxTagValues(bucketKey: string)` - gets the maximum number of distinct values tracked per tag and profiling key for the specified bucket as currently configured by the runtime configuraiton.
+	//	Parameter: `bucketKey: string` - the key of the bucket to query.
+	//	Runtime configuration field: `"buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".maxTagValues"`
+	//	Remarks: Defaults to `TagGroupStats.DEFAULT_MAX_VALUES`; further tag values are folded into a single `"(other)"` value.
+	getBucketMaxTagValues(bucketKey)
+	{
+		this.runtimeConfigurator.asyncSmartRefresh();
+		const key = "buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".maxTagValues";
+		return Math.max(0, parseInt(this[key]) || 0) || TagGroupStats.DEFAULT_MAX_VALUES;
+	}
+
+	//	Function: `getBucketSlowHitRules(bucketKey: string)` - gets the slow hit thresholds for the specified bucket as currently configured by the runtime configuraiton.
+	//	Parameter: `bucketKey: string` - the key of the bucket to query.
+	//	Runtime configuration field: `"buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".slowMs"`
+	//	Runtime configuration field: `"buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".slowMsPatterns"`
+	//	Returns: a `SlowHitRules` instance or `null` if no slow hit thresholds are configured.
+	//	Remarks: Defaults to null; see `SlowHitRules`. Invalid patterns are reported via the "error" event and disable the slow hit detection for the bucket until the configuration is changed.
+	getBucketSlowHitRules(bucketKey)
+	{
+		this.runtimeConfigurator.asyncSmartRefresh();
+		let result = this.slowHitRulesCache[bucketKey];
+		if (result !== void 0) return result;
+		try
+		{
+			result = SlowHitRules.fromConfiguration(this, "buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".");
+		}
+		catch (ex)
+		{
+			this.onError(69576331, `Invalid slow hit thresholds for bucket ${JSON.stringify(bucketKey)}.`, ex);
+			result = null;
+		}
+		return this.slowHitRulesCache[bucketKey] = result;
+	}
+
+	//	Function: `getBucketSampleRate(bucketKey: string)` - gets the fraction of calls sampled for profiling for the specified bucket as currently configured by the runtime configuraiton.
+	//	Parameter: `bucketKey: string` - the key of the bucket to query.
+	//	Runtime configuration field: `"buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".sampleRate"`
+	//	Returns: a number in the range [0, 1].
+	//	Remarks: Defaults to 1, i.e. all calls are profiled.
+	getBucketSampleRate(bucketKey)
+	{
+		this.runtimeConfigurator.asyncSmartRefresh();
+		const key = "buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".sampleRate";
+		const value = parseFloat(this[key]);
+		return isNaN(value) ? 1 : Math.min(1, Math.max(0, value));
+	}
+
+	//	Function: `getBucketSampleEvery(bucketKey: string)` - gets the deterministic sampling interval for the specified bucket as currently configured by the runtime configuraiton.
+	//	Parameter: `bucketKey: string` - the key of the bucket to query.
+	//	Runtime configuration field: `"buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".sampleEvery"`
+	//	Remarks: Defaults to 0; values greater than 1 cause every N-th call per profiling key to be profiled and take precedence over `sampleRate`.
+	getBucketSampleEvery(bucketKey)
+	{
+		this.runtimeConfigurator.asyncSmartRefresh();
+		const key = "buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".sampleEvery";
+		return Math.max(0, parseInt(this[key]) || 0);
+	}
+
+	//	Function: `getBucketResetIntervalMs(bucketKey: string)` - gets the automatic stats reset interval for the specified bucket as currently configured by the runtime configuraiton.
+	//	Parameter: `bucketKey: string` - the key of the bucket to query.
+	//	Runtime configuration field: `"buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".resetIntervalMs"`
+	//	Remarks: Defaults to 0, i.e. no automatic reset.
+	getBucketResetIntervalMs(bucketKey)
+	{
+		this.runtimeConfigurator.asyncSmartRefresh();
+		const key = "buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".resetIntervalMs";
+		return Math.max(0, parseInt(this[key]) || 0);
+	}
+
+	//	Function: Handles the changes of the bucket runtime configuration fields; the derived classes handle their own runtime configuration fields and call this function for all other fields.
+	runtimeConfiguration_changed(key, value, oldValue, source, ctimes)
+	{
+		switch (key)
+		{
+			case "overdueMs":
+				this.overdueMs = Math.max(0, parseInt(value) || 0) || this.runtimeInitial.overdueMs || 0;
+				this.onConfigurationChanged(key, this.overdueMs, oldValue, source, ctimes);
+				return;
+			case "maxKeysPerBucket":
+				this.maxKeysPerBucket = Math.max(0, parseInt(value) || 0) || this.runtimeInitial.maxKeysPerBucket || 0;
+				this.onConfigurationChanged(key, this.maxKeysPerBucket, oldValue, source, ctimes);
+				return;
+			case "keyOverflowPolicy":
+				this.keyOverflowPolicy = value === "evict" || value === "other" ? value : this.runtimeInitial.keyOverflowPolicy === "evict" ? "evict" : "other";
+				this.onConfigurationChanged(key, this.keyOverflowPolicy, oldValue, source, ctimes);
+				return;
+			case "processStats":
+				this.processStats = value === true || value === false ? value : this.runtimeInitial.processStats === true;
+				this.onConfigurationChanged(key, this.processStats, oldValue, source, ctimes);
+				return;
+		}
+
+		if (key.indexOf("keyNormalizers.") === 0)
+		{
+			this[key] = value;
+			this.keyNormalizerCache = {};
+			this.onConfigurationChanged(key, value, oldValue, source, ctimes);
+			return;
+		}
+
+		if (key.indexOf("namespaces.") === 0)
+		{
+			this[ProfilerNamespace.mapConfigurationKey(key)] = value;
+			this.clearBucketCaches(key);
+			this.onConfigurationChanged(key, value, oldValue, source, ctimes);
+			return;
+		}
+
+		if (key.indexOf("buckets.") === 0)
+		{
+			this[key] = value;
+			this.clearBucketCaches(key);
+			this.onConfigurationChanged(key, value, oldValue, source, ctimes);
+		}
+	}
+
+	//	Function: `clearBucketCaches(key: string): void` - clears the cached bucket configuration objects affected by a change of the specified runtime configuration field.
+	//	Parameter: `key: string` - the `"buckets.*"` or `"namespaces.*"` runtime configuration field that has been changed.
+	//	Remarks: Derived classes that cache further bucket configuration objects should override this function and call the base implementation.
+	clearBucketCaches(key)
+	{
+		if (key.indexOf(".keyNormalizers.") !== -1) this.keyNormalizerCache = {};
+		if (key.indexOf(".groupBy") !== -1) this.groupByCache = {};
+		if (key.indexOf(".slowMs") !== -1) this.slowHitRulesCache = {};
+	}
+}
+
+module.exports = DataCollectorBase;
+module.exports.DataCollectorBase = module.exports;
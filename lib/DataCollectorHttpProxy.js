@@ -1,8 +1,7 @@
 ﻿"use strict";
 
-const EventEmitter = require("events");
-
-const RuntimeConfigurator = require("./RuntimeConfigurator");
+const { DataCollectorBase } = require("./DataCollectorBase.js");
+const { ProfilerNamespace } = require("./ProfilerNamespace.js");
 
 const fetch = require("node-fetch-commonjs");
 
@@ -12,13 +11,32 @@ const fetch = require("node-fetch-commonjs");
 //		* "proxy.sourceKey" - this key is used by the remote logging server as part of the log file paths allowing for multiple application servers to feed data to a single logging server
 //		* "proxy.requestTimeoutMs" - specifies a timeout for HTTP requests before abortion.
 //		* "proxy.failureTimeoutMs" - specifies the time between reporting repeated HTTP request failures.
+//		* `"overdueMs"` - specifies the default threshold in milliseconds after which an open profiling hit is reported as overdue (see `Profiler.onHitOverdue`).
+//		* `"maxKeysPerBucket"` - specifies the default maximum number of distinct profiling keys tracked per bucket (see `Profiler` key limits).
+//		* `"keyOverflowPolicy"` - specifies the default handling of new profiling keys in buckets that have reached their key limit, `"other"` or `"evict"`.
+//		* `"keyNormalizers"` - specifies the default rules for rewriting dynamic parts of profiling keys into placeholders before the stats lookup (see `KeyNormalizer`).
+//		* `"processStats"` - specifies whether process CPU time and heap usage are collected per profiling hit.
 //		* `"buckets.<bucketKey>.enabled"` - specifies explicitly whether the bucket key should be logged or not; `void 0` or `true` mean yes, `false` means no.
+//		* `"buckets.<bucketKey>.overdueMs"` - specifies explicitly the overdue hit threshold for the particular bucket; `0` disables overdue hit detection for the bucket.
+//		* `"buckets.<bucketKey>.maxKeys"` - specifies explicitly the maximum number of distinct profiling keys tracked for the particular bucket; `0` means no limit.
+//		* `"buckets.<bucketKey>.keyOverflowPolicy"` - specifies explicitly the key overflow policy (`"other"` or `"evict"`) for the particular bucket.
+//		* `"buckets.<bucketKey>.keyNormalizers"` - specifies explicitly the profiling key normalization rules for the particular bucket, e.g. `["uuid", "objectid", "number"]`.
+//		* `"buckets.<bucketKey>.processStats"` - specifies explicitly whether process CPU time and heap usage are collected per profiling hit for the particular bucket.
+//		* `"namespaces.<name>.enabled"` - specifies explicitly whether the buckets of the profiler namespace (see `ProfilerNamespace`) should be logged or not; `void 0` or `true` mean yes, `false` means no.
+//		* `"namespaces.<name>.buckets.<bucketKey>.*"` - the bucket runtime configuration fields for the buckets of the profiler namespace, e.g. `"namespaces.mylib.buckets.CRUD.sortColumn"`.
+//		* `"buckets.<bucketKey>.sampleRate"` - specifies the fraction (0..1) of calls profiled for the particular bucket; unsampled calls are only counted; `void 0` or `1` mean all calls are profiled.
+//		* `"buckets.<bucketKey>.sampleEvery"` - specifies that only every N-th call per profiling key is profiled for the particular bucket; takes precedence over `sampleRate`.
+//		* `"buckets.<bucketKey>.resetIntervalMs"` - specifies an interval in milliseconds after which the stats for the particular bucket are reset automatically (see `Profiler.reset`).
+//		* `"buckets.<bucketKey>.groupBy"` - specifies the names of the hit tags the stats of every profiling key of the particular bucket are broken down by (see `TagGroupStats`).
+//		* `"buckets.<bucketKey>.maxTagValues"` - specifies the maximum number of distinct values tracked per tag and profiling key for the particular bucket.
+//		* `"buckets.<bucketKey>.slowMs"` - specifies a threshold in milliseconds above which a finished profiling hit of the particular bucket is a slow hit (see `Profiler.onHitSlow`).
+//		* `"buckets.<bucketKey>.slowMsPatterns"` - specifies per profiling key slow hit thresholds for the particular bucket (see `SlowHitRules`).
 //	Events: `DataCollector` emits the following events:
 //		* `"info"`, arguments: `message`
 //		* `"error"`, arguments: `ncode, message, ex`
 //		* `"configurationChanged"`, arguments: `key, value, oldValue, source, ctimes`
 //	See also: `DataCollectorServer`.
-class DataCollectorHttpProxy extends EventEmitter
+class DataCollectorHttpProxy extends DataCollectorBase
 {
 	//	Constructor: Creates a new instance of the `DataCollectorHttpProxy` class.
 	//	Parameter: `par: object` - required.
@@ -32,34 +50,18 @@ class DataCollectorHttpProxy extends EventEmitter
 	//	Parameter: `par.runtimeInitial.failureTimeoutMs: uint` - required; specifies the time between reporting repeated HTTP request failures until overwritten by the runtime configuration.
 	constructor(par)
 	{
-		super();
-
-		this.runtimeConfigurator = par.runtimeConfigurator;
-		this.runtimeConfigurator.on("changed", this.runtimeConfiguration_changed.bind(this));
-		this.runtimeInitial = par.runtimeInitial;
+		super(par);
 
 		this.uri = par.runtimeInitial.uri;
 		this.sourceKey = par.runtimeInitial.sourceKey;
 		this.requestTimeoutMs = par.runtimeInitial.requestTimeoutMs;
 		this.failureTimeoutMs = par.runtimeInitial.failureTimeoutMs;
-		for (const key in this.runtimeInitial) if (key.indexOf("buckets.") === 0) this[key] = this.runtimeInitial[key];
 
 		this.failureCounter = 0;
 		this.failureTime = null;
 		this.remoteConfigPollingTimer = null;
 	}
 
-	//	Function: Fires the "configurationChanged" event whenever a runtime configuration property's value has been changed.
-	//	Parameter: `key: string` - the full property object path in the form `propName1.propName2.propName2...`.
-	//	Parameter: `value: any` - the new value of the property.
-	//	Parameter: `oldValue: any` - the old value of the property; on first configuration read `oldValue` is always undefined.
-	//	Parameter: `source: string` - indicates the source for the update of ths setting (see `RuntimeConfigurator.onChanged`, `RemoteRuntimeConfigurator.onChanged`).
-	// Parameter: `ctimes: { commandFile: uint | null, configurationFile: uint | null } - `null` times mean the corresponding file could not be accessed for whatever reason; not set with `source === "prop"`.
-	onConfigurationChanged(key, value, oldValue, source, ctimes)
-	{
-		this.emit("configurationChanged", key, value, oldValue, source, ctimes);
-	}
-
 	//	Function: Fires the "info" event whenever operation information is available.
 	//	Parameter: `message: string` - additional details about the error.
 	onInfo(message)
@@ -67,15 +69,6 @@ class DataCollectorHttpProxy extends EventEmitter
 		this.emit("info", message);
 	}
 
-	//	Function: Fires the "error" event whenever a recoverable exception occurs.
-	//	Parameter: `ncode: number` - a unique identifier for the codepoint where the error was intercepted.
-	//	Parameter: `ex: Error` - the exception instance.
-	//	Parameter: `message: string` - additional details about the error.
-	onError(ncode, message, ex)
-	{
-		this.emit("error", ncode, message, ex);
-	}
-
 	//	Function: `log(bucketKey: string, text: string): void` - Transmits the input logging data to the configured logging server in a non-blocking way.
 	//	Parameter: `bucketKey: string` - a key for grouping and configuration management of profiling data at log-file level; a single profiling bucket usually corresponds to a single
 	//		profiling hit point in the code, for Ex. `"CRUD"`, `"REST"`, `"RPC"`, `"VerySpecificSuspiciousLoop"`.
@@ -88,6 +81,7 @@ class DataCollectorHttpProxy extends EventEmitter
 		{
 			time: new Date(),
 			bucketKey,								//	the logging server will distinguish between *logging-* and profiling data based on the presence or absense of the `hit` property (see `this.feed`)
+			namespaceName: ProfilerNamespace.getNamespaceName(bucketKey),		//	registered by the logging server (see `ProfilerNamespace.register`)
 			text,
 			sourceKey: this.sourceKey,
 		};
@@ -104,12 +98,44 @@ class DataCollectorHttpProxy extends EventEmitter
 		const body =
 		{
 			hit,									//	the logging server will distinguish between logging- and *profiling* data based on the presence or absense of the `hit` property (see `this.log`)
+			namespaceName: ProfilerNamespace.getNamespaceName(hit.bucketKey),
 			targetStats,
 			sourceKey: this.sourceKey,
 		};
 		return this._postLogData(body, "/feed");	//	no await necessary
 	}
 
+	//	Function: `reset(bucketKey: string | null, reason: string): void` - Requests the configured logging server to log the final stats table and clear the collected stats for the specified bucket
+	//		or for all buckets in a non-blocking way.
+	//	Parameter: `bucketKey: string | null` - optional; the key of the bucket to reset; if not set, all buckets are reset.
+	//	Parameter: `reason: string` - optional; a short text explaining the reset, included in the log.
+	reset(bucketKey = null, reason = "reset")
+	{
+		const body =
+		{
+			command: "reset",						//	the logging server will handle commands before distinguishing between logging- and profiling data
+			bucketKey,
+			reason,
+			sourceKey: this.sourceKey,
+		};
+		return this._postLogData(body, "/feed");	//	no await necessary
+	}
+
+	//	Function: `evict(bucketKey: string, key: string): void` - Requests the configured logging server to remove the collected stats for the specified profiling key in a non-blocking way.
+	//	Parameter: `bucketKey: string` - required; the key of the bucket of the profiling key.
+	//	Parameter: `key: string` - required; the profiling key to remove.
+	evict(bucketKey, key)
+	{
+		const body =
+		{
+			command: "evict",
+			bucketKey,
+			key,
+			sourceKey: this.sourceKey,
+		};
+		return this._postLogData(body, "/feed");	//	no await necessary
+	}
+
 	//	Function: `flush(callback(): void): void` - `DataCollectorHttpProxy` does not collect data that needs to be flushed, hence this method immediately calls `callback` and returns.
 	//	Parameter: `callback(err): void` - required; a callback that is called immediately.
 	//	Remarks: This method does nothing.
@@ -174,35 +200,10 @@ class DataCollectorHttpProxy extends EventEmitter
 		result.push({ setting: fp + "sourceKey", type: "runtime", value: this.sourceKey });
 		result.push({ setting: fp + "requestTimeoutMs", type: "runtime", value: this.requestTimeoutMs });
 		result.push({ setting: fp + "failureTimeoutMs", type: "runtime", value: this.failureTimeoutMs });
-		for (const key in this) if (key.indexOf("buckets.") === 0) result.push({ setting: fp + key, type: "runtime", value: this[key] });
+		result = result.concat(this.getBucketConfigurationLines(prefix));
 		return result;
 	}
 
-	//	Property: Gets the enabled state for the data collector as currently configured by the runtime configuraiton.
-	//	Remarks:
-	//		Disabling the data collector effectively disables any profiling and logging, except for machine stats collection (see `MachineStats`).
-	get enabled()
-	{
-		this.runtimeConfigurator.asyncSmartRefresh();
-		return this.runtimeConfigurator.enabled;
-	}
-
-	//	Function: `isBucketEnabled(bucketKey: string)` - gets the enabled state for the specified bucket as currently configured by the runtime configuraiton.
-	//	Parameter: `bucketKey: string` - the key of the bucket to test.
-	//	Runtime configuration field: `"buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".enabled"`
-	//	Remarks: This function ignores the data collector enabled state. The full code to test the effective enabled state of a bucket would be:
-	//	```
-	//		if (!dataCollector.enabled) return false;
-	//		if (!bucketKey) return true;
-	//		return dataCollector.isBucketEnabled(bucketKey);
-	//	```
-	isBucketEnabled(bucketKey)
-	{
-		this.runtimeConfigurator.asyncSmartRefresh();
-		const key = "buckets." + RuntimeConfigurator.escapeConfigurationKeySegment(bucketKey) + ".enabled";
-		return this[key] !== false;
-	}
-
 	//	Function: Handles runtime configuration changes.
 	//	Remarks: Keep in sync with `DataCollectorHttpProxy.runtimeConfiguration_changed`!
 	runtimeConfiguration_changed(key, value, oldValue, source, ctimes)
@@ -233,11 +234,7 @@ class DataCollectorHttpProxy extends EventEmitter
 				return;
 		}
 
-		if (key.indexOf("buckets.") === 0)
-		{
-			this[key] = value;
-			this.onConfigurationChanged(key, value, oldValue, source, ctimes);
-		}
+		super.runtimeConfiguration_changed(key, value, oldValue, source, ctimes);
 	}
 
 	async _postLogData(data, endpoint)
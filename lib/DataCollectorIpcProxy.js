@@ -0,0 +1,77 @@
+"use strict";
+
+const cluster = require("cluster");
+
+const { DataCollectorWorkerProxy } = require("./DataCollectorWorkerProxy.js");
+
+//	Class: The `DataCollectorIpcProxy` class implements a transparent proxy for feeding profiling/logging data from a `cluster` worker process to the cluster primary process via
+//		`process.send`; the primary process receives the data with a `DataCollectorIpcServer` instance.
+//	Runtime configuration: `DataCollectorIpcProxy` is runtime-configuration-enabled and responds to the same runtime configuration property changes as `DataCollectorWorkerProxy`. The runtime
+//		configuration is read on the primary process and is sent to the worker (see `DataCollectorIpcServer`); the worker should use a `RemoteRuntimeConfigurator` instance, so that it
+//		doesn't poll the `__pfenable` and `__pfconfig` files on its own.
+//	Events: `DataCollectorIpcProxy` emits the same events as `DataCollectorWorkerProxy`.
+//	Remarks:
+//		`DataCollectorIpcProxy` only replaces the transport of `DataCollectorWorkerProxy`, the messages exchanged with the primary process are the same. All messages carry a `rawProfiler`
+//			property and are ignored by the application's own `message` event handlers that don't expect them.
+//		With the default `"json"` cluster serialization, the `Date` fields of the profiling data are sent as strings and are restored by `DataCollectorIpcServer`.
+//	Usage:
+//	```
+//		if (cluster.isPrimary)
+//		{
+//			__pf.createDataCollectorIpcServer().run();
+//			cluster.fork();
+//		}
+//		else
+//		{
+//			__pfconfig({ dataCollector: { type: "DataCollectorIpcProxy" } });
+//		}
+//	```
+//	See also: `DataCollectorIpcServer`, `DataCollectorWorkerProxy`.
+class DataCollectorIpcProxy extends DataCollectorWorkerProxy
+{
+	//	Constructor: Creates a new instance of the `DataCollectorIpcProxy` class.
+	//	Parameter: `par: object` - required.
+	//	Parameter: `par.runtimeConfigurator: RemoteRuntimeConfigurator` - required; `DataCollectorIpcProxy` subscribes to this instance and listens for runtime configuration changes and applies the
+	//		runtime configuration received from the primary process to this instance.
+	//	Parameter: `par.runtimeInitial: object` - optional; see `DataCollectorWorkerProxy`.
+	//	Remarks: The primary process sends the current runtime configuration on connect; until it has been received, the initial configuration is used.
+	constructor(par)
+	{
+		super(par);
+	}
+
+	//	Function: Handles the runtime configuration messages sent by the primary process (see `DataCollectorIpcServer`).
+	process_message(message)
+	{
+		return this.port_message(message);
+	}
+
+	//	subscribes to the messages from the primary process and sends the connect message to it
+	_connect(par)
+	{
+		if (!process.send) throw new Error(`Invalid operation: "DataCollectorIpcProxy" can only be used inside a cluster worker process.`);
+
+		this.workerId = cluster.worker?.id;
+		this.configurationSource = "primary";
+		//	the worker processes keep their own stats epochs, every worker process is logged by a separate data collector of the primary process (see `DataCollectorIpcServer`)
+		this.remoteEpochs = false;
+		process.on("message", this.process_message.bind(this));
+		this._postMessage({ rawProfiler: "connect" });
+	}
+
+	_postMessage(message)
+	{
+		try
+		{
+			if (!process.connected) return;
+			process.send(message, null, {}, ex => ex && this.onError(59576331, "IPC message exception", ex));
+		}
+		catch (ex)
+		{
+			this.onError(59576332, "IPC message exception", ex);
+		}
+	}
+}
+
+module.exports = DataCollectorIpcProxy;
+module.exports.DataCollectorIpcProxy = module.exports;
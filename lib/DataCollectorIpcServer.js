@@ -0,0 +1,209 @@
+"use strict";
+
+const EventEmitter = require("events");
+const cluster = require("cluster");
+
+const { DataCollectorWorkerProxy } = require("./DataCollectorWorkerProxy.js");
+const { ProfilerNamespace } = require("./ProfilerNamespace.js");
+
+//	Class: The `DataCollectorIpcServer` class receives the profiling/logging data sent by `DataCollectorIpcProxy` instances in `cluster` worker processes and routes it to per-worker data
+//		collectors and to a combined data collector for all workers; runs on the cluster primary process.
+//	Events: `DataCollectorIpcServer` emits the following events:
+//		* `"info"`, arguments: `message`
+//		* `"error"`, arguments: `ncode, message, ex`
+//	Remarks:
+//		The data of every worker is fed to a data collector with `sourceKey` `"worker-<worker.id>"`. If `par.combined` is set, the data of all workers is also fed to a data collector with
+//			`sourceKey` `"cluster"`: `" [worker <worker.id>]"` is appended to the profiling keys (see `DataCollectorIpcServer.getWorkerKey`), `"[worker <worker.id>] "` is prepended to the
+//			logging lines and the hits get a `workerId` property; the workers' profiling keys thus appear as separate rows in the combined stats tables.
+//		The runtime configuration of the primary process is sent to every worker on connect and on every change. The configuration files are polled every
+//			`runtimeConfigurator.refreshSilenceTimeoutMs` milliseconds even if no worker sends data, so that workers with disabled profiling get re-enabled.
+//	See also: `DataCollectorIpcProxy`, `DataCollectorServer`.
+class DataCollectorIpcServer extends EventEmitter
+{
+	//	Constructor: Creates a new instance of the `DataCollectorIpcServer` class.
+	//	Parameter: `par: object` - required.
+	//	Parameter: `par.createDataCollector(sourceKey: string, config: object): DataCollector | { feed(targetStats, hit): void, log(bucketKey, text, time): void }` - required; a callback
+	//		used by the `DataCollectorIpcServer` to instantiate new data collector instances (see `DataCollectorServer`).
+	//	Parameter: `par.runtimeConfigurator: RuntimeConfigurator` - required; the runtime configuration of the primary process; sent to the workers on connect and on every change.
+	//	Parameter: `par.combined: boolean` - optional, defaults to `true`; whether to feed the data of all workers also to a combined data collector.
+	constructor(par)
+	{
+		super();
+
+		if (!par) throw new Error(`Argument is null: "par".`);
+		if (!par.createDataCollector) throw new Error(`Argument is null: "par.createDataCollector".`);
+		if (!par.runtimeConfigurator) throw new Error(`Argument is null: "par.runtimeConfigurator".`);
+
+		this.createDataCollector = par.createDataCollector;
+		this.runtimeConfigurator = par.runtimeConfigurator;
+		this.combined = par.combined !== false;
+
+		this.dataCollectors = {};
+		this.workers = new Set();		//	the workers that have connected via `DataCollectorIpcProxy`
+		this.refreshIntervalId = null;
+
+		this.cluster_message = this.cluster_message.bind(this);
+		this.runtimeConfiguration_changed = this.runtimeConfiguration_changed.bind(this);
+	}
+
+	//	Function: Fires the "info" event whenever operation information is available.
+	//	Parameter: `message: string` - additional details about the error.
+	onInfo(message)
+	{
+		this.emit("info", message);
+	}
+
+	//	Function: Fires the "error" event whenever a recoverable exception occurs.
+	//	Parameter: `ncode: number` - a unique identifier for the codepoint where the error was intercepted.
+	//	Parameter: `ex: Error` - the exception instance.
+	//	Parameter: `message: string` - additional details about the error.
+	onError(ncode, message, ex)
+	{
+		this.emit("error", ncode, message, ex);
+	}
+
+	//	Function: `run(): DataCollectorIpcServer` - starts receiving data from the cluster workers.
+	//	Remarks: Must be called on the cluster primary process; workers forked before the call are served as soon as they connect.
+	run()
+	{
+		if (!cluster.isPrimary) throw new Error(`Invalid operation: "DataCollectorIpcServer" can only be used on the cluster primary process.`);
+		if (this.refreshIntervalId) return this;
+
+		cluster.on("message", this.cluster_message);
+		this.runtimeConfigurator.on("changed", this.runtimeConfiguration_changed);
+		this.refreshIntervalId = setInterval(() => this.runtimeConfigurator.asyncSmartRefresh(), this.runtimeConfigurator.refreshSilenceTimeoutMs || 5000);
+		this.refreshIntervalId.unref();
+		this.onInfo(`Data collector IPC server listening for cluster workers`);
+		return this;
+	}
+
+	//	Function: `stop(): void` - stops receiving data from the cluster workers.
+	stop()
+	{
+		if (!this.refreshIntervalId) return;
+
+		cluster.off("message", this.cluster_message);
+		this.runtimeConfigurator.off("changed", this.runtimeConfiguration_changed);
+		clearInterval(this.refreshIntervalId);
+		this.refreshIntervalId = null;
+		this.workers.clear();
+	}
+
+	//	Function: `printConfigurationLines(): string` - returns a string containing a formatted multiline list of all effective configuration settings related to the server and to profiling.
+	//	Remarks: "preconf" - a hardcoded setting that cannot be modified at run time; "runtime" - a setting can be modified at run time.
+	printConfigurationLines()
+	{
+		const runtimeConfiguratorLines = this.runtimeConfigurator.getConfigurationLines("runtimeConfigurator");
+
+		let sb = "";
+		sb += `[raw-profiler] *preconf* combined = ${JSON.stringify(this.combined)}`;
+		for (let length = runtimeConfiguratorLines.length, i = 0; i < length; ++i)
+		{
+			const item = runtimeConfiguratorLines[i];
+			sb += "\n" + `[raw-profiler] *${item.type}* ${item.setting} = ${JSON.stringify(item.value)}`;
+			item.explanation && (sb += ` (${item.explanation})`);
+		}
+		for (const key in this.dataCollectors)
+		{
+			sb += "\n[raw-profiler] ---------------------------------\n" + `[raw-profiler] data collector ${key}` + "\n[raw-profiler] ---------------------------------";
+			const outcome = this.dataCollectors[key].getConfigurationLines?.("dataCollector") || [];
+			for (let length = outcome.length, i = 0; i < length; ++i)
+			{
+				const item = outcome[i];
+				sb += "\n[raw-profiler] " + `*${item.type}* ${item.setting} = ${JSON.stringify(item.value)}`;
+				item.explanation && (sb += ` (${item.explanation})`);
+			}
+		}
+		return sb;
+	}
+
+	//	Function: Handles the messages sent by `DataCollectorIpcProxy` instances.
+	//	Remarks: Messages without a `rawProfiler` property are ignored.
+	cluster_message(worker, message)
+	{
+		if (!message?.rawProfiler) return;
+		try
+		{
+			if (message.namespaceName) ProfilerNamespace.register(message.namespaceName);
+			switch (message.rawProfiler)
+			{
+				case "connect":
+					this.workers.add(worker);
+					return this.runtimeConfigurator.asyncSmartRefresh(() => this._send(worker, DataCollectorWorkerProxy.getConfigurationSnapshot(this.runtimeConfigurator)));
+				case "feed":
+				{
+					const hit = message.hit;
+					const targetStats = message.targetStats;
+					hit.time = new Date(hit.time);
+					targetStats.maxDateTime = new Date(targetStats.maxDateTime);
+					if (targetStats.lastErrorTime) targetStats.lastErrorTime = new Date(targetStats.lastErrorTime);
+					hit.workerId = worker.id;
+					this._ensureDataCollector(`worker-${worker.id}`).feed(targetStats, hit);
+					if (!this.combined) return;
+					const key = DataCollectorIpcServer.getWorkerKey(hit.key, worker.id);
+					return this._ensureDataCollector("cluster").feed(Object.assign({}, targetStats, { key }), Object.assign({}, hit, { key }));
+				}
+				case "log":
+				{
+					const time = new Date(message.time);
+					this._ensureDataCollector(`worker-${worker.id}`).log(message.bucketKey, message.text, time);
+					if (!this.combined) return;
+					return this._ensureDataCollector("cluster").log(message.bucketKey, `[worker ${worker.id}] ${message.text}`, time);
+				}
+				case "reset":
+					this._ensureDataCollector(`worker-${worker.id}`).reset?.(message.bucketKey || null, message.reason);
+					if (!this.combined) return;
+					return this._ensureDataCollector("cluster").reset?.(message.bucketKey || null, message.reason);
+				case "evict":
+					this._ensureDataCollector(`worker-${worker.id}`).evict?.(message.bucketKey, message.key);
+					if (!this.combined) return;
+					return this._ensureDataCollector("cluster").evict?.(message.bucketKey, DataCollectorIpcServer.getWorkerKey(message.key, worker.id));
+			}
+		}
+		catch (ex)
+		{
+			this.onError(59576340, "Uncaught exception, please report to raw-profiler vendor", ex);
+		}
+	}
+
+	//	Function: Forwards runtime configuration changes to all connected workers.
+	runtimeConfiguration_changed(key, value, oldValue)
+	{
+		for (const worker of this.workers) this._send(worker, { [key]: { value, oldValue } });
+	}
+
+	_send(worker, deltaConfig)
+	{
+		if (!worker.isConnected())
+		{
+			this.workers.delete(worker);
+			return;
+		}
+		try
+		{
+			worker.send({ rawProfiler: "configDelta", deltaConfig }, null, {}, ex => ex && this.onError(59576341, "IPC message exception", ex));
+		}
+		catch (ex)
+		{
+			this.onError(59576342, "IPC message exception", ex);
+		}
+	}
+
+	_ensureDataCollector(sourceKey)
+	{
+		let result = this.dataCollectors[sourceKey];
+		if (result) return result;
+		result = this.dataCollectors[sourceKey] = this.createDataCollector(sourceKey, this.runtimeConfigurator.data);
+		this.onInfo(`Profiling client connected: "${sourceKey}".`);
+		return result;
+	}
+
+	//	Function: `getWorkerKey(key: string, workerId: uint): string` - returns the profiling key used by the combined data collector for the profiling key of a worker, e.g. `"READ users [worker 1]"`.
+	static getWorkerKey(key, workerId)
+	{
+		return `${key} [worker ${workerId}]`;
+	}
+}
+
+module.exports = DataCollectorIpcServer;
+module.exports.DataCollectorIpcServer = module.exports;
@@ -2,6 +2,8 @@
 
 const EventEmitter = require("events");
 
+const { ProfilerNamespace } = require("./ProfilerNamespace.js");
+
 //	Class: The `DataCollectorServer` class provides the necessary facilities to launch a loggin server.
 //	Events: `DataCollector` emits the following events:
 //		* `"info"`, arguments: `message`
@@ -141,16 +143,29 @@ class DataCollectorServer extends EventEmitter
 
 		//	`req.body.hit` - required
 		//	`req.body.targetStats` - required
+		//	`req.body.command: "reset" | "evict"` - optional; if set, `req.body.bucketKey` and `req.body.reason` (with `"reset"`) or `req.body.key` (with `"evict"`) specify the command arguments
+		//		and no profiling or logging data is expected
+		//	`req.body.namespaceName: string` - optional; the namespace of the bucket of the profiling or logging data, registered before the data is handled (see `ProfilerNamespace.register`)
 		//	`req.body.cts: [uint, uint]` - optional, only in remote config mode
 		app.post("/feed", (req, res) =>
 		{
 			const sourceKey = __getSource(req, res);
+			if (req.body.namespaceName) ProfilerNamespace.register(req.body.namespaceName);
 
-			if (req.body.hit)	//	profiling hit
+			if (req.body.command === "reset")	//	stats reset command
+			{
+				this._ensureDataCollector(sourceKey).reset?.(req.body.bucketKey || null, req.body.reason);
+			}
+			else if (req.body.command === "evict")	//	profiling key eviction command
+			{
+				this._ensureDataCollector(sourceKey).evict?.(req.body.bucketKey, req.body.key);
+			}
+			else if (req.body.hit)	//	profiling hit
 			{
 				
 				req.body.hit.time = new Date(req.body.hit.time);
 				req.body.targetStats.maxDateTime = new Date(req.body.targetStats.maxDateTime);
+				if (req.body.targetStats.lastErrorTime) req.body.targetStats.lastErrorTime = new Date(req.body.targetStats.lastErrorTime);
 				this._ensureDataCollector(sourceKey).feed(req.body.targetStats, req.body.hit);
 			}
 			else				//	logging data
@@ -0,0 +1,327 @@
+"use strict";
+
+const worker_threads = require("worker_threads");
+
+const { DataCollectorBase } = require("./DataCollectorBase.js");
+const { ProfilerNamespace } = require("./ProfilerNamespace.js");
+
+//	the value of the `rawProfiler` property of the messages exchanged between `DataCollectorWorkerProxy` and the main thread; the `MESSAGE_CONNECT` message is sent via the worker's
+//		port to the main thread and is ignored by the application's own message handlers that don't expect it, all other messages are exchanged via a dedicated `MessageChannel`
+const MESSAGE_CONNECT = "connect";
+const MESSAGE_FEED = "feed";
+const MESSAGE_LOG = "log";
+const MESSAGE_RESET = "reset";
+const MESSAGE_EVICT = "evict";
+const MESSAGE_CONFIG_DELTA = "configDelta";
+
+//	Class: The `DataCollectorWorkerProxy` class implements a transparent proxy for feeding profiling/logging data from a `worker_threads` worker to the data collector of the main thread,
+//		so that the hits of all threads end up in a single set of stats tables and log files per process.
+//	Runtime configuration: `DataCollectorWorkerProxy` is runtime-configuration-enabled and responds to the same runtime configuration property changes as `DataCollectorHttpProxy`, except for
+//		the `"proxy.*"` fields. The runtime configuration is read on the main thread and is sent to the worker (see `DataCollectorWorkerProxy.attach`); the worker should use a
+//		`RemoteRuntimeConfigurator` instance, so that it doesn't poll the `__pfenable` and `__pfconfig` files on its own.
+//	Events: `DataCollectorWorkerProxy` emits the following events:
+//		* `"info"`, arguments: `message`
+//		* `"error"`, arguments: `ncode, message, ex`
+//		* `"configurationChanged"`, arguments: `key, value, oldValue, source, ctimes`
+//		* `"reset"`, arguments: `bucketKey, reason`; fired when the main thread has closed a stats epoch (see `Profiler.dataCollector_reset`)
+//	Remarks:
+//		The main thread tags the profiling data of every worker with the worker's thread id: `" [thread <threadId>]"` is appended to the profiling keys (see `DataCollectorWorkerProxy.getThreadKey`),
+//			`"[thread <threadId>] "` is prepended to the logging lines and the hits get a `threadId` property. The workers' profiling keys thus appear as separate rows in the stats tables
+//			of the main thread.
+//		The stats epochs of all threads are owned by the main thread: the `"buckets.<bucketKey>.resetIntervalMs"` timers run on the main thread only, and every reset of the main
+//			thread, incl. the resets requested by a worker (see `Profiler.reset`), clears the stats of the bucket on the main thread and in the `Profiler` of every connected worker.
+//	Usage:
+//	```
+//		//	main thread
+//		const worker = new Worker("./worker.js");
+//		__pf.attachWorker(worker);
+//
+//		//	worker.js
+//		require("raw-profiler").global();
+//		__pfconfig({ dataCollector: { type: "DataCollectorWorkerProxy" } });
+//	```
+//	See also: `DataCollectorHttpProxy`.
+class DataCollectorWorkerProxy extends DataCollectorBase
+{
+	//	Constructor: Creates a new instance of the `DataCollectorWorkerProxy` class.
+	//	Parameter: `par: object` - required.
+	//	Parameter: `par.runtimeConfigurator: RemoteRuntimeConfigurator` - required; `DataCollectorWorkerProxy` subscribes to this instance and listens for runtime configuration changes and applies the
+	//		runtime configuration received from the main thread to this instance.
+	//	Parameter: `par.runtimeInitial: { overdueMs: uint, maxKeysPerBucket: uint, keyOverflowPolicy: string, keyNormalizers: array, processStats: boolean, "buckets.*"... }` - optional;
+	//		`DataCollectorWorkerProxy` uses the values specified as properties to this object as initial configuration.
+	//	Parameter: `par.port: MessagePort` - optional, defaults to `worker_threads.parentPort`; the message port to the main thread, used only to send the port of a new dedicated
+	//		`MessageChannel` to the main thread.
+	//	Remarks: The main thread sends the current runtime configuration on connect; until it has been received, the initial configuration is used. The dedicated message channel doesn't
+	//		keep the worker alive.
+	constructor(par)
+	{
+		if (!par) throw new Error(`Argument is null: "par".`);
+		if (!par.runtimeConfigurator) throw new Error(`Argument is null: "par.runtimeConfigurator".`);
+
+		super(par);
+
+		this.threadId = worker_threads.threadId;
+
+		//	the `source` argument for the runtime configuration changes received from the main thread (see `RemoteRuntimeConfigurator.onChanged`)
+		this.configurationSource = "mainThread";
+		//	if `true`, the stats epochs are closed by the main thread and the worker's `Profiler` doesn't run its own reset timers (see `getBucketResetIntervalMs`)
+		this.remoteEpochs = true;
+		this._connect(par);
+	}
+
+	//	Function: Fires the "info" event whenever operation information is available.
+	//	Parameter: `message: string` - additional details about the error.
+	onInfo(message)
+	{
+		this.emit("info", message);
+	}
+
+	//	Function: `log(bucketKey: string, text: string): void` - Transmits the input logging data to the main thread.
+	//	Parameter: `bucketKey: string` - a key for grouping and configuration management of profiling data at log-file level; a single profiling bucket usually corresponds to a single
+	//		profiling hit point in the code, for Ex. `"CRUD"`, `"REST"`, `"RPC"`, `"VerySpecificSuspiciousLoop"`.
+	//	Parameter: `text: string` - a text used as a logging line.
+	log(bucketKey, text)
+	{
+		if (!this.isBucketEnabled(bucketKey)) return;
+		this._postMessage({ rawProfiler: MESSAGE_LOG, threadId: this.threadId, time: new Date(), bucketKey, namespaceName: ProfilerNamespace.getNamespaceName(bucketKey), text });
+	}
+
+	//	Function: `feed(targetStats: object, hit: object): void` - Transmits the input profiling data to the main thread.
+	//	Parameter: `targetStats: object` - required; the return value of a `ProfilerTarget.getStats()` call (see `ProfilerTarget.getStats` docs for details).
+	//	Parameter: `hit: object` - required; the return value of a `ProfilerTarget.hit()` call (see `ProfilerTarget.hit` docs for details).
+	feed(targetStats, hit)
+	{
+		if (!this.isBucketEnabled(hit.bucketKey)) return;
+		this._postMessage({ rawProfiler: MESSAGE_FEED, threadId: this.threadId, namespaceName: ProfilerNamespace.getNamespaceName(hit.bucketKey), targetStats, hit });
+	}
+
+	//	Function: `reset(bucketKey: string | null, reason: string): void` - Requests the main thread to log the final stats table and clear the collected stats of all threads for the specified bucket
+	//		or for all buckets.
+	//	Parameter: `bucketKey: string | null` - optional; the key of the bucket to reset; if not set, all buckets are reset.
+	//	Parameter: `reason: string` - optional; a short text explaining the reset, included in the log.
+	reset(bucketKey = null, reason = "reset")
+	{
+		this._postMessage({ rawProfiler: MESSAGE_RESET, threadId: this.threadId, bucketKey, reason });
+	}
+
+	//	Function: `evict(bucketKey: string, key: string): void` - Requests the main thread to remove the collected stats for the specified profiling key.
+	//	Parameter: `bucketKey: string` - required; the key of the bucket of the profiling key.
+	//	Parameter: `key: string` - required; the profiling key to remove.
+	evict(bucketKey, key)
+	{
+		this._postMessage({ rawProfiler: MESSAGE_EVICT, threadId: this.threadId, bucketKey, key });
+	}
+
+	//	Function: `getBucketResetIntervalMs(bucketKey: string): uint` - returns `0`, as the stats epochs of the worker are closed by the main thread (see `attach`).
+	//	Parameter: `bucketKey: string` - the key of the bucket to query.
+	getBucketResetIntervalMs(bucketKey)
+	{
+		return this.remoteEpochs ? 0 : super.getBucketResetIntervalMs(bucketKey);
+	}
+
+	//	Function: `flush(callback(): void): void` - `DataCollectorWorkerProxy` does not collect data that needs to be flushed, hence this method immediately calls `callback` and returns.
+	//	Parameter: `callback(err): void` - required; a callback that is called immediately.
+	//	Remarks: This method does nothing.
+	flush(callback)
+	{
+		return callback?.();
+	}
+
+	//	Function: `getConfigurationLines(prefix: string): [{ setting: string, type: string, value: *, explanation: string | undefined }]` - lists all configuration settings relevant for this instance.
+	//	Parameter: `prefix: string` - optional, defaults to null; if not `null`, `undefined` or `""`, the prefix followed by a period is prepended to all setting names.
+	//	Returns: A lists all configuration settings relevant for this instance, e.g.
+	//	```
+	//	//	with prefix === `dataCollectorWorkerProxy`
+	//	{
+	//		{ setting: "dataCollectorWorkerProxy.type", type: "preconf", value: "DataCollectorWorkerProxy" },
+	//		{ setting: "dataCollectorWorkerProxy.threadId", type: "preconf", value: 1 },
+	//		{ setting: "dataCollectorWorkerProxy.enabled", type: "runtime", value: true },
+	//		{ setting: "dataCollectorWorkerProxy.buckets.DB.enabled", type: "runtime", value: false },
+	//	}
+	//	```
+	getConfigurationLines(prefix = null)
+	{
+		const fp = prefix ? `${prefix}.` : "";
+		let result = [];
+		result.push({ setting: fp + "type", type: "preconf", value: this.constructor.name });
+		result.push({ setting: fp + "threadId", type: "preconf", value: this.threadId });
+		result.push({ setting: fp + "enabled", type: "runtime", value: this.enabled });
+		result = result.concat(this.getBucketConfigurationLines(prefix));
+		return result;
+	}
+
+	//	Function: Handles the runtime configuration and stats reset messages sent by the main thread (see `DataCollectorWorkerProxy.attach`).
+	port_message(message)
+	{
+		if (message?.rawProfiler === MESSAGE_RESET)
+		{
+			this.emit("reset", message.bucketKey, message.reason);
+			return;
+		}
+		if (message?.rawProfiler !== MESSAGE_CONFIG_DELTA) return;
+		if (!this.runtimeConfigurator.applyConfigurationDelta)
+		{
+			this.onError(59576322, `Runtime configuration received from the ${this.configurationSource} cannot be applied, a "RemoteRuntimeConfigurator" instance is required.`, new Error(`Invalid operation.`));
+			return;
+		}
+		this.runtimeConfigurator.applyConfigurationDelta(message.deltaConfig, this.configurationSource).catch(ex => this.onError(59576323, "Runtime configuration exception", ex));
+	}
+
+	//	creates the dedicated message channel and sends its other end to the main thread; overridden by `DataCollectorIpcProxy`
+	_connect(par)
+	{
+		const port = par.port || worker_threads.parentPort;
+		if (!port) throw new Error(`Invalid operation: "DataCollectorWorkerProxy" can only be used inside a worker thread or with "par.port" set.`);
+
+		const channel = new worker_threads.MessageChannel();
+		this.port = channel.port1;
+		this.port.on("message", this.port_message.bind(this));
+		this.port.unref();
+		port.postMessage({ rawProfiler: MESSAGE_CONNECT, threadId: this.threadId, port: channel.port2 }, [channel.port2]);
+	}
+
+	//	overridden by `DataCollectorIpcProxy`
+	_postMessage(message)
+	{
+		try
+		{
+			this.port.postMessage(message);
+		}
+		catch (ex)
+		{
+			this.onError(59576321, "Worker message exception", ex);
+		}
+	}
+
+	//	Function: `attach(worker: Worker | MessagePort, par: { profiler: Profiler, runtimeConfigurator: RuntimeConfigurator | RemoteRuntimeConfigurator }): function(): void` - connects a worker
+	//		that uses `DataCollectorWorkerProxy` to the data collector of the main thread; call on the main thread.
+	//	Parameter: `worker: Worker | MessagePort` - required; the worker or the message port to the worker's `DataCollectorWorkerProxy` (see the constructor's `par.port`).
+	//	Parameter: `par.profiler: Profiler` - required; the profiler instance of the main thread; the worker's profiling data is fed to its current data collector.
+	//	Parameter: `par.runtimeConfigurator: RuntimeConfigurator | RemoteRuntimeConfigurator` - required; the runtime configuration of the main thread; sent to the worker on request and on every change.
+	//	Returns: a function that disconnects the worker; the worker is disconnected automatically when it exits.
+	//	Remarks: A worker can connect multiple times, e.g. when it reconfigures the profiler; all connections are served until the worker exits or `detach` is called.
+	//		The resets of `par.profiler` are forwarded to the worker (see `Profiler.onReset`); the resets requested by the worker are performed by `par.profiler`, so that the stats epoch
+	//		of the bucket is closed for all threads at once.
+	static attach(worker, par)
+	{
+		if (!worker) throw new Error(`Argument is null: "worker".`);
+		if (!par?.profiler) throw new Error(`Argument is null: "par.profiler".`);
+		if (!par.runtimeConfigurator) throw new Error(`Argument is null: "par.runtimeConfigurator".`);
+
+		const profiler = par.profiler;
+		const runtimeConfigurator = par.runtimeConfigurator;
+
+		//	a map of `(port, listener)` pairs holding the ports of the dedicated message channels of the connected `DataCollectorWorkerProxy` instances
+		const ports = new Map();
+		//	the port of the worker whose reset request is being performed, which doesn't need to be notified about the reset
+		let resettingPort = null;
+
+		const post = (port, message) =>
+		{
+			try
+			{
+				port.postMessage(message);
+			}
+			catch (ex)
+			{
+				profiler.onError(3456348778, "Worker message exception", ex);
+			}
+		};
+		const disconnect = port =>
+		{
+			const listener = ports.get(port);
+			if (!listener) return;
+			ports.delete(port);
+			port.off("message", listener);
+			port.close();
+		};
+		const onWorkerMessage = message =>
+		{
+			if (message?.rawProfiler !== MESSAGE_CONNECT || !message.port) return;
+			const port = message.port;
+			const listener = message => onPortMessage(port, message);
+			ports.set(port, listener);
+			port.on("message", listener);
+			port.once("close", () => disconnect(port));
+			runtimeConfigurator.asyncSmartRefresh(() => post(port, { rawProfiler: MESSAGE_CONFIG_DELTA, deltaConfig: DataCollectorWorkerProxy.getConfigurationSnapshot(runtimeConfigurator) }));
+		};
+		const onPortMessage = (port, message) =>
+		{
+			try
+			{
+				const dataCollector = profiler.dataCollector;
+				if (message?.namespaceName) ProfilerNamespace.register(message.namespaceName);
+				switch (message?.rawProfiler)
+				{
+					case MESSAGE_FEED:
+						message.hit.threadId = message.threadId;
+						message.hit.key = DataCollectorWorkerProxy.getThreadKey(message.hit.key, message.threadId);
+						message.targetStats.key = message.hit.key;
+						profiler.scheduleEpoch(message.hit.bucketKey);
+						return dataCollector.feed(message.targetStats, message.hit);
+					case MESSAGE_LOG:
+						return dataCollector.log(message.bucketKey, `[thread ${message.threadId}] ${message.text}`, message.time);
+					case MESSAGE_RESET:
+						resettingPort = port;
+						try
+						{
+							return profiler.reset(message.bucketKey || null, message.reason);
+						}
+						finally
+						{
+							resettingPort = null;
+						}
+					case MESSAGE_EVICT:
+						return dataCollector.evict?.(message.bucketKey, DataCollectorWorkerProxy.getThreadKey(message.key, message.threadId));
+				}
+			}
+			catch (ex)
+			{
+				profiler.onError(3456348779, "Uncaught exception, please report to raw-profiler vendor", ex);
+			}
+		};
+		const onChanged = (key, value, oldValue) =>
+		{
+			for (const port of ports.keys()) post(port, { rawProfiler: MESSAGE_CONFIG_DELTA, deltaConfig: { [key]: { value, oldValue } } });
+		};
+		const onReset = (bucketKey, reason) =>
+		{
+			for (const port of ports.keys()) if (port !== resettingPort) post(port, { rawProfiler: MESSAGE_RESET, bucketKey, reason });
+		};
+
+		const detach = () =>
+		{
+			worker.off("message", onWorkerMessage);
+			worker.off("exit", detach);
+			worker.off("close", detach);
+			runtimeConfigurator.off("changed", onChanged);
+			profiler.off("reset", onReset);
+			for (const port of [...ports.keys()]) disconnect(port);
+		};
+
+		worker.on("message", onWorkerMessage);
+		worker.once("exit", detach);		//	`Worker`
+		worker.once("close", detach);		//	`MessagePort`
+		runtimeConfigurator.on("changed", onChanged);
+		profiler.on("reset", onReset);
+		return detach;
+	}
+
+	//	Function: `getConfigurationSnapshot(runtimeConfigurator: RuntimeConfigurator | RemoteRuntimeConfigurator): object` - returns all runtime configuration fields currently set, incl. `"enabled"`,
+	//		in the form accepted by `RemoteRuntimeConfigurator.applyConfigurationDelta`, i.e. `{ "property.name": { value, oldValue: void 0 } }`.
+	static getConfigurationSnapshot(runtimeConfigurator)
+	{
+		const result = { enabled: { value: runtimeConfigurator.enabled, oldValue: void 0 } };
+		for (const key in runtimeConfigurator.data) if (runtimeConfigurator.data[key] !== void 0) result[key] = { value: runtimeConfigurator.data[key], oldValue: void 0 };
+		return result;
+	}
+
+	//	Function: `getThreadKey(key: string, threadId: uint): string` - returns the profiling key used on the main thread for the profiling key of a worker, e.g. `"READ users [thread 1]"`.
+	static getThreadKey(key, threadId)
+	{
+		return `${key} [thread ${threadId}]`;
+	}
+}
+
+module.exports = DataCollectorWorkerProxy;
+module.exports.DataCollectorWorkerProxy = module.exports;
@@ -0,0 +1,13 @@
+"use strict";
+
+//	Enum: Enumerates all supported logger output formats.
+const EFormat =
+{
+	//	Field: Human-readable text with box-drawing stats tables; the amount of detail is determined by the verbosity.
+	Text: "text",
+	//	Field: Newline-delimited JSON; every profiling hit and every log line produces a single JSON line, bucket stats tables are printed as JSON arrays.
+	Ndjson: "ndjson",
+}
+
+module.exports = EFormat;
+module.exports.EFormat = module.exports;
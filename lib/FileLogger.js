@@ -10,15 +10,22 @@ const EventEmitter = require("events");
 
 const { lpad, hrtimeToNs } = require("./Utility.js");
 const { EVerbosity } = require("./EVerbosity.js");
+const { EFormat } = require("./EFormat.js");
 const { RuntimeConfigurator } = require("./RuntimeConfigurator.js");
 const { RemoteRuntimeConfigurator } = require("./RemoteRuntimeConfigurator.js");
 const { InternalStats } = require("./InternalStats.js");
+const { ProfilerNamespace } = require("./ProfilerNamespace.js");
 
 const SYNC_FS_WRITES = true;
 
+//	the extensions of the log files, per output format; stats snapshots always use the `.now` extension
+const LOG_FILE_EXTENSIONS = { [EFormat.Text]: ".log", [EFormat.Ndjson]: ".ndjson" };
+
 //	Class: Maintains and flushes to the configured logger multiple profiling/logging data queues. Formats the incoming data for logging.
 //	Runtime configuration: `DataCollector` is runtime-configuration-enabled and responds to the following runtime configuration property changes:
 //		* `"verbosity"` - the amount of detail in the output is determined based on the currently configured level of verbosity
+//		* `"format"` - `"text"` (default) or `"ndjson"` (see `EFormat`); with `"ndjson"`, every profiling hit and log line is written as a single JSON line into a `.ndjson` file (slow hits
+//			into a `.slow.ndjson` file) and the stats snapshots (`.now` files) hold the bucket stats tables as JSON arrays; the verbosity has no effect on the NDJSON output
 //		* `"logPath"` - 
 //		* `"archivePath"` - 
 //		* `"maxLogSizeBytes"` - use `0` to disable log archiving
@@ -35,6 +42,10 @@ const SYNC_FS_WRITES = true;
 //			* all existing orphaned log files(with unmatching timestamps) are archived and then deleted
 //			* all accmulated log files with the current timestamp are also archived and then deleted
 //			* if `maxArchiveSizeBytes > 0`, the oldest archive zip files are deleted to ensure that the total archive size does not exceed `maxArchiveSizeBytes`.
+//		The logs of the buckets of a profiler namespace (see `ProfilerNamespace`) are written into a subdirectory of the log directory named after the namespace, e.g. `mylib/CRUD.log`;
+//			namespace subdirectories are archived together with the log directory.
+//		Slow hits (see `Profiler.onHitSlow`) are additionally written with full detail into a separate file per bucket, e.g. `CRUD.slow.log`; slow log files are archived together with the
+//			regular log files.
 //		IMPORTANT: All limits are applied per source key and not globally. For Ex., the total archive size with 4 different source keys woiuld be `4 * maxArchiveSizeBytes`.
 //		If multiple archiving operations are been started simultaneously by `logBuckets`, all `logBuckets` calls will wait until all archiving operations have finished before invoking
 //			their `callback`s. Given that the default `DataCollector` implementation, which is the sole consumer of `FileLogger.logBuckets`, does not allow for simultaneous `logBuckets` 
@@ -48,6 +59,7 @@ class FileLogger extends EventEmitter
 	//			runtimeInitial:
 	//			{
 	//				verbosity: string,
+	//				format: string,				//	optional, defaults to `"text"`
 	//				logPath: string,
 	//				archivePath: string,
 	//				maxLogSizeBytes: uint,
@@ -79,6 +91,7 @@ class FileLogger extends EventEmitter
 		this.sourceKey = par.sourceKey;
 		
 		this.verbosity = this.runtimeInitial.verbosity;
+		this.format = this.runtimeInitial.format === EFormat.Ndjson ? EFormat.Ndjson : EFormat.Text;
 		this.logPath = this.runtimeInitial.logPath;
 		this.archivePath = this.runtimeInitial.archivePath;
 		this.maxLogSizeBytes = this.runtimeInitial.maxLogSizeBytes;
@@ -143,23 +156,30 @@ class FileLogger extends EventEmitter
 			}
 			const currentBucket = buckets[currentBucketKey];	//	can be undefined with log lines (`__pflog`)
 
-			const snapshotFileName = currentBucketKey + ".now";
-			const snapshotFilePath = path.join(logFullPath, snapshotFileName);
+			//	the buckets of a profiler namespace are logged into a subdirectory named after the namespace
+			const namespaceName = ProfilerNamespace.getNamespaceName(currentBucketKey);
+			const logDirectoryPath = namespaceName === null ? logFullPath : path.join(logFullPath, namespaceName);
+			const bucketFileName = namespaceName === null ? currentBucketKey : currentBucketKey.substring(namespaceName.length + ProfilerNamespace.SEPARATOR.length);
+
+			const snapshotFileName = bucketFileName + ".now";
+			const snapshotFilePath = path.join(logDirectoryPath, snapshotFileName);
 
 			const prefix = this.maxLogSizeBytes ? this.archiveStamper + "-" : "";
-			const logFileName = prefix + currentBucketKey + ".log";
-			const logFilePath = path.join(logFullPath, logFileName);
+			const extension = LOG_FILE_EXTENSIONS[this.format];
+			const logFileName = prefix + bucketFileName + extension;
+			const logFilePath = path.join(logDirectoryPath, logFileName);
+			const slowLogFilePath = path.join(logDirectoryPath, prefix + bucketFileName + ".slow" + extension);
 
 			return async.series(
 			[
 				function (next)
 				{
-					return fs.access(logFullPath, function (err, result)
+					return fs.access(logDirectoryPath, function (err, result)
 					{
 						if (err)
 						{
-							this.onInfo(`Creating log directory "${logFullPath}".`);
-							return fs.mkdir(logFullPath, { recursive: true }, next);
+							this.onInfo(`Creating log directory "${logDirectoryPath}".`);
+							return fs.mkdir(logDirectoryPath, { recursive: true }, next);
 						}
 						return next();
 					}.bind(this));
@@ -181,10 +201,17 @@ class FileLogger extends EventEmitter
 				}.bind(this),
 				function (next)
 				{
+					//	with NDJSON, the hit line already holds the stats of the current profiling key; the bucket stats table goes to the snapshot only
+					if (this.format === EFormat.Ndjson) return next();
 					if (currentBucket && currentBucket[verbosityOverride || this.verbosity]) return __appendFileDiag(SYNC_FS_WRITES, logFilePath, "\n" + currentBucket[verbosityOverride || this.verbosity], next);
 					else return next();
 				}.bind(this),
 				function (next)
+				{
+					if (headerBucket.slow) return __appendFileDiag(SYNC_FS_WRITES, slowLogFilePath, "\n" + headerBucket.slow, next);
+					else return next();
+				},
+				function (next)
 				{
 					if (this.logRequestCounter % this.logRequestArchivingModulo == 0)
 					{
@@ -213,6 +240,7 @@ class FileLogger extends EventEmitter
 	//	{
 	//		{ setting: "fileLogger.sourceKey", type: "preconf", value: "node1" },
 	//		{ setting: "fileLogger.verbosity", type: "runtime", value: "full" },
+	//		{ setting: "fileLogger.format", type: "runtime", value: "text" },
 	//		{ setting: "fileLogger.logPath", type: "runtime", value: "/var/__pflogs" },
 	//		{ setting: "fileLogger.archivePath", type: "runtime", value: "/var/__pfarchive" },
 	//		{ setting: "fileLogger.maxLogSizeBytes", type: "runtime", value: 0, explanation: "auto-archiving DISABLED" },
@@ -227,6 +255,7 @@ class FileLogger extends EventEmitter
 		result.push({ setting: fp + "sourceKey", type: "preconf", value: this.sourceKey });
 
 		result.push({ setting: fp + "verbosity", type: "runtime", value: this.verbosity });
+		result.push({ setting: fp + "format", type: "runtime", value: this.format });
 		result.push({ setting: fp + "logPath", type: "runtime", value: this.logFullPath });
 		result.push({ setting: fp + "archivePath", type: "runtime", value: this.archiveFullPath });
 		result.push({ setting: fp + "maxLogSizeBytes", type: "runtime", value: this.maxLogSizeBytes, explanation: (this.maxLogSizeBytes && this.logRequestArchivingModulo) ? "auto-archiving ENABLED" : "auto-archiving DISABLED" });
@@ -245,6 +274,10 @@ class FileLogger extends EventEmitter
 				this.verbosity = (value === EVerbosity.Full || value === EVerbosity.Brief || value === EVerbosity.Full) ? value : this.runtimeInitial.verbosity;
 				this.onConfigurationChanged(key, this.verbosity, oldValue, source, ctimes);
 				return;
+			case "logger.format":
+				this.format = (value === EFormat.Text || value === EFormat.Ndjson) ? value : this.runtimeInitial.format === EFormat.Ndjson ? EFormat.Ndjson : EFormat.Text;
+				this.onConfigurationChanged(key, this.format, oldValue, source, ctimes);
+				return;
 			case "logger.logPath":
 			{
 				const currentLogFullPath = __resolvePath("~/", path.join(this.logPath, this.sourceKey));
@@ -332,8 +365,8 @@ class FileLogger extends EventEmitter
 			[
 				function (next)
 				{
-					return fs.readdir(logFullPath, next);
-				},
+					return this._readLogDirectory(next);
+				}.bind(this),
 				function (entries, next)
 				{
 					return async.eachSeries(entries, function (item, itemNext)
@@ -349,7 +382,7 @@ class FileLogger extends EventEmitter
 							{
 								return itemNext();
 							}
-							if (path.extname(item) != ".log")
+							if (!__isLogFileExtension(path.extname(item)))
 							{
 								return itemNext();
 							}
@@ -391,8 +424,8 @@ class FileLogger extends EventEmitter
 			[
 				function (next)
 				{
-					return fs.readdir(logFullPath, next);
-				},
+					return this._readLogDirectory(next);
+				}.bind(this),
 				function (entries, next)
 				{
 					return async.eachSeries(entries, function (item, itemNext)
@@ -405,11 +438,11 @@ class FileLogger extends EventEmitter
 								return itemNext();
 							}
 							const extension = path.extname(item);
-							if (extension != ".log" && extension != ".now")
+							if (!__isLogFileExtension(extension) && extension != ".now")
 							{
 								return itemNext();
 							}
-							if (extension == ".log" && item.indexOf(prefix) == -1)
+							if (extension != ".now" && item.indexOf(prefix) == -1)
 							{
 								return itemNext();
 							}
@@ -430,6 +463,31 @@ class FileLogger extends EventEmitter
 		}
 	}
 
+	//	lists the entries of the log directory and of its namespace subdirectories (see `ProfilerNamespace`); the entries of the subdirectories are listed as relative paths, e.g. `"mylib/CRUD.log"`
+	_readLogDirectory(callback)
+	{
+		const logFullPath = this.logFullPath;
+		return fs.readdir(logFullPath, { withFileTypes: true }, function (err, entries)
+		{
+			if (err) return callback(err);
+			const result = [];
+			return async.eachSeries(entries, function (entry, itemNext)
+			{
+				if (!entry.isDirectory())
+				{
+					result.push(entry.name);
+					return itemNext();
+				}
+				return fs.readdir(path.join(logFullPath, entry.name), function (err, subentries)
+				{
+					if (err) return itemNext();
+					for (let length = subentries.length, i = 0; i < length; ++i) result.push(path.join(entry.name, subentries[i]));
+					return itemNext();
+				});
+			}, err => callback(err, result));
+		});
+	}
+
 	_getArchiveFilesInfo(archiveDirectory, callback)
 	{
 		try
@@ -529,7 +587,7 @@ class FileLogger extends EventEmitter
 			const item = logFiles[i];
 			try
 			{
-				archive.append(fs.createReadStream(item), { name: path.basename(item) });
+				archive.append(fs.createReadStream(item), { name: path.relative(this.logFullPath, item) });
 			}
 			catch (ex)
 			{
@@ -705,6 +763,13 @@ function __resolvePath(base, target)
 	return path.resolve(base.replace('~', os.homedir()), target);
 }
 
+//	returns `true` if `extension` is the extension of a log file in any output format, e.g. `".log"` or `".ndjson"`
+function __isLogFileExtension(extension)
+{
+	for (const key in LOG_FILE_EXTENSIONS) if (LOG_FILE_EXTENSIONS[key] === extension) return true;
+	return false;
+}
+
 function __writeFileDiag(syncFsWrite, path, text, callback)
 {
 	//	profiler self-profiling
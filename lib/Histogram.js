@@ -0,0 +1,125 @@
+"use strict";
+
+//	Class: `Histogram` - a memory-bounded log-linear histogram that provides approximate percentiles with a fixed relative error.
+//	Remarks: Recorded values are counted in buckets with exponentially growing boundaries `(gamma^(i - 1), gamma^i]`, where `gamma = (1 + relativeAccuracy) / (1 - relativeAccuracy)`;
+//		any percentile is reported with a relative error not exceeding `relativeAccuracy`. Buckets are allocated on demand and the bucket index range is clamped to
+//		`[minValue, maxValue]`, which limits the memory consumption of a single instance to a few thousand numbers in the worst case (~1400 buckets with the defaults);
+//		for typical latency distributions only several dozen buckets are in use. The smallest and the largest recorded values are tracked exactly and all percentiles are clamped
+//		to this range, so that e.g. a single recorded value is reported exactly.
+class Histogram
+{
+	//	Constructor: Creates a new instance of the `Histogram` class.
+	//	Parameter: `relativeAccuracy: number` - optional, defaults to `0.01`; the maximum relative error of the reported percentiles, in the range `(0, 1)`.
+	//	Parameter: `minValue: number` - optional, defaults to `0.001`; the smallest value distinguished by the histogram; smaller values (incl. zero and negative values) are reported as `0`.
+	//	Parameter: `maxValue: number` - optional, defaults to `1e9`; the largest value distinguished by the histogram; larger values are reported as `maxValue`.
+	constructor(relativeAccuracy = 0.01, minValue = 0.001, maxValue = 1e9)
+	{
+		if (!(relativeAccuracy > 0 && relativeAccuracy < 1)) throw new RangeError(`Argument is out of range: "relativeAccuracy".`);
+		if (!(minValue > 0)) throw new RangeError(`Argument is out of range: "minValue".`);
+		if (!(maxValue > minValue)) throw new RangeError(`Argument is out of range: "maxValue".`);
+
+		this.relativeAccuracy = relativeAccuracy;
+		this.gamma = (1 + relativeAccuracy) / (1 - relativeAccuracy);
+		this.logGamma = Math.log(this.gamma);
+		this.minValue = minValue;
+		this.minIndex = Math.ceil(Math.log(minValue) / this.logGamma);
+		this.maxIndex = Math.ceil(Math.log(maxValue) / this.logGamma);
+
+		this.reset();
+	}
+
+	//	Function: `reset(): void` - removes all recorded values.
+	reset()
+	{
+		//	a dictionary of `(bucketIndex, count)` pairs
+		this.counts = new Map();
+		//	all bucket indices present in `this.counts`, sorted ascending
+		this.indices = [];
+		//	the number of recorded values smaller than `this.minValue`
+		this.zeroCount = 0;
+		//	the total number of recorded values
+		this.count = 0;
+		//	the smallest and the largest recorded values
+		this.min = Number.MAX_VALUE;
+		this.max = -Number.MAX_VALUE;
+	}
+
+	//	Function: `record(value: number): void` - records a single value.
+	//	Parameter: `value: number` - the value to record.
+	record(value)
+	{
+		++this.count;
+		if (value < this.min) this.min = value;
+		if (value > this.max) this.max = value;
+		if (!(value >= this.minValue))
+		{
+			++this.zeroCount;
+			return;
+		}
+		const index = Math.min(this.maxIndex, Math.ceil(Math.log(value) / this.logGamma));
+		const count = this.counts.get(index);
+		if (count === void 0) this._insertIndex(index);
+		this.counts.set(index, (count || 0) + 1);
+	}
+
+	//	Function: `add(histogram: Histogram): void` - adds all values recorded by `histogram` to this histogram.
+	//	Parameter: `histogram: Histogram` - required; a histogram created with the same constructor arguments as this histogram.
+	add(histogram)
+	{
+		for (const [index, count] of histogram.counts)
+		{
+			const ownCount = this.counts.get(index);
+			if (ownCount === void 0) this._insertIndex(index);
+			this.counts.set(index, (ownCount || 0) + count);
+		}
+		this.zeroCount += histogram.zeroCount;
+		this.count += histogram.count;
+		this.min = Math.min(this.min, histogram.min);
+		this.max = Math.max(this.max, histogram.max);
+	}
+
+	//	Function: `getPercentile(percentile: number): number` - calculates an approximation of the specified percentile of the recorded values.
+	//	Parameter: `percentile: number` - the percentile to calculate, in the range `[0, 100]`, e.g. `99`.
+	//	Returns: the approximate value of the percentile, clamped to the range of the recorded values, or `0` if no values have been recorded.
+	getPercentile(percentile)
+	{
+		if (!this.count) return 0;
+		return Math.min(this.max, Math.max(this.min, this._getRankValue(Math.max(1, Math.ceil(Math.min(100, Math.max(0, percentile)) / 100 * this.count)))));
+	}
+
+	//	returns the approximate value of the `rank`-th smallest recorded value, `rank` being in the range `[1, this.count]`
+	_getRankValue(rank)
+	{
+		let cumulative = this.zeroCount;
+		if (cumulative >= rank) return 0;
+		for (let length = this.indices.length, i = 0; i < length; ++i)
+		{
+			const index = this.indices[i];
+			cumulative += this.counts.get(index);
+			if (cumulative >= rank) return this._getBucketValue(index);
+		}
+		return this._getBucketValue(this.indices[this.indices.length - 1]);
+	}
+
+	//	returns the value representing the bucket at `index` with a relative error of at most `this.relativeAccuracy` for all values in the bucket
+	_getBucketValue(index)
+	{
+		return 2 * Math.pow(this.gamma, index) / (this.gamma + 1);
+	}
+
+	_insertIndex(index)
+	{
+		let low = 0;
+		let high = this.indices.length;
+		while (low < high)
+		{
+			const middle = (low + high) >>> 1;
+			if (this.indices[middle] < index) low = middle + 1;
+			else high = middle;
+		}
+		this.indices.splice(low, 0, index);
+	}
+}
+
+module.exports = Histogram;
+module.exports.Histogram = module.exports;
@@ -0,0 +1,91 @@
+"use strict";
+
+//	Class: `HttpMiddleware` - profiles incoming HTTP requests as profiling hits; works as an Express/Connect middleware and with plain `http.createServer` request handlers.
+//	Remarks: A pending hit (see `Profiler.beginPending`) is begun on request entry and is moved to its final profiling key (see `Profiler.rekey`) when the response finishes, because
+//		the matched route pattern is known only after routing; sampling applies to the final profiling key. By default the final profiling key is the request method followed by the matched Express route pattern, e.g. `"GET /users/:id"`,
+//		or by the request path without the query string if no route has been matched (e.g. with plain `http` handlers); use the `keyNormalizers` and `maxKeysPerBucket` runtime
+//		configuration fields to keep the number of profiling keys bounded in the latter case.
+class HttpMiddleware
+{
+	//	Function: `create(profiler: Profiler, par: { bucketKey: string, keyFn(req, res): string }): function(req, res, next): void` - creates a new HTTP request profiling middleware.
+	//	Parameter: `profiler: Profiler` - required; the profiler instance to use.
+	//	Parameter: `par.bucketKey: string` - optional, defaults to `"HTTP"`; see `Profiler.begin`.
+	//	Parameter: `par.keyFn(req: http.IncomingMessage, res: http.ServerResponse): string` - optional, defaults to `HttpMiddleware.getDefaultKey`; builds the profiling key for a request;
+	//		called when the response finishes.
+	//	Returns: a `(req, res, next)` function; `next` is optional and is called synchronously if set.
+	//	Remarks:
+	//		The title of the hit is the request method and URL path; `"; status=<statusCode>; length=<content-length header or ->"` is appended when the response finishes.
+	//		Responses with a 5xx status code are counted as failed hits (see `Profiler.fail`). Requests closed before the response has finished (e.g. aborted by the client) are discarded
+	//		(see `Profiler.discard`).
+	//		`next` is called with the hit as the current hit (see `Profiler.runInHitScope`), so hits begun while handling the request are recorded as its nested hits.
+	static create(profiler, par)
+	{
+		if (!profiler) throw new Error(`Argument is null: "profiler".`);
+
+		const bucketKey = par?.bucketKey || "HTTP";
+		const keyFn = par?.keyFn || HttpMiddleware.getDefaultKey;
+
+		return function (req, res, next)
+		{
+			const hit = profiler.beginPending(bucketKey, req.method + " " + HttpMiddleware._getPath(req));
+			if (hit)
+			{
+				let done = false;
+				const onFinish = () =>
+				{
+					if (done) return;
+					done = true;
+					if (!profiler.rekey(hit, HttpMiddleware._getKey(profiler, keyFn, req, res))) return;
+					const contentLength = res.getHeader("content-length");
+					const postfix = `; status=${res.statusCode}; length=${contentLength !== void 0 ? contentLength : "-"}`;
+					if (res.statusCode >= 500) profiler.fail(hit, `HTTP ${res.statusCode}`, postfix);
+					else profiler.end(hit, postfix);
+				};
+				const onClose = () =>
+				{
+					if (res.writableFinished) return onFinish();
+					if (done) return;
+					done = true;
+					profiler.discard(hit);
+				};
+				res.once("finish", onFinish);
+				res.once("close", onClose);
+			}
+			if (next) profiler.runInHitScope(hit, next);
+		};
+	}
+
+	//	Function: `getDefaultKey(req: http.IncomingMessage): string` - builds the default profiling key for a request.
+	//	Parameter: `req: http.IncomingMessage` - required; the request, optionally decorated by Express.
+	//	Returns: the request method followed by the matched Express route pattern incl. the mount path of the router (`req.baseUrl + req.route.path`), or by the request path without
+	//		the query string if no route has been matched, e.g. `"GET /users/:id"`.
+	static getDefaultKey(req)
+	{
+		if (req.route && typeof req.route.path === "string") return req.method + " " + (req.baseUrl || "") + req.route.path;
+		return req.method + " " + HttpMiddleware._getPath(req);
+	}
+
+	//	returns the request path without the query string; prefers `req.originalUrl`, because Express rewrites `req.url` within mounted routers
+	static _getPath(req)
+	{
+		const url = req.originalUrl || req.url || "";
+		const index = url.indexOf("?");
+		return index === -1 ? url : url.substring(0, index);
+	}
+
+	static _getKey(profiler, keyFn, req, res)
+	{
+		try
+		{
+			return keyFn(req, res);
+		}
+		catch (ex)
+		{
+			profiler.onError(3456348775, "Uncaught exception in the HTTP middleware key function", ex);
+			return HttpMiddleware.getDefaultKey(req);
+		}
+	}
+}
+
+module.exports = HttpMiddleware;
+module.exports.HttpMiddleware = module.exports;
@@ -0,0 +1,93 @@
+"use strict";
+
+//	the built-in normalization rules, keyed by the preset names used in runtime configuration; presets are applied in the configured order, so more specific presets (e.g. `uuid`)
+//	should precede more generic ones (e.g. `number`)
+const PRESETS =
+{
+	uuid: { pattern: "\\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\\b", flags: "gi", replacement: ":id" },
+	objectid: { pattern: "\\b[0-9a-f]{24}\\b", flags: "gi", replacement: ":id" },
+	//	the local part and the domain exclude URL delimiters and the brackets, quotes and commas that surround field lists in keys, e.g. `"READ users [a@b.com]"`
+	email: { pattern: "[^\\s@/?&=:\\[\\](){}<>\"',;]+@[^\\s@/?&=:\\[\\](){}<>\"',;]+\\.[a-z]{2,}", flags: "gi", replacement: ":email" },
+	number: { pattern: "\\b\\d+(\\.\\d+)?\\b", flags: "g", replacement: ":n" },
+};
+
+//	Class: `KeyNormalizer` - rewrites dynamic parts of profiling keys, such as ids, UUIDs and numbers, into placeholders, e.g. `"GET /users/5f1c9e1b2a3d4c5e6f708192/orders/42"`
+//		becomes `"GET /users/:id/orders/:n"`; see the `keyNormalizers` runtime configuration field.
+//	Remarks: Rules are applied in order, each one to the output of the previous one. A rule is either a preset name (`"uuid"`, `"objectid"`, `"email"` or `"number"`) or
+//		a `{ pattern: string, replacement: string, flags: string }` object, where `pattern` and `flags` are passed to the `RegExp` constructor (`"g"` is always added to `flags`)
+//		and `replacement` is passed to `String.prototype.replace`.
+class KeyNormalizer
+{
+	//	Constructor: Creates a new instance of the `KeyNormalizer` class.
+	//	Parameter: `rules: [string | { pattern: string, replacement: string, flags: string }]` - required; the normalization rules.
+	//	Remarks: Throws if a rule refers to an unknown preset or contains an invalid regular expression.
+	constructor(rules)
+	{
+		if (!Array.isArray(rules)) throw new TypeError(`Type mismatch: "rules".`);
+
+		this.rules = [];
+		for (let length = rules.length, i = 0; i < length; ++i)
+		{
+			let rule = rules[i];
+			if (rule === void 0 || rule === null) continue;
+			if (rule.constructor === String)
+			{
+				if (!PRESETS[rule]) throw new Error(`Unknown key normalizer preset: "${rule}".`);
+				rule = PRESETS[rule];
+			}
+			if (!rule.pattern) throw new Error(`Argument is null: "rules[${i}].pattern".`);
+			const flags = rule.flags || "";
+			this.rules.push(
+			{
+				regex: new RegExp(rule.pattern, flags.indexOf("g") === -1 ? flags + "g" : flags),
+				replacement: rule.replacement === void 0 || rule.replacement === null ? "" : String(rule.replacement),
+			});
+		}
+	}
+
+	//	Field: `PRESETS: { [name: string]: { pattern: string, replacement: string, flags: string } }` - the built-in normalization rules.
+	static get PRESETS()
+	{
+		return PRESETS;
+	}
+
+	//	Function: `normalize(key: string): string` - applies all rules to `key`.
+	//	Parameter: `key: string` - required; the profiling key to normalize.
+	//	Returns: the normalized profiling key.
+	normalize(key)
+	{
+		let result = String(key);
+		for (let length = this.rules.length, i = 0; i < length; ++i) result = result.replace(this.rules[i].regex, this.rules[i].replacement);
+		return result;
+	}
+
+	//	Function: `fromConfiguration(config: object, prefix: string): KeyNormalizer | null` - creates a new `KeyNormalizer` from a flattened runtime configuration.
+	//	Parameter: `config: object` - required; an object holding runtime configuration fields as properties, e.g. a `DataCollector` instance.
+	//	Parameter: `prefix: string` - required; the runtime configuration path of the rules array followed by a period, e.g. `"keyNormalizers."` or `"buckets.REST.keyNormalizers."`.
+	//	Returns: a new `KeyNormalizer` instance or `null` if no rules are configured under `prefix`.
+	//	Remarks: `RuntimeConfigurator` flattens arrays into fields like `"keyNormalizers.0"` (presets) and `"keyNormalizers.1.pattern"` (custom rules); this function reverses the flattening.
+	static fromConfiguration(config, prefix)
+	{
+		const rules = [];
+		for (const key in config)
+		{
+			if (key.indexOf(prefix) !== 0) continue;
+			const value = config[key];
+			if (value === void 0 || value === null) continue;
+			const segments = key.substring(prefix.length).split(".");
+			const index = parseInt(segments[0]);
+			if (isNaN(index)) continue;
+			if (segments.length === 1) rules[index] = value;
+			else
+			{
+				if (!rules[index] || rules[index].constructor !== Object) rules[index] = {};
+				rules[index][segments[1]] = value;
+			}
+		}
+		if (!rules.length) return null;
+		return new KeyNormalizer(rules);
+	}
+}
+
+module.exports = KeyNormalizer;
+module.exports.KeyNormalizer = module.exports;
@@ -1,6 +1,18 @@
 ﻿"use strict";
 
 const os = require("os");
+const { monitorEventLoopDelay, performance, PerformanceObserver, constants: perfConstants } = require("perf_hooks");
+
+//	the sampling rate of the event loop delay histogram in milliseconds, see `perf_hooks.monitorEventLoopDelay()`
+const EVENT_LOOP_DELAY_RESOLUTION_MS = 10;
+
+//	the tracked garbage collection kinds, keyed by the `kind` values of the `gc` performance entries; other kinds (e.g. weak callback processing) are counted in the GC totals only
+const GC_KINDS =
+{
+	[perfConstants.NODE_PERFORMANCE_GC_MINOR]: "minor",
+	[perfConstants.NODE_PERFORMANCE_GC_MAJOR]: "major",
+	[perfConstants.NODE_PERFORMANCE_GC_INCREMENTAL]: "incremental",
+};
 
 //	Class: Provides static utility functions for collecting and calculating performance metrics (CPU and RAM loads) for the current process and for the OS.
 class MachineStats
@@ -30,7 +42,13 @@ class MachineStats
 	//		{
 	//			free: uint,												//	free system meory in bytes as returned by `os.freemem()`
 	//			total: uint,											//	total system meory in bytes as returned by `os.totalmem()`
-	//		}
+	//		},
+	//
+	//		loopDelayP99Ms: number,										//	the 99th percentile of the event loop delay in milliseconds during the last 5-second monitoring interval; see `MachineStats.osResourceStats`
+	//		loopDelayMaxMs: number,										//	the maximum event loop delay in milliseconds during the last 5-second monitoring interval; see `MachineStats.osResourceStats`
+	//		elu: number,												//	the event loop utilization in percents during the last 5-second monitoring interval; see `MachineStats.osResourceStats`
+	//		eventLoopUtilization: { idle: number, active: number, utilization: number } | null,	//	the return value of `performance.eventLoopUtilization()`; `null` if not supported by the nodejs version
+	//		gc: object,													//	a copy of `MachineStats.gcTotal`, the cumulative garbage collection stats since the start of the monitoring
 	//	}
 	//	```
 	static getSnapshot()
@@ -50,6 +68,12 @@ class MachineStats
 				free: os.freemem(),
 				total: os.totalmem(),
 			},
+
+			loopDelayP99Ms: MachineStats.osResourceStats.loopDelayP99Ms,
+			loopDelayMaxMs: MachineStats.osResourceStats.loopDelayMaxMs,
+			elu: MachineStats.osResourceStats.elu,
+			eventLoopUtilization: performance.eventLoopUtilization ? performance.eventLoopUtilization() : null,
+			gc: Object.assign({}, MachineStats.gcTotal),
 		};
 	}
 
@@ -81,8 +105,24 @@ class MachineStats
 	//		osMemUsage_begin:											//	percentage value indicating the kernel (os) RAM load level (used/total) at the time of `prevSnapshot` (the beginning of the measurement interval)
 	//		osMemUsage_end:												//	percentage value indicating the kernel (os) RAM load level (used/total) at the time of `currentSnapshot` (the end of the measurement interval)
 	//		psMemUsage_delta: uint,										//	percentage value indicating the kernel (os) RAM load level change (used/total) between `prevSnapshot` and `currentSnapshot`
+	//
+	//		loopDelayP99Ms_begin: number,								//	the 99th percentile of the event loop delay in milliseconds during the 5-second monitoring interval preceding `prevSnapshot`
+	//		loopDelayP99Ms_end: number,									//	the 99th percentile of the event loop delay in milliseconds during the 5-second monitoring interval preceding `currentSnapshot`
+	//		loopDelayMaxMs_end: number,									//	the maximum event loop delay in milliseconds during the 5-second monitoring interval preceding `currentSnapshot`
+	//		elu_begin: number,											//	the event loop utilization in percents during the 5-second monitoring interval preceding `prevSnapshot`
+	//		elu_end: number,											//	the event loop utilization in percents during the 5-second monitoring interval preceding `currentSnapshot`
+	//		elu: number,												//	the event loop utilization in percents with 2 decimal digits between `prevSnapshot` and `currentSnapshot`; `0` if not supported by the nodejs version
+	//		gc:															//	the garbage collection pauses reported between `prevSnapshot` and `currentSnapshot`; the pause times are in milliseconds with 2 decimal digits
+	//		{
+	//			count: uint, ms: number,								//	the number and total time of all GC pauses
+	//			minorCount: uint, minorMs: number,						//	the number and total time of the minor (scavenge) GC pauses
+	//			majorCount: uint, majorMs: number,						//	the number and total time of the major (mark-sweep-compact) GC pauses
+	//			incrementalCount: uint, incrementalMs: number,			//	the number and total time of the incremental marking GC pauses
+	//		}
 	//	}
 	//	```
+	//	Remarks: GC pauses are reported asynchronously by a `PerformanceObserver`, so a pause that occurs close to the end of the measurement interval may be attributed to the next one;
+	//		a pause that occurs during a synchronous measurement interval (e.g. a profiling hit that doesn't yield to the event loop) is always attributed to a later one.
 	static getMachineStats(startMachineStatsSnapshot, endMachineStatsSnapshot, elapsedMicros)
 	{
 		const result =
@@ -107,6 +147,14 @@ class MachineStats
 			osMemUsage_begin: 0,
 			osMemUsage_end: 0,
 			osMemUsage_delta: 0,
+
+			loopDelayP99Ms_begin: startMachineStatsSnapshot.loopDelayP99Ms,
+			loopDelayP99Ms_end: endMachineStatsSnapshot.loopDelayP99Ms,
+			loopDelayMaxMs_end: endMachineStatsSnapshot.loopDelayMaxMs,
+			elu_begin: startMachineStatsSnapshot.elu,
+			elu_end: endMachineStatsSnapshot.elu,
+			elu: 0,
+			gc: startMachineStatsSnapshot.gc && endMachineStatsSnapshot.gc ? MachineStats._getGcStatsDelta(startMachineStatsSnapshot.gc, endMachineStatsSnapshot.gc) : MachineStats._createGcStats(),
 		};
 
 		//  ps cpu usage
@@ -141,6 +189,26 @@ class MachineStats
 		result.osMemUsage_end = 100 - Math.floor(100 * startMachineStatsSnapshot.osMemUsage.free / startMachineStatsSnapshot.osMemUsage.total);
 		result.osMemUsage_delta = result.osMemUsage_end - result.osMemUsage_begin;
 
+		//  event loop utilization
+		if (startMachineStatsSnapshot.eventLoopUtilization && endMachineStatsSnapshot.eventLoopUtilization)
+		{
+			const elu = performance.eventLoopUtilization(endMachineStatsSnapshot.eventLoopUtilization, startMachineStatsSnapshot.eventLoopUtilization);
+			result.elu = Math.floor(elu.utilization * 10000) / 100;
+		}
+
+		return result;
+	}
+
+	static _createGcStats()
+	{
+		return { count: 0, ms: 0, minorCount: 0, minorMs: 0, majorCount: 0, majorMs: 0, incrementalCount: 0, incrementalMs: 0 };
+	}
+
+	//	returns the GC stats accumulated between two copies of `MachineStats.gcTotal` with the pause times rounded to 2 decimal digits
+	static _getGcStatsDelta(start, end)
+	{
+		const result = {};
+		for (const key in end) result[key] = key.endsWith("Ms") || key === "ms" ? Math.round((end[key] - start[key]) * 100) / 100 : end[key] - start[key];
 		return result;
 	}
 
@@ -197,9 +265,18 @@ class MachineStats
 	//
 	//		psUptime: number,											//	a floatig point value in seconds as returned by `process.uptime()`
 	//		osUptime: number,											//	a floatig point value in seconds as returned by `os.uptime()`
+	//
+	//		loopDelayMeanMs: 0,											//	the mean event loop delay in milliseconds with 2 decimal digits during the last 5 seconds, as measured by `perf_hooks.monitorEventLoopDelay()`
+	//		loopDelayP50Ms: 0,											//	the 50th percentile of the event loop delay in milliseconds with 2 decimal digits during the last 5 seconds
+	//		loopDelayP90Ms: 0,											//	the 90th percentile of the event loop delay in milliseconds with 2 decimal digits during the last 5 seconds
+	//		loopDelayP99Ms: 0,											//	the 99th percentile of the event loop delay in milliseconds with 2 decimal digits during the last 5 seconds
+	//		loopDelayMaxMs: 0,											//	the maximum event loop delay in milliseconds with 2 decimal digits during the last 5 seconds
+	//		elu: 0,														//	the event loop utilization (the ratio of time the event loop was busy) in percents with 2 decimal digits during the last 5 seconds, as measured by `performance.eventLoopUtilization()`
+	//		gc: { count, ms, minorCount, minorMs, majorCount, majorMs, incrementalCount, incrementalMs },	//	the number and total time in milliseconds of the garbage collection pauses during the last 5 seconds, per GC kind; see `MachineStats.getMachineStats` for details
 	//	}
 	//	```
-	//	Remarks: The values stored in this object are updated every 5 seconds by a timer started via a `MachineStats.startMonitoring()` call.
+	//	Remarks: The values stored in this object are updated every 5 seconds by a timer started via a `MachineStats.startMonitoring()` call. The event loop delay is sampled
+	//		every 10 ms (`EVENT_LOOP_DELAY_RESOLUTION_MS`) and the reported delays include the sampling interval, i.e. an idle event loop reports delays of about 10 ms.
 	static osResourceStats =
 	{
 		avgCpu10sec: 0,
@@ -212,8 +289,21 @@ class MachineStats
 
 		psUptime: process.uptime(),
 		osUptime: os.uptime(),
+
+		loopDelayMeanMs: 0,
+		loopDelayP50Ms: 0,
+		loopDelayP90Ms: 0,
+		loopDelayP99Ms: 0,
+		loopDelayMaxMs: 0,
+		elu: 0,
+		gc: MachineStats._createGcStats(),
 	}
 
+	//	Field: The cumulative garbage collection stats since the start of the monitoring in the form `{ count, ms, minorCount, minorMs, majorCount, majorMs, incrementalCount, incrementalMs }`;
+	//		the pause times are in milliseconds.
+	//	Remarks: Updated by a `PerformanceObserver` on `gc` entries started via a `MachineStats.startMonitoring()` call.
+	static gcTotal = MachineStats._createGcStats()
+
 	//	Function: `startMonitoring(): void` - Starts a timer and updates the values stored in `MachineStats.osResourceStats` (a collection of current CPU and RAM monitoring values) every 5 seconds.
 	//	Remarks: Silently ignores repeated calls.
 	static startMonitoring()
@@ -243,6 +333,28 @@ class MachineStats
 		const snapshotHistoryLastIndex = snapshotHistory.length - 1;
 		let snapshotHistoryFirstIndex = snapshotHistoryLastIndex;
 
+		const nsToMs = ns => Math.round(ns / 10000) / 100;
+		const loopDelayHistogram = monitorEventLoopDelay ? monitorEventLoopDelay({ resolution: EVENT_LOOP_DELAY_RESOLUTION_MS }) : null;
+		if (loopDelayHistogram) loopDelayHistogram.enable();
+		let lastEventLoopUtilization = performance.eventLoopUtilization ? performance.eventLoopUtilization() : null;
+
+		const gcObserver = new PerformanceObserver(function (list)
+		{
+			const entries = list.getEntries();
+			for (let length = entries.length, i = 0; i < length; ++i)
+			{
+				const entry = entries[i];
+				const kind = GC_KINDS[entry.detail ? entry.detail.kind : entry.kind];
+				++MachineStats.gcTotal.count;
+				MachineStats.gcTotal.ms += entry.duration;
+				if (!kind) continue;
+				++MachineStats.gcTotal[kind + "Count"];
+				MachineStats.gcTotal[kind + "Ms"] += entry.duration;
+			}
+		});
+		gcObserver.observe({ entryTypes: ["gc"] });
+		let lastGcTotal = Object.assign({}, MachineStats.gcTotal);
+
 		MachineStats.monitoringTimerId = setInterval(function ()
 		{
 			const snapshot = MachineStats.getOsCpusUsage();
@@ -274,6 +386,28 @@ class MachineStats
 			MachineStats.osResourceStats.psCpuUsage = process.cpuUsage ? process.cpuUsage() : { system: 0, user: 0 };
 			MachineStats.osResourceStats.psMemUsage = process.memoryUsage();
 
+			//  event loop delay and utilization
+			if (loopDelayHistogram)
+			{
+				const hasSamples = loopDelayHistogram.count === void 0 || loopDelayHistogram.count > 0;
+				MachineStats.osResourceStats.loopDelayMeanMs = hasSamples ? nsToMs(loopDelayHistogram.mean) : 0;
+				MachineStats.osResourceStats.loopDelayP50Ms = hasSamples ? nsToMs(loopDelayHistogram.percentile(50)) : 0;
+				MachineStats.osResourceStats.loopDelayP90Ms = hasSamples ? nsToMs(loopDelayHistogram.percentile(90)) : 0;
+				MachineStats.osResourceStats.loopDelayP99Ms = hasSamples ? nsToMs(loopDelayHistogram.percentile(99)) : 0;
+				MachineStats.osResourceStats.loopDelayMaxMs = hasSamples ? nsToMs(loopDelayHistogram.max) : 0;
+				loopDelayHistogram.reset();
+			}
+			if (lastEventLoopUtilization)
+			{
+				const eventLoopUtilization = performance.eventLoopUtilization();
+				MachineStats.osResourceStats.elu = Math.floor(performance.eventLoopUtilization(eventLoopUtilization, lastEventLoopUtilization).utilization * 10000) / 100;
+				lastEventLoopUtilization = eventLoopUtilization;
+			}
+
+			//  garbage collection
+			MachineStats.osResourceStats.gc = MachineStats._getGcStatsDelta(lastGcTotal, MachineStats.gcTotal);
+			lastGcTotal = Object.assign({}, MachineStats.gcTotal);
+
 			if (snapshotHistoryFirstIndex > 0) --snapshotHistoryFirstIndex;
 		}, resolutionMs);
 	}
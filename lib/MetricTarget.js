@@ -0,0 +1,171 @@
+"use strict";
+
+const { Histogram } = require("./Histogram.js");
+
+//	the supported metric kinds, in the order their stats tables are printed after the execution time stats table of a bucket (see `DataCollector.formatBucket`)
+const KINDS = ["count", "gauge", "value"];
+
+//	Class: `MetricTarget` - maintains the state of a custom metric for a `(bucketKey, key, kind)` triple.
+//	Remarks: Instances of this class are created on demand by the `Profiler` for every metric recorded via `Profiler.count`, `Profiler.gauge` and `Profiler.value`. Unlike profiling hits,
+//		metric records have no duration; every record produces a finished hit object that is fed to the data collector right away. The following metric kinds are supported:
+//		* `"count"` - a counter; every record adds a number (usually `1`) to the counter, e.g. cache hits and misses;
+//		* `"gauge"` - a point-in-time value; every record replaces the current value, e.g. a queue length or the number of open connections;
+//		* `"value"` - a value distribution; every record is an observation, e.g. the number of rows returned by a query or a payload size.
+//	See also: `Profiler`, `ProfilerTarget`.
+class MetricTarget
+{
+	//	Constructor: Creates a new instance of the `MetricTarget` class.
+	//	Parameter: `bucketKey: string` - see `ProfilerTarget`.
+	//	Parameter: `key: string` - a key for grouping of metric records at statistics level within a bucket.
+	//	Parameter: `kind: string` - required; `"count"`, `"gauge"` or `"value"`.
+	constructor(bucketKey, key, kind)
+	{
+		if (KINDS.indexOf(kind) === -1) throw new Error(`Argument is out of range: "kind".`);
+
+		this.bucketKey = bucketKey || "";
+		this.key = key;
+		this.kind = kind;
+
+		//	the distribution of the recorded values; used to calculate percentiles with the `"value"` kind only
+		this.histogram = kind === "value" ? new Histogram() : null;
+
+		this.reset();
+	}
+
+	//	Field: `KINDS: [string]` - the supported metric kinds.
+	static get KINDS()
+	{
+		return KINDS;
+	}
+
+	//	Function: `getStats()` - returns a new object containing the current stats for this `MetricTarget`.
+	//	Returns:
+	//	```
+	//	{
+	//		bucketKey: string,			//	a key for grouping and configuration management of profiling data at log-file level
+	//		key: string,				//	a key for grouping of metric records at statistics level within a bucket
+	//		kind: string,				//	`"count"`, `"gauge"` or `"value"`
+	//		count: uint,				//	the number of records
+	//		sum: number,				//	the sum of all recorded values
+	//		rate: number,				//	the sum of all recorded values per second since the first record
+	//		last: number,				//	the last recorded value
+	//		min: number,				//	the smallest recorded value
+	//		avg: number,				//	the average recorded value
+	//		max: number,				//	the largest recorded value
+	//		maxDateTime: Date,			//	the date/time when the largest value was recorded
+	//		p50: number,				//	the median of the recorded values; `"value"` kind only, otherwise `0`; approximated with a relative error of at most 1%, negative values are counted as `0`
+	//		p90: number,				//	the 90th percentile of the recorded values; see `p50`
+	//		p95: number,				//	the 95th percentile of the recorded values; see `p50`
+	//		p99: number,				//	the 99th percentile of the recorded values; see `p50`
+	//		discrepancy: 0,				//	always `0`, metric records are never open
+	//	}
+	//	```
+	//	Remarks: All numbers are rounded to 2 decimal digits.
+	getStats()
+	{
+		const result = {};
+
+		result.bucketKey = this.bucketKey;
+		result.key = this.key;
+		result.kind = this.kind;
+
+		result.count = this.stats.count;
+		result.sum = __round(this.stats.sum);
+		result.rate = this.stats.count ? __round(this.stats.sum / Math.max(1, (Date.now() - this.stats.firstTimeMs) / 1000)) : 0;
+		result.last = __round(this.stats.last);
+		result.min = this.stats.count ? __round(this.stats.min) : 0;
+		result.avg = __round(this.stats.avg);
+		result.max = this.stats.count ? __round(this.stats.max) : 0;
+		result.maxDateTime = this.stats.maxDateTime;
+		result.p50 = this.histogram ? __round(this.histogram.getPercentile(50)) : 0;
+		result.p90 = this.histogram ? __round(this.histogram.getPercentile(90)) : 0;
+		result.p95 = this.histogram ? __round(this.histogram.getPercentile(95)) : 0;
+		result.p99 = this.histogram ? __round(this.histogram.getPercentile(99)) : 0;
+		result.discrepancy = 0;
+
+		return result;
+
+		function __round(value)
+		{
+			return Math.round(value * 100) / 100;
+		}
+	}
+
+	//	Function: `record(value: number): object` - records a value and returns a finished hit object representing the record.
+	//	Parameter: `value: number` - required; the increment with the `"count"` kind, the current value with the `"gauge"` kind or the observed value with the `"value"` kind.
+	//	Returns: An object representing the record, with the following schema:
+	//	```
+	//	{
+	//		bucketKey: string,
+	//		key: string,
+	//		kind: string,				//	`"count"`, `"gauge"` or `"value"`; profiling hits created by `ProfilerTarget.hit` have no `kind`
+	//		title: string,				//	a text describing the record, e.g. `"+1"` with the `"count"` kind, `"= 12"` with the `"gauge"` kind or `"340"` with the `"value"` kind
+	//		time: Date,					//	the time of the record
+	//		value: number,				//	the recorded value
+	//		machineStats: null,
+	//		executionStats: null,
+	//		customStats: [],
+	//	}
+	//	```
+	record(value)
+	{
+		const time = new Date();
+
+		if (!this.stats.count) this.stats.firstTimeMs = time.getTime();
+		++this.stats.count;
+		this.stats.sum += value;
+		this.stats.last = value;
+		this.stats.min = Math.min(value, this.stats.min);
+		this.stats.max = Math.max(value, this.stats.max);
+		if (this.stats.max === value) this.stats.maxDateTime = time;
+		//  https://ubuntuincident.wordpress.com/2012/04/25/calculating-the-average-incrementally/
+		this.stats.avg = this.stats.avg + (value - this.stats.avg) / this.stats.count;
+		if (this.histogram) this.histogram.record(value);
+
+		let title;
+		switch (this.kind)
+		{
+			case "count":
+				title = (value < 0 ? "" : "+") + value;
+				break;
+			case "gauge":
+				title = "= " + value;
+				break;
+			default:
+				title = String(value);
+				break;
+		}
+
+		return {
+			bucketKey: this.bucketKey,
+			key: this.key,
+			kind: this.kind,
+			title,
+			time,
+			value,
+			machineStats: null,
+			executionStats: null,
+			customStats: [],
+		};
+	}
+
+	//	Function: `reset(): void` - clears all collected stats.
+	reset()
+	{
+		this.stats =
+		{
+			count: 0,
+			sum: 0,
+			last: 0,
+			min: Number.POSITIVE_INFINITY,
+			max: Number.NEGATIVE_INFINITY,
+			maxDateTime: null,
+			avg: 0,
+			firstTimeMs: 0,
+		};
+		if (this.histogram) this.histogram.reset();
+	}
+}
+
+module.exports = MetricTarget;
+module.exports.MetricTarget = module.exports;
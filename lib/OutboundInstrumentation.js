@@ -0,0 +1,156 @@
+"use strict";
+
+const diagnostics_channel = require("diagnostics_channel");
+
+const { KeyNormalizer } = require("./KeyNormalizer.js");
+
+//	the `diagnostics_channel` channels published by the node `http`/`https` client
+const HTTP_CLIENT_REQUEST_START = "http.client.request.start";
+const HTTP_CLIENT_RESPONSE_FINISH = "http.client.response.finish";
+const HTTP_CLIENT_REQUEST_ERROR = "http.client.request.error";
+
+//	the `diagnostics_channel` channels published by undici, incl. the undici instance bundled with node and used by the global `fetch`
+const UNDICI_REQUEST_CREATE = "undici:request:create";
+const UNDICI_REQUEST_HEADERS = "undici:request:headers";
+const UNDICI_REQUEST_ERROR = "undici:request:error";
+
+//	Class: `OutboundInstrumentation` - profiles outgoing HTTP requests made via the node `http`/`https` client and via undici (incl. the global `fetch`) by subscribing to their
+//		`diagnostics_channel` events.
+//	Remarks:
+//		Every request becomes a profiling hit keyed by the request method, host and path, e.g. `"GET api.example.com/users/:n"`. The path is stripped of the query string and normalized
+//		via the `uuid`, `objectid`, `email` and `number` key normalizer presets (see `KeyNormalizer`); the key normalization rules configured for the bucket are applied on top.
+//		The hit ends when the response headers have been received, `"; status=<statusCode>"` is appended to the hit title. Responses with a 5xx status code and request errors are
+//		counted as failed hits (see `Profiler.fail`).
+//		Hits are created via `Profiler.begin`, so the bucket enabled state, sampling and key limits apply and the hits are recorded as nested hits of the current hit.
+//		Requests to the logging server configured for `DataCollectorHttpProxy` are not profiled.
+class OutboundInstrumentation
+{
+	//	Constructor: Creates a new instance of the `OutboundInstrumentation` class.
+	//	Parameter: `profiler: Profiler` - required; the profiler instance to use.
+	//	Parameter: `par.bucketKey: string` - optional, defaults to `"OUTBOUND"`; see `Profiler.begin`.
+	//	Parameter: `par.keyFn(method: string, host: string, path: string): string` - optional; builds the profiling key for a request from the request method, host (incl. the port, if set)
+	//		and path (incl. the query string); if not set, the default profiling key is used (see remarks above).
+	//	Remarks: The new instance doesn't profile any requests until `enable` is called.
+	constructor(profiler, par)
+	{
+		if (!profiler) throw new Error(`Argument is null: "profiler".`);
+
+		this.profiler = profiler;
+		this.bucketKey = par?.bucketKey || "OUTBOUND";
+		this.keyFn = par?.keyFn || null;
+		this.pathNormalizer = new KeyNormalizer(["uuid", "objectid", "email", "number"]);
+
+		//	a map of `(request, hit)` pairs holding the hits of the requests in flight
+		this.hits = new WeakMap();
+
+		//	the `DataCollectorHttpProxy` logging server URI and origin, cached for detecting the requests made by the proxy
+		this.loggingServerUri = null;
+		this.loggingServerOrigin = null;
+
+		this.isEnabled = false;
+		this.subscriptions =
+		{
+			[HTTP_CLIENT_REQUEST_START]: message => this._httpRequestStart(message),
+			[HTTP_CLIENT_RESPONSE_FINISH]: message => this._end(message.request, message.response.statusCode, null),
+			[HTTP_CLIENT_REQUEST_ERROR]: message => this._end(message.request, null, message.error),
+			[UNDICI_REQUEST_CREATE]: message => this._undiciRequestCreate(message),
+			[UNDICI_REQUEST_HEADERS]: message => this._end(message.request, message.response.statusCode, null),
+			[UNDICI_REQUEST_ERROR]: message => this._end(message.request, null, message.error),
+		};
+	}
+
+	//	Function: `enable(): void` - subscribes to the `diagnostics_channel` events; does nothing if already enabled.
+	enable()
+	{
+		if (this.isEnabled) return;
+		this.isEnabled = true;
+		for (const name in this.subscriptions) diagnostics_channel.subscribe(name, this.subscriptions[name]);
+	}
+
+	//	Function: `disable(): void` - unsubscribes from the `diagnostics_channel` events; requests in flight are not profiled any further and their hits remain open.
+	disable()
+	{
+		if (!this.isEnabled) return;
+		this.isEnabled = false;
+		for (const name in this.subscriptions) diagnostics_channel.unsubscribe(name, this.subscriptions[name]);
+	}
+
+	_httpRequestStart(message)
+	{
+		const request = message.request;
+		const host = request.getHeader("host") || request.host;
+		const hit = this._begin(request, request.method, (request.protocol || "http:") + "//" + host, host, request.path);
+		//	a fallback for node versions that don't publish `http.client.request.error`; doesn't affect the request's error handling
+		if (hit) request.once("close", () => this._end(request, null, "closed without response"));
+	}
+
+	_undiciRequestCreate(message)
+	{
+		const request = message.request;
+		const origin = String(request.origin);
+		let host;
+		try
+		{
+			host = new URL(origin).host;
+		}
+		catch (ex)
+		{
+			host = origin;
+		}
+		this._begin(request, request.method, origin, host, request.path);
+	}
+
+	_begin(request, method, origin, host, path)
+	{
+		try
+		{
+			if (!this.profiler.isEnabled(this.bucketKey)) return null;
+			if (this._isLoggingServerRequest(origin)) return null;
+
+			const index = path.indexOf("?");
+			const pathname = index === -1 ? path : path.substring(0, index);
+			const key = this.keyFn ? this.keyFn(method, host, path) : method + " " + host + this.pathNormalizer.normalize(pathname);
+			const hit = this.profiler.begin(this.bucketKey, key, method + " " + origin + pathname);
+			if (hit) this.hits.set(request, hit);
+			return hit;
+		}
+		catch (ex)
+		{
+			this.profiler.onError(3456348776, "Uncaught exception, please report to raw-profiler vendor", ex);
+			return null;
+		}
+	}
+
+	_end(request, statusCode, err)
+	{
+		const hit = this.hits.get(request);
+		if (!hit) return;
+		this.hits.delete(request);
+		if (err) this.profiler.fail(hit, err);
+		else if (statusCode >= 500) this.profiler.fail(hit, `HTTP ${statusCode}`, `; status=${statusCode}`);
+		else this.profiler.end(hit, `; status=${statusCode}`);
+	}
+
+	//	prevents an endless feedback loop of profiling the requests that deliver profiling data to the logging server
+	_isLoggingServerRequest(origin)
+	{
+		const uri = this.profiler.dataCollector.uri;
+		if (!uri) return false;
+		if (uri !== this.loggingServerUri)
+		{
+			this.loggingServerUri = uri;
+			try
+			{
+				this.loggingServerOrigin = new URL(uri).origin;
+			}
+			catch (ex)
+			{
+				this.loggingServerOrigin = null;
+			}
+		}
+		return origin === this.loggingServerOrigin;
+	}
+}
+
+module.exports = OutboundInstrumentation;
+module.exports.OutboundInstrumentation = module.exports;
@@ -1,10 +1,40 @@
 ﻿"use strict";
 
 const { ProfilerTarget } = require("./ProfilerTarget.js"); 
+const { MetricTarget } = require("./MetricTarget.js");
+const { TagGroupStats } = require("./TagGroupStats.js");
+const { fdate, fduration } = require("./Utility.js");
 
 const EventEmitter = require("events");
+const { AsyncLocalStorage } = require("async_hooks");
+
+//	the maximum number of nested hit summaries recorded per hit for call tree reporting; nested hits beyond this limit are only counted
+const MAX_CHILD_HITS = 100;
+
+//	the maximum number of open hits tracked for overdue detection and inspection; hits begun while the registry is full are not tracked
+const MAX_OPEN_HITS = 10000;
+
+//	the interval at which open hits are checked for exceeding the configured `overdueMs` threshold
+const WATCHDOG_INTERVAL_MS = 1000;
+
+//	the profiling key that new keys are folded into when a bucket has reached its `maxKeys` limit with the `"other"` key overflow policy
+const OTHER_KEY = "(other)";
+
+//	the maximum number of existing profiling keys listed in the key overflow warning
+const MAX_SAMPLE_KEYS = 5;
+
+//	the profiling key of the hits begun via `beginPending` until their final profiling key is set via `rekey`
+const PENDING_KEY = "(pending)";
 
 //	Class: `Profiler` - provides the ability to collect execution time metrics for selected profiling hit points in nodejs application code.
+//	Events: `Profiler` emits the following events:
+//		* `"inspectHitBegin"`, arguments: `hit`
+//		* `"inspectHitEnd"`, arguments: `hit`
+//		* `"hitOverdue"`, arguments: `hit, ageMs, overdueMs`
+//		* `"hitSlow"`, arguments: `hit, slowMs`
+//		* `"reset"`, arguments: `bucketKey, reason`
+//		* `"warning"`, arguments: `message`
+//		* `"error"`, arguments: `ncode, message, ex`
 class Profiler extends EventEmitter
 {
 	//	Constructor: Creates a new instance of the `Profiler` class.
@@ -26,6 +56,71 @@ class Profiler extends EventEmitter
 
 		//	an application-wide counter for all hits encountered since the application started
 		this.hitCount = 0;
+
+		//	tracks the innermost open hit across async boundaries; the store is a `{ hit, parentFrame }` frame, where `parentFrame` is the frame that was current when `hit` began
+		this.hitScope = new AsyncLocalStorage();
+
+		//	a map of `(hit, parentHit)` pairs used to report finished nested hits to their enclosing hits
+		this.parentHits = new WeakMap();
+
+		//	a map of `(hit.index, hit)` pairs holding the hits created via `begin` but not yet finalized via `end` or `discard`; limited to `MAX_OPEN_HITS` entries
+		this.openHits = new Map();
+
+		//	checks the hits in `this.openHits` for exceeding the configured `overdueMs` threshold; runs only while there are open hits
+		this.watchdogTimer = null;
+
+		//	a dictionary of `(bucketKey, { resetIntervalMs, timer })` pairs holding the unref'd timers that close the current stats epoch of the buckets with the
+		//	`buckets.<bucketKey>.resetIntervalMs` runtime configuration field set
+		this.epochTimers = {};
+
+		//	a dictionary of `(bucketKey, Map)` pairs, where every map holds the `(key, ProfilerTarget)` pairs of the bucket from `this.targetMap` ordered from the least to the most recently used
+		this.bucketTargets = {};
+
+		//	a dictionary of `(bucketKey, Map)` pairs, where every map holds the `("<kind>*<key>", MetricTarget)` pairs of the custom metrics of the bucket (see `count`, `gauge`, `value`)
+		this.bucketMetricTargets = {};
+
+		//	a dictionary of `(bucketKey, true)` pairs for buckets for which the key overflow warning has already been fired since the bucket was last reset or the key limits were last
+		//	configured (see `dataCollector_configurationChanged`)
+		this.keyOverflowWarnings = {};
+
+		//	a dictionary of `(bucketKey, ProfilerTarget)` pairs holding the hits begun via `beginPending` until they are rekeyed; these targets are not part of `this.targetMap`,
+		//	are never fed to the data collector and don't count towards the key limits
+		this.pendingTargets = {};
+
+		//	a map of `(methodHolder, Map)` pairs, where every map holds the `(methodName, propertyDescriptor | null)` pairs of the original methods replaced via `instrument`;
+		//	`null` means the method was inherited and not an own property of the method holder
+		this.instrumentedMethods = new WeakMap();
+
+		//	reschedules the stats epochs on runtime configuration changes of the data collector (see `dataCollector_configurationChanged`)
+		this.dataCollectorConfigurationChangedListener = (...args) => this.dataCollector_configurationChanged(...args);
+		this.dataCollector.on?.("configurationChanged", this.dataCollectorConfigurationChangedListener);
+		//	clears the collected stats when the stats epoch is closed by the main thread (see `dataCollector_reset`)
+		this.dataCollectorResetListener = (...args) => this.dataCollector_reset(...args);
+		this.dataCollector.on?.("reset", this.dataCollectorResetListener);
+	}
+
+	//	Function: Handles data collector runtime configuration changes.
+	//	Remarks: Reschedules the stats epochs of the known buckets on `buckets.<bucketKey>.resetIntervalMs` runtime configuration changes. Re-arms the key overflow warnings of all buckets
+	//		on `maxKeysPerBucket`, `keyOverflowPolicy`, `buckets.<bucketKey>.maxKeys` and `buckets.<bucketKey>.keyOverflowPolicy` runtime configuration changes.
+	dataCollector_configurationChanged(key, value, oldValue, source, ctimes)
+	{
+		if (/\.resetIntervalMs$/.test(key)) this._scheduleEpochs();
+		if (/(^|\.)(maxKeysPerBucket|maxKeys|keyOverflowPolicy)$/.test(key)) this.keyOverflowWarnings = {};
+	}
+
+	//	Function: Handles the stats resets requested by the data collector.
+	//	Remarks: Raised by `DataCollectorWorkerProxy` when the main thread closes a stats epoch (see `DataCollectorWorkerProxy.attach`). Clears the collected stats like `reset`, but doesn't
+	//		request the data collector to reset, as the final stats table has already been logged by the main thread.
+	dataCollector_reset(bucketKey, reason)
+	{
+		try
+		{
+			this._resetTargets(bucketKey);
+		}
+		catch (ex)
+		{
+			this.onError(3456348784, "Uncaught exception, please report to raw-profiler vendor", ex);
+		}
 	}
 
 	//	Function: Fires the "error" event whenever a recoverable exception occurs.
@@ -67,13 +162,53 @@ class Profiler extends EventEmitter
 		this.emit("inspectHitEnd", hit);
 	}
 
+	//	Function: Fires the "hitOverdue" event when an open `hit` exceeds the configured `overdueMs` threshold.
+	//	Parameter: `hit: object` - the result of a `ProfilerTarget.hit()` call; the hit is still open.
+	//	Parameter: `ageMs: uint` - the time elapsed since the hit has begun, in milliseconds.
+	//	Parameter: `overdueMs: uint` - the threshold that has been exceeded, as configured by the `overdueMs` or `buckets.<bucketKey>.overdueMs` runtime configuration field.
+	//	Remarks: Fired at most once per hit, as soon as the watchdog detects the hit as overdue and without waiting for the hit to end. Sets `hit.isOverdue` to `true`.
+	onHitOverdue(hit, ageMs, overdueMs)
+	{
+		this.emit("hitOverdue", hit, ageMs, overdueMs);
+	}
+
+	//	Function: Fires the "hitSlow" event when a finished `hit` has exceeded the configured `slowMs` threshold.
+	//	Parameter: `hit: object` - the result of a `ProfilerTarget.hit()` call; the hit is finished, see `ProfilerTarget.finish` for `hit.executionStats`.
+	//	Parameter: `slowMs: uint` - the threshold that has been exceeded, as configured by the `buckets.<bucketKey>.slowMs` or `buckets.<bucketKey>.slowMsPatterns` runtime configuration field.
+	//	Remarks: Fired before the hit is fed to the data collector. Sets `hit.slowMs` to `slowMs`, which makes the data collector write the hit with full detail to the slow log of the bucket.
+	onHitSlow(hit, slowMs)
+	{
+		this.emit("hitSlow", hit, slowMs);
+	}
+
+	//	Function: Fires the "reset" event after the collected stats have been cleared by `reset`.
+	//	Parameter: `bucketKey: string | null` - the key of the reset bucket or `null` if all buckets have been reset.
+	//	Parameter: `reason: string` - a short text explaining the reset.
+	//	Remarks: Used by `DataCollectorWorkerProxy.attach` to forward the resets of the main thread to the workers.
+	onReset(bucketKey, reason)
+	{
+		this.emit("reset", bucketKey, reason);
+	}
+
+	//	Function: Fires the "warning" event whenever a condition that requires the attention of the developer is detected, e.g. a bucket has reached its profiling key limit.
+	//	Parameter: `message: string` - a description of the condition.
+	onWarning(message)
+	{
+		this.emit("warning", message);
+	}
+
 	//	Function: `setDataCollector(dataCollector: DataCollector | DataCollectorHttpProxy)` - Replaces the data collector for this profiler.
 	//	Parameter: `dataCollector: DataCollector | DataCollectorHttpProxy` - required; an instance responsible for handling incoming data.
 	//	Remarks: This function facilitates the `__pfconfig` interface function and shouldn't be used in other context.
 	setDataCollector(dataCollector)
 	{
 		if (!dataCollector) throw new Error(`Argument is null: "dataCollector".`);
+		this.dataCollector.off?.("configurationChanged", this.dataCollectorConfigurationChangedListener);
+		this.dataCollector.off?.("reset", this.dataCollectorResetListener);
 		this.dataCollector = dataCollector;
+		this.dataCollector.on?.("configurationChanged", this.dataCollectorConfigurationChangedListener);
+		this.dataCollector.on?.("reset", this.dataCollectorResetListener);
+		this._scheduleEpochs();
 	}
 
 	//	Function: `log(bucketKey: string, text: string): void` - writes text to the profiling logs without creating a hit point.
@@ -96,39 +231,54 @@ class Profiler extends EventEmitter
 		}
 	}
 
-	//	Function: `begin(bucketKey: string, key: string, text: string): object` - creates, registers and returns a new profiling hit.
+	//	Function: `begin(bucketKey: string, key: string, text: string, options: object): object` - creates, registers and returns a new profiling hit.
 	//	Parameter: `bucketKey: string` - a key for grouping and configuration management of profiling data at log-file level; a single profiling bucket usually corresponds to a single
 	//		profiling hit point in the code, for Ex. `"CRUD"`, `"REST"`, `"RPC"`, `"VerySpecificSuspiciousLoop"`.
 	//	Parameter: `key: string` - a key for grouping of profiling data at statistics level within a bucket; multiple profiling hits (i.e. `Profiler.begin`/`Profiler.end` pairs) for the same
-	//		`(bucketKey, key)` pair are aggregated and analysed statistically and produce stats such as minimum, average, maximum and total execution time.
-	//	Parameter: `text: string` - a text used as a title for profiling stats tables with `EVerbosity.Brief` and `EVerbosity.Full` and as a logging line with `EVerbosity.Log`;
-	//		the `Profiler.end` call can append a postfix text to this text.
+	//		`(bucketKey, key)` pair are aggregated and analysed statistically and produce stats such as minimum, average, maximum and total execution time; the key is rewritten by the
+	//		normalization rules configured for the bucket (see `KeyNormalizer`) before the stats lookup, in which case the raw key is prepended to the hit title.
+	//	Parameter: `text: string` - optional, defaults to `""`; a text used as a title for profiling stats tables with `EVerbosity.Brief` and `EVerbosity.Full` and as a logging line
+	//		with `EVerbosity.Log`; the `Profiler.end` call can append a postfix text to this text.
+	//	Parameter: `options: object` - optional.
+	//	Parameter: `options.tags: object` - optional; a small set of dimensions of the hit, e.g. `{ tenant, region, cacheHit }`; string, number and boolean values only (see
+	//		`TagGroupStats.normalizeTags`); for the tags listed in the `buckets.<bucketKey>.groupBy` runtime configuration field, the stats of the profiling key are broken down per tag value
+	//		(see `TagGroupStats`, `DataCollector.formatBucket`).
+	//	Parameter: `options.parent: object` - optional; the enclosing hit of the new hit, e.g. the result of an earlier `Profiler.begin` call; `null` records the new hit as a root hit;
+	//		if not set, the current hit (see `Profiler.runInHitScope`) is used.
 	//	Returns: An object representing current state required for the measurements for hit profiling as returned by `ProfilerTarget.hit(title, hitCount, openHitsCount)`;
 	//		see `ProfilerTarget.hit(title, hitCount, openHitsCount)` docs for details.
 	//	Remarks:
 	//		This function never throws an exception.
 	//		Always use `Utility.stripStringify` before logging data to ensure that no sensitive data such as unencrypted passwords will appear in the logs.
-	begin(bucketKey, key, text)
+	//		Returns `null` for calls that have not been sampled for profiling (see the `buckets.<bucketKey>.sampleRate` and `buckets.<bucketKey>.sampleEvery` runtime configuration fields);
+	//		such calls are only counted and passing `null` to `Profiler.end`, `Profiler.fail` and `Profiler.discard` is a no-op.
+	//		The new hit is recorded as a nested hit of the current hit (see `hit.parentIndex`, `hit.depth`, `hit.rootIndex`, `hit.childHits`), but does not become the current hit itself,
+	//		so hits begun one after another in the same execution context are recorded as siblings. To record nested hits, begin them within `Profiler.runInHitScope`, `Profiler.wrap`,
+	//		`Profiler.wrapAsync` or an instrumented method (see `Profiler.instrument`), or pass the enclosing hit as `options.parent`.
+	begin(bucketKey, key, text, options)
 	{
-		if (!this.isEnabled(bucketKey)) return null;
-		try
-		{
-			this.openHitsCount++;
-			this.hitCount++;
-			const hit = this._ensureProfilerTarget(key, bucketKey).hit(text, this.hitCount, this.openHitsCount);
-			this.onInspectHitBegin(hit);
-			return hit;
-		}
-		catch (ex)
-		{
-			this.onError(3456348756, "Uncaught exception, please report to raw-profiler vendor", ex);
-			return null;
-		}
+		return this._begin(bucketKey, key, text, options);
+	}
+
+	//	Function: `beginPending(bucketKey: string, text: string, options: object): object` - creates, registers and returns a new profiling hit whose profiling key is not known yet.
+	//	Parameter: `bucketKey: string` - see `Profiler.begin`.
+	//	Parameter: `text: string` - optional; see `Profiler.begin`.
+	//	Parameter: `options: object` - optional; see `Profiler.begin`.
+	//	Returns: see `Profiler.begin`; the `key` of the new hit is `"(pending)"` and `hit.isPending` is `true` until `Profiler.rekey` sets the profiling key.
+	//	Remarks:
+	//		This function never throws an exception.
+	//		Intended for hits whose profiling key is only known after the profiled operation has begun, e.g. HTTP requests keyed by the matched route pattern (see `HttpMiddleware`).
+	//		A pending hit is not counted towards any profiling key and is not subject to sampling and key limits until `Profiler.rekey` is called; the sampling decision is made by
+	//		`Profiler.rekey` for the final profiling key. `Profiler.end` and `Profiler.fail` discard pending hits (see `Profiler.discard`).
+	beginPending(bucketKey, text, options)
+	{
+		return this._begin(bucketKey, PENDING_KEY, text, options, true);
 	}
 
-	//	Function: `end(hit: object, postfix: string): null` - calculates profiling data and finalizes a profiling `hit`; initiates the logging of the collected data.
+	//	Function: `end(hit: object, postfix: string, err: any): null` - calculates profiling data and finalizes a profiling `hit`; initiates the logging of the collected data.
 	//	Parameter: `hit: object` - required; the result of the corresponding `Profiler.begin` call.
 	//	Parameter: `postfix: string` - optional; appended to the `text` from the corresponding `Profiler.begin` call.
+	//	Parameter: `err: any` - optional; if set to a value other than `void 0` or `null`, the hit is counted as failed and `"; error=" + String(err)` is appended to the text after `postfix`.
 	//	Returns: Always returns `null`. Recommended as a shortcut for releasing the current profiler hit's state, e.g.:
 	//	```
 	//	    let hit = __pfbegin("bucketKey1", "key1" [, "text"]);
@@ -138,16 +288,31 @@ class Profiler extends EventEmitter
 	//	Remarks:
 	//		This function never throws an exception.
 	//		Always use `Utility.stripStringify` before logging data to ensure that no sensitive data such as unencrypted passwords will appear in the logs.
-	end(hit, postfix)
+	end(hit, postfix, err)
 	{
-		if (!hit || !this.isEnabled(hit.bucketKey)) return null;
+		if (!hit) return null;
+		if (hit.isPending) return this.discard(hit);
+		this.openHits.delete(hit.index);
+		if (!this.isEnabled(hit.bucketKey)) return null;
 		try
 		{
 			const target = this.targetMap[hit.bucketKey + "*" + hit.key];
 			if (!target) return null;
 
-			target.finish(hit, postfix, this.hitCount, this.openHitsCount);
+			target.finish(hit, postfix, this.hitCount, this.openHitsCount, err);
+			if (hit.tags)
+			{
+				const groupBy = this.dataCollector.getBucketGroupBy?.(hit.bucketKey);
+				if (groupBy) target.group(hit, groupBy, this.dataCollector.getBucketMaxTagValues?.(hit.bucketKey) || TagGroupStats.DEFAULT_MAX_VALUES);
+			}
+			const slowMs = this.dataCollector.getBucketSlowHitRules?.(hit.bucketKey)?.getSlowMs(hit.key) || 0;
+			if (slowMs && hit.executionStats.ms > slowMs)
+			{
+				hit.slowMs = slowMs;
+				this.onHitSlow(hit, slowMs);
+			}
 			--this.openHitsCount;
+			this._reportToParentHit(hit);
 			this.onInspectHitEnd(hit);
 			this.dataCollector.feed(target.getStats(), hit);
 			return null;
@@ -159,6 +324,19 @@ class Profiler extends EventEmitter
 		}
 	}
 
+	//	Function: `fail(hit: object, err: any, postfix: string): null` - finalizes a failed profiling `hit`; a shorthand for `Profiler.end(hit, postfix, err)`.
+	//	Parameter: `hit: object` - required; the result of the corresponding `Profiler.begin` call.
+	//	Parameter: `err: any` - optional, defaults to `"failed"`; the error that caused the failure; `"; error=" + String(err)` is appended to the text.
+	//	Parameter: `postfix: string` - optional; appended to the `text` from the corresponding `Profiler.begin` call before the error text.
+	//	Returns: Always returns `null`.
+	//	Remarks:
+	//		This function never throws an exception.
+	//		Failed hits are counted towards the `errorCount`, `errorRate` and `errorAvgMs` stats instead of `okAvgMs`; the `avgMs` stats include both successful and failed hits.
+	fail(hit, err, postfix)
+	{
+		return this.end(hit, postfix, (err !== void 0 && err !== null) ? err : "failed");
+	}
+
 	//	Function: `discard(hit: object): null` - remove the `hit` from the ON-time and open hits count stats.
 	//	Parameter: `hit: object` - required; the result of the corresponding `Profiler.begin` call.
 	//	Returns: Always returns `null`. Recommended as a shortcut for releasing the current profiler hit's state, e.g.:
@@ -172,9 +350,10 @@ class Profiler extends EventEmitter
 	discard(hit)
 	{
 		if (!hit) return null;
+		this.openHits.delete(hit.index);
 		try
 		{
-			const target = this.targetMap[hit.bucketKey + "*" + hit.key];
+			const target = hit.isPending ? this.pendingTargets[hit.bucketKey] : this.targetMap[hit.bucketKey + "*" + hit.key];
 			if (!target) return null;
 
 			target.discard(hit);
@@ -188,6 +367,330 @@ class Profiler extends EventEmitter
 		}
 	}
 
+	//	Function: `rekey(hit: object, key: string): object` - moves an open `hit` to another profiling key within the same bucket.
+	//	Parameter: `hit: object` - required; the result of the corresponding `Profiler.begin` or `Profiler.beginPending` call.
+	//	Parameter: `key: string` - required; the new profiling key; the key normalization rules and key limits configured for the bucket apply as with `Profiler.begin`.
+	//	Returns: `hit`, modified in place, or `null` if `hit` has been begun via `Profiler.beginPending` and the call has not been sampled for profiling.
+	//	Remarks:
+	//		This function never throws an exception.
+	//		Intended for hits whose profiling key is only known after the profiled operation has begun, e.g. HTTP requests keyed by the matched route pattern (see `HttpMiddleware`).
+	//		The hit is removed from the stats of the original profiling key as with `Profiler.discard`.
+	//		For pending hits (see `Profiler.beginPending`), the sampling decision is made for the new profiling key; unsampled calls are only counted and the hit is dropped, which makes
+	//		passing it to `Profiler.end`, `Profiler.fail` and `Profiler.discard` afterwards a no-op.
+	rekey(hit, key)
+	{
+		if (!hit || (hit.key === key && !hit.isPending)) return hit;
+		try
+		{
+			const oldTarget = hit.isPending ? this.pendingTargets[hit.bucketKey] : this.targetMap[hit.bucketKey + "*" + hit.key];
+			if (!oldTarget) return hit;
+
+			const keyNormalizer = this.dataCollector.getBucketKeyNormalizer?.(hit.bucketKey);
+			const target = this._ensureProfilerTarget(keyNormalizer ? keyNormalizer.normalize(key) : key, hit.bucketKey);
+			if (target === oldTarget) return hit;
+
+			oldTarget.discard(hit);
+			if (hit.isPending)
+			{
+				delete hit.isPending;
+				if (!this._isSampled(target))
+				{
+					target.skip();
+					this.openHits.delete(hit.index);
+					--this.openHitsCount;
+					return null;
+				}
+			}
+			target.adopt(hit);
+			return hit;
+		}
+		catch (ex)
+		{
+			this.onError(3456348774, "Uncaught exception, please report to raw-profiler vendor", ex);
+			return hit;
+		}
+	}
+
+	//	Function: `count(bucketKey: string, key: string, n: number): void` - adds `n` to a counter, e.g. for cache hits and misses.
+	//	Parameter: `bucketKey: string` - see `Profiler.begin`.
+	//	Parameter: `key: string` - a key for grouping of metric records at statistics level within a bucket; see `Profiler.begin`.
+	//	Parameter: `n: number` - optional, defaults to `1`; the increment.
+	//	Remarks:
+	//		This function never throws an exception.
+	//		Counters are listed with their `count`, `sum`, `rate/s` and `last` stats in a separate stats table of the bucket (see `MetricTarget`, `DataCollector.formatBucket`).
+	count(bucketKey, key, n = 1)
+	{
+		this._recordMetric("count", bucketKey, key, n);
+	}
+
+	//	Function: `gauge(bucketKey: string, key: string, value: number): void` - sets the current value of a gauge, e.g. a queue length.
+	//	Parameter: `bucketKey: string` - see `Profiler.begin`.
+	//	Parameter: `key: string` - see `Profiler.count`.
+	//	Parameter: `value: number` - required; the current value.
+	//	Remarks:
+	//		This function never throws an exception.
+	//		Gauges are listed with their `count`, `last`, `min`, `avg` and `max` stats in a separate stats table of the bucket (see `MetricTarget`, `DataCollector.formatBucket`).
+	gauge(bucketKey, key, value)
+	{
+		this._recordMetric("gauge", bucketKey, key, value);
+	}
+
+	//	Function: `value(bucketKey: string, key: string, value: number): void` - records an observation of a value distribution, e.g. the number of rows returned by a query.
+	//	Parameter: `bucketKey: string` - see `Profiler.begin`.
+	//	Parameter: `key: string` - see `Profiler.count`.
+	//	Parameter: `value: number` - required; the observed value.
+	//	Remarks:
+	//		This function never throws an exception.
+	//		Value distributions are listed with their `count`, `sum`, `min`, `avg`, `max` and percentile stats in a separate stats table of the bucket (see `MetricTarget`,
+	//		`DataCollector.formatBucket`).
+	value(bucketKey, key, value)
+	{
+		this._recordMetric("value", bucketKey, key, value);
+	}
+
+	//	Function: `reset(bucketKey: string): void` - closes the current stats epoch by clearing all collected stats for the specified bucket or for all buckets.
+	//	Parameter: `bucketKey: string` - optional; the key of the bucket to reset; if not set, all buckets are reset.
+	//	Parameter: `reason: string` - optional, defaults to `"reset"`; a short text explaining the reset, included in the log.
+	//	Remarks:
+	//		This function never throws an exception.
+	//		Before the stats are cleared, the data collector logs the final stats table of every affected bucket.
+	//		Profiling keys with open hits are reset in place and the open hits are counted towards the new epoch when they end; all other profiling keys are removed.
+	//		In a worker thread that uses `DataCollectorWorkerProxy`, the main thread is requested to reset the bucket for all threads (see `DataCollectorWorkerProxy.attach`).
+	reset(bucketKey, reason = "reset")
+	{
+		try
+		{
+			this._resetTargets(bucketKey);
+			if (bucketKey) this._scheduleEpoch(bucketKey, true);
+			else for (const key in this.epochTimers) this._scheduleEpoch(key, true);
+			this.dataCollector.reset?.(bucketKey || null, reason);
+			this.onReset(bucketKey || null, reason);
+		}
+		catch (ex)
+		{
+			this.onError(3456348770, "Uncaught exception, please report to raw-profiler vendor", ex);
+		}
+	}
+
+	//	Function: `scheduleEpoch(bucketKey: string): void` - starts the stats epoch of a bucket that is profiled by another thread only, unless it has already been started.
+	//	Parameter: `bucketKey: string` - required; the key of the bucket.
+	//	Remarks: Called by `DataCollectorWorkerProxy.attach` for every profiling hit fed by a worker, as the main thread closes the stats epochs of all threads. The stats epochs of the
+	//		buckets profiled by this instance are started automatically.
+	scheduleEpoch(bucketKey)
+	{
+		try
+		{
+			this._scheduleEpoch(bucketKey);
+		}
+		catch (ex)
+		{
+			this.onError(3456348785, "Uncaught exception, please report to raw-profiler vendor", ex);
+		}
+	}
+
+	//	Function: `wrap(bucketKey: string, key: string, fn(): any, text: string): any` - invokes `fn` synchronously within a profiling hit and returns its result.
+	//	Parameter: `bucketKey: string` - see `Profiler.begin`.
+	//	Parameter: `key: string` - see `Profiler.begin`.
+	//	Parameter: `fn(): any` - required; a synchronous function to invoke and profile.
+	//	Parameter: `text: string` - optional; see `Profiler.begin`.
+	//	Returns: the return value of `fn`.
+	//	Remarks:
+	//		If `fn` throws, the hit is counted as failed (see `Profiler.fail`) and the exception is rethrown unchanged.
+	//		When profiling is disabled for `bucketKey`, `fn` is invoked directly without any profiling overhead beyond the `isEnabled` check.
+	//		For functions returning a promise use `Profiler.wrapAsync` instead, otherwise only the synchronous part of the execution will be measured.
+	wrap(bucketKey, key, fn, text)
+	{
+		if (!this.isEnabled(bucketKey)) return fn();
+
+		let hit = this._begin(bucketKey, key, text);
+		let result;
+		try
+		{
+			result = this.runInHitScope(hit, fn);
+		}
+		catch (ex)
+		{
+			hit = this.fail(hit, ex);
+			throw ex;
+		}
+		hit = this.end(hit);
+		return result;
+	}
+
+	//	Function: `wrapAsync(bucketKey: string, key: string, asyncFn(): Promise, text: string): Promise` - invokes `asyncFn` within a profiling hit that ends when the returned promise settles.
+	//	Parameter: `bucketKey: string` - see `Profiler.begin`.
+	//	Parameter: `key: string` - see `Profiler.begin`.
+	//	Parameter: `asyncFn(): Promise` - required; an async function or a function returning a promise to invoke and profile.
+	//	Parameter: `text: string` - optional; see `Profiler.begin`.
+	//	Returns: a promise resolving to the result of `asyncFn`.
+	//	Remarks:
+	//		If `asyncFn` throws or the returned promise rejects, the hit is counted as failed (see `Profiler.fail`) and the returned promise rejects with the same reason.
+	//		When profiling is disabled for `bucketKey`, `asyncFn` is invoked directly without any profiling overhead beyond the `isEnabled` check.
+	async wrapAsync(bucketKey, key, asyncFn, text)
+	{
+		if (!this.isEnabled(bucketKey)) return await asyncFn();
+
+		let hit = this._begin(bucketKey, key, text);
+		let result;
+		try
+		{
+			result = await this.runInHitScope(hit, asyncFn);
+		}
+		catch (ex)
+		{
+			hit = this.fail(hit, ex);
+			throw ex;
+		}
+		hit = this.end(hit);
+		return result;
+	}
+
+	//	Function: `instrument(target: function | object, par: { bucketKey: string, methods: [string], keyFn(methodName, args, typeName): string }): [string]` - replaces methods of a class or
+	//		an object with wrappers that profile every call.
+	//	Parameter: `target: function | object` - required; a class, whose prototype methods are instrumented, or an object, whose own and inherited methods are instrumented on the object itself.
+	//	Parameter: `par.bucketKey: string` - required; see `Profiler.begin`.
+	//	Parameter: `par.methods: [string]` - optional; the names of the methods to instrument; if not set, all methods found on the prototype chain of the class prototype or the object
+	//		(except for `constructor`, accessors and the methods of `Object.prototype`) are instrumented.
+	//	Parameter: `par.keyFn(methodName: string, args: [any], typeName: string): string` - optional; builds the profiling key for a call; if not set, the profiling key is
+	//		`typeName + "." + methodName`, e.g. `"UserRepository.findById"`.
+	//	Returns: the names of the newly instrumented methods.
+	//	Usage:
+	//	```
+	//		__pf.instrument(UserRepository, { bucketKey: "CRUD" });
+	//		__pf.instrument(orderRepository, { bucketKey: "CRUD", methods: ["find", "insert"], keyFn: (methodName, args) => `${methodName} orders [${__pfschema(args[0])}]` });
+	//	```
+	//	Remarks:
+	//		Every call of an instrumented method is profiled as with `Profiler.wrap`; if the method returns a native promise, the hit ends when the promise settles as with `Profiler.wrapAsync`.
+	//		Other thenables (e.g. lazy query builders) are returned unchanged and only the synchronous part of the call is measured.
+	//		Throws if a method listed in `par.methods` is not a method of `target` or can't be replaced. Methods that have already been instrumented are skipped.
+	//		Instrumented methods are bound to the profiler at instrumentation time and check the enabled state of the bucket on every call.
+	instrument(target, par)
+	{
+		if (!target) throw new Error(`Argument is null: "target".`);
+		if (!par?.bucketKey) throw new Error(`Argument is null: "par.bucketKey".`);
+
+		const holder = typeof target === "function" ? target.prototype : target;
+		const typeName = (typeof target === "function" ? target.name : target.constructor?.name) || "(anonymous)";
+		const methodNames = par.methods || Profiler._getMethodNames(holder);
+
+		let originals = this.instrumentedMethods.get(holder);
+		if (!originals) this.instrumentedMethods.set(holder, originals = new Map());
+
+		const result = [];
+		for (const methodName of methodNames)
+		{
+			if (originals.has(methodName)) continue;
+			const descriptor = Object.getOwnPropertyDescriptor(holder, methodName) || null;
+			const method = descriptor ? descriptor.value : holder[methodName];
+			if (typeof method !== "function" || (descriptor && !descriptor.configurable))
+			{
+				if (par.methods) throw new Error(`Method cannot be instrumented: "${methodName}".`);
+				continue;
+			}
+			Object.defineProperty(holder, methodName,
+			{
+				value: this._createInstrumentedMethod(method, methodName, typeName, par.bucketKey, par.keyFn),
+				writable: true,
+				enumerable: descriptor ? descriptor.enumerable : false,
+				configurable: true,
+			});
+			originals.set(methodName, descriptor);
+			result.push(methodName);
+		}
+		return result;
+	}
+
+	//	Function: `uninstrument(target: function | object): [string]` - restores the original methods of a class or an object instrumented via `Profiler.instrument`.
+	//	Parameter: `target: function | object` - required; the class or object previously passed to `Profiler.instrument`.
+	//	Returns: the names of the restored methods.
+	uninstrument(target)
+	{
+		if (!target) throw new Error(`Argument is null: "target".`);
+
+		const holder = typeof target === "function" ? target.prototype : target;
+		const originals = this.instrumentedMethods.get(holder);
+		if (!originals) return [];
+
+		const result = [];
+		for (const [methodName, descriptor] of originals)
+		{
+			if (descriptor) Object.defineProperty(holder, methodName, descriptor);
+			else delete holder[methodName];
+			result.push(methodName);
+		}
+		this.instrumentedMethods.delete(holder);
+		return result;
+	}
+
+	//	Function: `runInHitScope(hit: object, fn(): any): any` - invokes `fn` with `hit` as the current hit for `fn` and all async operations started from it.
+	//	Parameter: `hit: object` - optional; the result of a `Profiler.begin` call; if not set, `fn` is invoked directly.
+	//	Parameter: `fn(): any` - required; the function to invoke.
+	//	Returns: the return value of `fn`.
+	//	Remarks: Hits begun within `fn` are recorded as nested hits of `hit`. The scope does not leak to the caller's execution context after `fn` returns, which makes this function
+	//		suitable for concurrent operations.
+	runInHitScope(hit, fn)
+	{
+		if (!hit) return fn();
+		return this.hitScope.run({ hit, parentFrame: this.hitScope.getStore() }, fn);
+	}
+
+	//	Function: `getOpenHits(par: { bucketKey: string, olderThanMs: uint }): [object]` - returns a snapshot of the currently open profiling hits.
+	//	Parameter: `par: object` - optional.
+	//	Parameter: `par.bucketKey: string` - optional; if set, only hits for this bucket are returned.
+	//	Parameter: `par.olderThanMs: uint` - optional; if set, only hits that have been open for longer than `olderThanMs` milliseconds are returned.
+	//	Returns: an array of new objects, ordered from the oldest hit to the newest, with the following schema:
+	//	```
+	//	{
+	//		index: uint,			//	a global serial number of the profiling hit (see `ProfilerTarget.hit`)
+	//		localIndex: uint,		//	a serial number of the profiling hit within its `(bucketKey, key)` pair (see `ProfilerTarget.hit`)
+	//		bucketKey: string,
+	//		key: string,
+	//		title: string,
+	//		time: Date,				//	the time when the hit has begun
+	//		elapsedMs: uint,		//	the time elapsed since the hit has begun, in milliseconds
+	//		isOverdue: boolean,		//	`true` if the hit has been reported as overdue (see `Profiler.onHitOverdue`)
+	//	}
+	//	```
+	//	Remarks:
+	//		This function never throws an exception.
+	//		Intended for diagnostics, e.g. for dumping the in-flight operations of a hanging process from an admin endpoint or a signal handler:
+	//	```
+	//		process.on("SIGUSR2", () => console.log(__pf.instance.getOpenHits({ olderThanMs: 5000 })));
+	//	```
+	//		Only the first 10000 simultaneously open hits are tracked.
+	getOpenHits(par)
+	{
+		const bucketKey = par?.bucketKey;
+		const olderThanMs = par?.olderThanMs || 0;
+		const result = [];
+		try
+		{
+			const now = new Date().getTime();
+			for (const hit of this.openHits.values())
+			{
+				if (bucketKey && hit.bucketKey !== bucketKey) continue;
+				const elapsedMs = now - hit.time.getTime();
+				if (olderThanMs && elapsedMs <= olderThanMs) continue;
+				result.push(
+				{
+					index: hit.index,
+					localIndex: hit.localIndex,
+					bucketKey: hit.bucketKey,
+					key: hit.key,
+					title: hit.title,
+					time: hit.time,
+					elapsedMs,
+					isOverdue: !!hit.isOverdue,
+				});
+			}
+		}
+		catch (ex)
+		{
+			this.onError(3456348772, "Uncaught exception, please report to raw-profiler vendor", ex);
+		}
+		return result;
+	}
+
 	//	Function: `flush(callback(err: object): void, stopLogging: boolean): void` - immediately initiates the process of flushing the queues to the logger.
 	//	Parameter: `callback(err): void` - required; a callback that is called when flushing finishes.
 	//	Parameter: `stopLogging: boolean` - optional, defaults to `true`; if set to true, the current data collector immediately starts ignoring any new data ensuring that there won't be new entries
@@ -201,7 +704,7 @@ class Profiler extends EventEmitter
 		{
 			return this.dataCollector.flush(err =>
 			{
-				this.onError(34563487221, "Unhandled error, please report to raw-profiler vendor", err);
+				if (err) this.onError(34563487221, "Unhandled error, please report to raw-profiler vendor", err);
 				return callback(err);
 			}, stopLogging);
 		}
@@ -264,9 +767,361 @@ class Profiler extends EventEmitter
 		return sb;
 	}
 
+	//	begins a new hit; with `isPending` set, the hit is begun within the bucket's pending target and the sampling decision is left to `rekey`
+	_begin(bucketKey, key, text, options, isPending = false)
+	{
+		if (!this.isEnabled(bucketKey)) return null;
+		try
+		{
+			if (text === void 0 || text === null) text = "";
+			let target;
+			if (isPending) target = this.pendingTargets[bucketKey] || (this.pendingTargets[bucketKey] = new ProfilerTarget(bucketKey, key));
+			else
+			{
+				const rawKey = key;
+				const keyNormalizer = this.dataCollector.getBucketKeyNormalizer?.(bucketKey);
+				if (keyNormalizer) key = keyNormalizer.normalize(key);
+				target = this._ensureProfilerTarget(key, bucketKey);
+				if (target.key !== rawKey) text = text === "" ? rawKey : rawKey + " - " + text;	//	normalized or folded into `OTHER_KEY`, keep the raw key in the title
+				if (!this._isSampled(target))
+				{
+					target.skip();
+					return null;
+				}
+			}
+			this.openHitsCount++;
+			this.hitCount++;
+			const parentHit = options?.parent !== void 0 ? (options.parent && !options.parent.executionStats ? options.parent : null) : this._getCurrentHit();
+			const hit = target.hit(text, this.hitCount, this.openHitsCount, parentHit, this.dataCollector.getBucketProcessStats?.(bucketKey) || false);
+			if (options?.tags) hit.tags = TagGroupStats.normalizeTags(options.tags);
+			if (isPending) hit.isPending = true;
+			if (parentHit) this.parentHits.set(hit, parentHit);
+			this._registerOpenHit(hit);
+			this.onInspectHitBegin(hit);
+			return hit;
+		}
+		catch (ex)
+		{
+			this.onError(3456348756, "Uncaught exception, please report to raw-profiler vendor", ex);
+			return null;
+		}
+	}
+
+	//	records a custom metric value and feeds it to the data collector; see `count`, `gauge`, `value`
+	_recordMetric(kind, bucketKey, key, value)
+	{
+		if (!this.isEnabled(bucketKey)) return;
+		try
+		{
+			if (typeof value !== "number" || !isFinite(value))
+			{
+				this.onError(3456348781, `Argument is invalid: "value", ${String(value)}`, new TypeError());
+				return;
+			}
+			const keyNormalizer = this.dataCollector.getBucketKeyNormalizer?.(bucketKey);
+			if (keyNormalizer) key = keyNormalizer.normalize(key);
+			const target = this._ensureMetricTarget(kind, key, bucketKey);
+			const hit = target.record(value);
+			this.dataCollector.feed(target.getStats(), hit);
+		}
+		catch (ex)
+		{
+			this.onError(3456348780, "Uncaught exception, please report to raw-profiler vendor", ex);
+		}
+	}
+
+	//	returns a function that invokes `method` within a profiling hit; see `instrument`
+	_createInstrumentedMethod(method, methodName, typeName, bucketKey, keyFn)
+	{
+		const profiler = this;
+		const result = function (...args)
+		{
+			if (!profiler.isEnabled(bucketKey)) return method.apply(this, args);
+
+			let hit = profiler._begin(bucketKey, profiler._getInstrumentedKey(methodName, args, typeName, keyFn));
+			let outcome;
+			try
+			{
+				outcome = profiler.runInHitScope(hit, () => method.apply(this, args));
+			}
+			catch (ex)
+			{
+				hit = profiler.fail(hit, ex);
+				throw ex;
+			}
+			if (!(outcome instanceof Promise))
+			{
+				hit = profiler.end(hit);
+				return outcome;
+			}
+			return outcome.then(value =>
+			{
+				hit = profiler.end(hit);
+				return value;
+			}, ex =>
+			{
+				hit = profiler.fail(hit, ex);
+				throw ex;
+			});
+		};
+		Object.defineProperty(result, "name", { value: method.name, configurable: true });
+		Object.defineProperty(result, "length", { value: method.length, configurable: true });
+		return result;
+	}
+
+	_getInstrumentedKey(methodName, args, typeName, keyFn)
+	{
+		if (keyFn) try
+		{
+			return keyFn(methodName, args, typeName);
+		}
+		catch (ex)
+		{
+			this.onError(3456348773, "Uncaught exception in the instrumentation key function", ex);
+		}
+		return typeName + "." + methodName;
+	}
+
+	//	collects the names of all methods on the prototype chain of `holder`, except for `constructor`, accessors and the methods of `Object.prototype`
+	static _getMethodNames(holder)
+	{
+		const result = new Set();
+		for (let current = holder; current && current !== Object.prototype && current !== Function.prototype; current = Object.getPrototypeOf(current))
+		{
+			for (const name of Object.getOwnPropertyNames(current))
+			{
+				if (name === "constructor") continue;
+				const descriptor = Object.getOwnPropertyDescriptor(current, name);
+				if (typeof descriptor.value === "function") result.add(name);
+			}
+		}
+		return result;
+	}
+
+	//	decides whether the next call for `target` should be profiled as configured by `buckets.<bucketKey>.sampleEvery` (takes precedence) and `buckets.<bucketKey>.sampleRate`
+	_isSampled(target)
+	{
+		const sampleEvery = this.dataCollector.getBucketSampleEvery?.(target.bucketKey);
+		if (sampleEvery > 1) return (target.stats.hitCount + target.stats.unsampledCount) % sampleEvery === 0;
+		const sampleRate = this.dataCollector.getBucketSampleRate?.(target.bucketKey);
+		if (sampleRate === void 0 || sampleRate === null || sampleRate >= 1) return true;
+		return Math.random() < sampleRate;
+	}
+
+	//	starts, restarts or stops the timer that resets the bucket when its stats epoch, as configured by `buckets.<bucketKey>.resetIntervalMs`, has elapsed; a running timer with
+	//	an unchanged interval is kept unless `restart` is set; called when a bucket is first seen, on configuration changes and on every reset
+	_scheduleEpoch(bucketKey, restart = false)
+	{
+		const resetIntervalMs = this.dataCollector.getBucketResetIntervalMs?.(bucketKey) || 0;
+		const epochTimer = this.epochTimers[bucketKey];
+		if (epochTimer)
+		{
+			if (!restart && epochTimer.resetIntervalMs === resetIntervalMs) return;
+			clearTimeout(epochTimer.timer);
+			delete this.epochTimers[bucketKey];
+		}
+		if (!resetIntervalMs) return;
+		const timer = setTimeout(() => this.reset(bucketKey, `resetIntervalMs=${resetIntervalMs}`), resetIntervalMs);
+		timer.unref();
+		this.epochTimers[bucketKey] = { resetIntervalMs, timer };
+	}
+
+	//	clears the collected stats of the specified bucket or of all buckets; see `reset`
+	_resetTargets(bucketKey)
+	{
+		for (const key in this.targetMap)
+		{
+			const target = this.targetMap[key];
+			if (bucketKey && target.bucketKey !== bucketKey) continue;
+			if (target.stats.ONcount) target.reset();
+			else
+			{
+				delete this.targetMap[key];
+				this.bucketTargets[target.bucketKey]?.delete(target.key);
+			}
+		}
+		if (bucketKey) delete this.bucketMetricTargets[bucketKey];
+		else this.bucketMetricTargets = {};
+		if (bucketKey) delete this.keyOverflowWarnings[bucketKey];
+		else this.keyOverflowWarnings = {};
+	}
+
+	//	calls `_scheduleEpoch` for all buckets seen so far and all buckets with a running timer
+	_scheduleEpochs()
+	{
+		try
+		{
+			const bucketKeys = new Set(Object.keys(this.bucketTargets).concat(Object.keys(this.bucketMetricTargets), Object.keys(this.epochTimers)));
+			for (const bucketKey of bucketKeys) this._scheduleEpoch(bucketKey);
+		}
+		catch (ex)
+		{
+			this.onError(3456348782, "Uncaught exception, please report to raw-profiler vendor", ex);
+		}
+	}
+
+	_registerOpenHit(hit)
+	{
+		if (this.openHits.size >= MAX_OPEN_HITS) return;
+		this.openHits.set(hit.index, hit);
+		if (this.watchdogTimer) return;
+		this.watchdogTimer = setInterval(() => this._checkOverdueHits(), WATCHDOG_INTERVAL_MS);
+		this.watchdogTimer.unref();
+	}
+
+	//	reports the open hits that have exceeded the `overdueMs` threshold configured for their buckets; stops the watchdog when there are no open hits
+	_checkOverdueHits()
+	{
+		try
+		{
+			if (!this.openHits.size)
+			{
+				clearInterval(this.watchdogTimer);
+				this.watchdogTimer = null;
+				return;
+			}
+
+			const now = new Date().getTime();
+			const overdueMsMap = {};
+			for (const hit of this.openHits.values())
+			{
+				if (hit.isOverdue) continue;
+				let overdueMs = overdueMsMap[hit.bucketKey];
+				if (overdueMs === void 0) overdueMs = overdueMsMap[hit.bucketKey] = this.dataCollector.getBucketOverdueMs?.(hit.bucketKey) || 0;
+				if (!overdueMs) continue;
+				const ageMs = now - hit.time.getTime();
+				if (ageMs < overdueMs) continue;
+
+				hit.isOverdue = true;
+				this.onHitOverdue(hit, ageMs, overdueMs);
+				this.log(hit.bucketKey, `OVERDUE HIT [${hit.bucketKey}] ${hit.key} - ${hit.title}; started at ${fdate(hit.time)}, open for ${fduration(ageMs)} (overdueMs: ${overdueMs})`);
+			}
+		}
+		catch (ex)
+		{
+			this.onError(3456348771, "Uncaught exception, please report to raw-profiler vendor", ex);
+		}
+	}
+
+	//	returns the innermost hit in the current execution context that is still open
+	_getCurrentHit()
+	{
+		let frame = this.hitScope.getStore();
+		while (frame && frame.hit.executionStats) frame = frame.parentFrame;
+		return frame ? frame.hit : null;
+	}
+
+	_reportToParentHit(hit)
+	{
+		const parentHit = this.parentHits.get(hit);
+		if (!parentHit) return;
+		this.parentHits.delete(hit);
+		if (parentHit.executionStats) return;
+		if (parentHit.childHits.length >= MAX_CHILD_HITS)
+		{
+			++parentHit.omittedChildHitsCount;
+			return;
+		}
+		parentHit.childHits.push(
+		{
+			index: hit.index,
+			bucketKey: hit.bucketKey,
+			key: hit.key,
+			title: hit.title,
+			ms: hit.executionStats.ms,
+			msText: hit.executionStats.msText,
+			childHits: hit.childHits,
+			omittedChildHitsCount: hit.omittedChildHitsCount,
+		});
+	}
+
+	//	returns the profiler target for `key`, creating it if necessary; when the bucket has reached its `buckets.<bucketKey>.maxKeys` limit, applies the configured key overflow policy:
+	//	`"other"` returns the `OTHER_KEY` target, `"evict"` removes the least recently used target with no open hits (falls back to `"other"` if all targets have open hits)
 	_ensureProfilerTarget(key, bucketKey)
 	{
-		return this.targetMap[bucketKey + "*" + key] || (this.targetMap[bucketKey + "*" + key] = new ProfilerTarget(bucketKey, key));
+		let targets = this.bucketTargets[bucketKey];
+		if (!targets)
+		{
+			targets = this.bucketTargets[bucketKey] = new Map();
+			this._scheduleEpoch(bucketKey);
+		}
+		let target = targets.get(key);
+		if (!target)
+		{
+			const maxKeys = this.dataCollector.getBucketMaxKeys?.(bucketKey);
+			if (maxKeys && targets.size >= maxKeys)
+			{
+				const policy = this.dataCollector.getBucketKeyOverflowPolicy?.(bucketKey) || "other";
+				this._warnKeyOverflow(bucketKey, key, maxKeys, policy, targets);
+				if (policy !== "evict" || !this._evictProfilerTarget(bucketKey, targets))
+				{
+					key = OTHER_KEY;
+					target = targets.get(key);
+				}
+			}
+		}
+		if (target) targets.delete(key);
+		else target = this.targetMap[bucketKey + "*" + key] = new ProfilerTarget(bucketKey, key);
+		targets.set(key, target);
+		return target;
+	}
+
+	//	returns the metric target for `(kind, key)`, creating it if necessary; when the bucket has reached its `buckets.<bucketKey>.maxKeys` limit for custom metrics, new metrics
+	//	are folded into the `OTHER_KEY` metric of the same kind regardless of the key overflow policy
+	_ensureMetricTarget(kind, key, bucketKey)
+	{
+		let targets = this.bucketMetricTargets[bucketKey];
+		if (!targets)
+		{
+			targets = this.bucketMetricTargets[bucketKey] = new Map();
+			this._scheduleEpoch(bucketKey);
+		}
+		let target = targets.get(kind + "*" + key);
+		if (target) return target;
+
+		const maxKeys = this.dataCollector.getBucketMaxKeys?.(bucketKey);
+		if (maxKeys && targets.size >= maxKeys)
+		{
+			this._warnKeyOverflow(bucketKey, key, maxKeys, "other", targets);
+			key = OTHER_KEY;
+			target = targets.get(kind + "*" + key);
+			if (target) return target;
+		}
+		target = new MetricTarget(bucketKey, key, kind);
+		targets.set(kind + "*" + key, target);
+		return target;
+	}
+
+	//	removes the least recently used target with no open hits from `targets` and from the data collector; returns `false` if no target could be removed
+	_evictProfilerTarget(bucketKey, targets)
+	{
+		for (const target of targets.values())
+		{
+			if (target.stats.ONcount) continue;
+			targets.delete(target.key);
+			delete this.targetMap[bucketKey + "*" + target.key];
+			this.dataCollector.evict?.(bucketKey, target.key);
+			return true;
+		}
+		return false;
+	}
+
+	//	fires the key overflow warning once per bucket, listing some of the existing profiling keys to help finding the source of the unbounded key set
+	_warnKeyOverflow(bucketKey, key, maxKeys, policy, targets)
+	{
+		if (this.keyOverflowWarnings[bucketKey]) return;
+		this.keyOverflowWarnings[bucketKey] = true;
+
+		const sampleKeys = [];
+		for (const sampleKey of targets.keys())
+		{
+			if (sampleKeys.length >= MAX_SAMPLE_KEYS) break;
+			sampleKeys.push(JSON.stringify(sampleKey));
+		}
+		const outcome = policy === "evict" ? "the least recently used keys are evicted" : `new keys are folded into "${OTHER_KEY}"`;
+		const message = `KEY LIMIT REACHED [${bucketKey}] the bucket has reached the limit of ${maxKeys} distinct profiling keys, ${outcome}; new key: ${JSON.stringify(key)}, sample keys: ${sampleKeys.join(", ")}`;
+		this.onWarning(message);
+		this.log(bucketKey, message);
 	}
 }
 
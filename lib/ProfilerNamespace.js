@@ -0,0 +1,193 @@
+"use strict";
+
+//	the separator between the namespace name and the bucket key in the bucket keys of namespaced buckets, e.g. `"mylib/CRUD"`
+const SEPARATOR = "/";
+
+//	the names of the namespaces registered in this process or thread (see `ProfilerNamespace.register`); only the bucket keys prefixed with a registered name are namespaced,
+//	so that existing bucket keys containing the separator, e.g. `"api/v1"`, are left as they are
+const registeredNames = new Set();
+
+//	Class: `ProfilerNamespace` - a facade of a `Profiler` instance that scopes all profiling buckets under a namespace, allowing for multiple libraries to profile themselves within a single
+//		process without clashing with each other's or with the host application's buckets and runtime configuration.
+//	Runtime configuration: Namespaced buckets are configured under `"namespaces.<name>"` instead of the top level, e.g. `"namespaces.mylib.buckets.CRUD.sortColumn"`; the namespace can be
+//		disabled as a unit via the `"namespaces.<name>.enabled"` runtime configuration field (`void 0` or `true` mean enabled, `false` means disabled).
+//	Remarks:
+//		The bucket keys passed to the facade functions are prefixed with the namespace name, e.g. `"CRUD"` becomes `"mylib/CRUD"`; the prefixed keys are used in the stats tables and by
+//		`FileLogger`, which writes the logs of namespaced buckets into a subdirectory named after the namespace.
+//		All namespaces share the profiler instance, its data collector and its hit accounting, so hits begun via a namespace nest with the hits of the host application.
+//		A bucket key is treated as namespaced only if its prefix has been registered as a namespace name, which happens when a `ProfilerNamespace` instance is created. The data collector
+//		proxies send the namespace name of the bucket along with the profiling and logging data, so that the receiving thread or process registers it too.
+class ProfilerNamespace
+{
+	//	Constructor: Creates a new instance of the `ProfilerNamespace` class.
+	//	Parameter: `profiler: Profiler` - required; the profiler instance to use.
+	//	Parameter: `name: string` - required; the namespace name; may not contain `"."`, `"/"` or `"\"`.
+	constructor(profiler, name)
+	{
+		if (!profiler) throw new Error(`Argument is null: "profiler".`);
+		if (!name) throw new Error(`Argument is null: "name".`);
+		if (name.constructor !== String || /[./\\]/.test(name)) throw new Error(`Argument is invalid: "name", ${JSON.stringify(name)}.`);
+
+		this.profiler = profiler;
+		this.name = name;
+
+		ProfilerNamespace.register(name);
+	}
+
+	//	Function: `getBucketKey(bucketKey: string): string` - returns the bucket key used by the profiler for a bucket of this namespace, e.g. `"mylib/CRUD"`.
+	getBucketKey(bucketKey)
+	{
+		return this.name + SEPARATOR + bucketKey;
+	}
+
+	//	Function: `isEnabled(bucketKey: string): boolean` - gets the enabled status for a bucket of this namespace or, if `bucketKey` is not set, for the namespace as a unit.
+	//	Remarks: See `Profiler.isEnabled`.
+	isEnabled(bucketKey)
+	{
+		if (bucketKey) return this.profiler.isEnabled(this.getBucketKey(bucketKey));
+		try
+		{
+			return this.profiler.isEnabled() && this.profiler.dataCollector.isNamespaceEnabled?.(this.name) !== false;
+		}
+		catch (ex)
+		{
+			this.profiler.onError(3456348777, "Uncaught exception, please report to raw-profiler vendor", ex);
+			return false;
+		}
+	}
+
+	//	Function: `log(bucketKey: string, text: string): void` - see `Profiler.log`.
+	log(bucketKey, text)
+	{
+		return this.profiler.log(this.getBucketKey(bucketKey), text);
+	}
+
+	//	Function: `begin(bucketKey: string, key: string, text: string, options: object): object` - see `Profiler.begin`.
+	begin(bucketKey, key, text, options)
+	{
+		return this.profiler.begin(this.getBucketKey(bucketKey), key, text, options);
+	}
+
+	//	Function: `beginPending(bucketKey: string, text: string, options: object): object` - see `Profiler.beginPending`.
+	beginPending(bucketKey, text, options)
+	{
+		return this.profiler.beginPending(this.getBucketKey(bucketKey), text, options);
+	}
+
+	//	Function: `end(hit: object, postfix: string, err: any): null` - see `Profiler.end`.
+	end(hit, postfix, err)
+	{
+		return this.profiler.end(hit, postfix, err);
+	}
+
+	//	Function: `fail(hit: object, err: any, postfix: string): null` - see `Profiler.fail`.
+	fail(hit, err, postfix)
+	{
+		return this.profiler.fail(hit, err, postfix);
+	}
+
+	//	Function: `discard(hit: object): null` - see `Profiler.discard`.
+	discard(hit)
+	{
+		return this.profiler.discard(hit);
+	}
+
+	//	Function: `rekey(hit: object, key: string): object` - see `Profiler.rekey`.
+	rekey(hit, key)
+	{
+		return this.profiler.rekey(hit, key);
+	}
+
+	//	Function: `count(bucketKey: string, key: string, n: number): void` - see `Profiler.count`.
+	count(bucketKey, key, n)
+	{
+		return this.profiler.count(this.getBucketKey(bucketKey), key, n);
+	}
+
+	//	Function: `gauge(bucketKey: string, key: string, value: number): void` - see `Profiler.gauge`.
+	gauge(bucketKey, key, value)
+	{
+		return this.profiler.gauge(this.getBucketKey(bucketKey), key, value);
+	}
+
+	//	Function: `value(bucketKey: string, key: string, value: number): void` - see `Profiler.value`.
+	value(bucketKey, key, value)
+	{
+		return this.profiler.value(this.getBucketKey(bucketKey), key, value);
+	}
+
+	//	Function: `wrap(bucketKey: string, key: string, fn(): any, text: string): any` - see `Profiler.wrap`.
+	wrap(bucketKey, key, fn, text)
+	{
+		return this.profiler.wrap(this.getBucketKey(bucketKey), key, fn, text);
+	}
+
+	//	Function: `wrapAsync(bucketKey: string, key: string, asyncFn(): Promise, text: string): Promise` - see `Profiler.wrapAsync`.
+	wrapAsync(bucketKey, key, asyncFn, text)
+	{
+		return this.profiler.wrapAsync(this.getBucketKey(bucketKey), key, asyncFn, text);
+	}
+
+	//	Function: `instrument(target: function | object, par: { bucketKey: string, methods: [string], keyFn(methodName, args, typeName): string }): [string]` - see `Profiler.instrument`.
+	instrument(target, par)
+	{
+		if (!par?.bucketKey) throw new Error(`Argument is null: "par.bucketKey".`);
+		return this.profiler.instrument(target, Object.assign({}, par, { bucketKey: this.getBucketKey(par.bucketKey) }));
+	}
+
+	//	Function: `uninstrument(target: function | object): [string]` - see `Profiler.uninstrument`.
+	uninstrument(target)
+	{
+		return this.profiler.uninstrument(target);
+	}
+
+	//	Function: `reset(bucketKey: string, reason: string): void` - closes the current stats epoch for a bucket of this namespace or, if `bucketKey` is not set, for all buckets of this namespace.
+	//	Remarks: See `Profiler.reset`.
+	reset(bucketKey, reason)
+	{
+		if (bucketKey) return this.profiler.reset(this.getBucketKey(bucketKey), reason);
+		const bucketKeys = new Set();
+		for (const key in this.profiler.targetMap)
+		{
+			const targetBucketKey = this.profiler.targetMap[key].bucketKey;
+			if (ProfilerNamespace.getNamespaceName(targetBucketKey) === this.name) bucketKeys.add(targetBucketKey);
+		}
+		for (const metricBucketKey in this.profiler.bucketMetricTargets) if (ProfilerNamespace.getNamespaceName(metricBucketKey) === this.name) bucketKeys.add(metricBucketKey);
+		for (const item of bucketKeys) this.profiler.reset(item, reason);
+	}
+
+	//	Field: `SEPARATOR: string` - the separator between the namespace name and the bucket key in the bucket keys of namespaced buckets.
+	static get SEPARATOR()
+	{
+		return SEPARATOR;
+	}
+
+	//	Function: `register(name: string): void` - registers a namespace name in this process or thread, so that the bucket keys prefixed with it are treated as namespaced.
+	//	Parameter: `name: string` - the namespace name.
+	//	Remarks: Called by the `ProfilerNamespace` constructor and by the receiving side of the data collector proxies. Values that are not valid namespace names are ignored.
+	static register(name)
+	{
+		if (!name || name.constructor !== String || /[./\\]/.test(name)) return;
+		registeredNames.add(name);
+	}
+
+	//	Function: `getNamespaceName(bucketKey: string): string | null` - returns the name of the namespace of a bucket or `null` if the bucket doesn't belong to a registered namespace.
+	static getNamespaceName(bucketKey)
+	{
+		const index = bucketKey ? bucketKey.indexOf(SEPARATOR) : -1;
+		if (index === -1) return null;
+		const name = bucketKey.substring(0, index);
+		return registeredNames.has(name) ? name : null;
+	}
+
+	//	Function: `mapConfigurationKey(key: string): string` - maps the runtime configuration fields of namespaced buckets to the fields used by the data collectors, e.g.
+	//		`"namespaces.mylib.buckets.CRUD.sortColumn"` becomes `"buckets.mylib/CRUD.sortColumn"`; returns all other fields unchanged.
+	static mapConfigurationKey(key)
+	{
+		const match = /^namespaces\.([^.]+)\.buckets\.(.+)$/.exec(key);
+		return match ? "buckets." + match[1] + SEPARATOR + match[2] : key;
+	}
+}
+
+module.exports = ProfilerNamespace;
+module.exports.ProfilerNamespace = module.exports;
@@ -1,6 +1,8 @@
 ﻿"use strict";
 
 const { MachineStats } = require("./MachineStats.js");
+const { Histogram } = require("./Histogram.js");
+const { TagGroupStats } = require("./TagGroupStats.js");
 const { fduration, hrtimeToNs, hrtimeToMicros, hrtimeToMs } = require("./Utility.js");
 
 //	Class: `ProfilerTarget` - maintains the profiling state of a `(bucketKey, key)` pair.
@@ -34,7 +36,23 @@ class ProfilerTarget
 			minAvgOsCpu: 100,      //   based on MachineStats.osResourceStats 1 minute stats, taken at the end of the hit
 			maxAvgOsCpu: 0,        //   based on MachineStats.osResourceStats 1 minute stats, taken at the end of the hit
 			avgAvgOsCpu: 0,        //   based on MachineStats.osResourceStats 1 minute stats, taken at the end of the hit
+			gcMs: 0,
+			processStatsCount: 0,
+			cpuUserAvgMicros: 0,
+			cpuSysAvgMicros: 0,
+			heapDeltaAvgBytes: 0,
+			errorCount: 0,
+			okAvgNs: 0,
+			errorAvgNs: 0,
+			lastErrorText: null,
+			lastErrorTime: null,
+			unsampledCount: 0,
 		};
+
+		//	the distribution of the execution times of the finished hits, in milliseconds; used to calculate percentiles
+		this.histogram = new Histogram();
+		//	the per-tag-value breakdown of the execution times of the finished hits; see `ProfilerTarget.group`
+		this.tagGroupStats = new TagGroupStats();
 	}
 
 	//	Function: `getStats()` - returns a new object containing the current stats for this `ProfilerTarget`.
@@ -43,7 +61,9 @@ class ProfilerTarget
 	//	{
 	//		bucketKey: string,			//	a key for grouping and configuration management of profiling data at log-file level
 	//		key: string,				//	a key for grouping of profiling data at statistics level within a bucket
-	//		count: uint,				//	the number of finished profiling hits handled by this `ProfilerTarget`
+	//		count: uint,				//	the number of finished profiling hits handled by this `ProfilerTarget`, incl. the calls that have not been sampled for profiling (see `ProfilerTarget.skip`)
+	//		sampledCount: uint,			//	the number of finished profiling hits that have been sampled for profiling; all execution time and machine stats are based on the sampled hits only
+	//		samplingRate: uint,			//	the percentage of the sampled calls, in the range [0, 100]
 	//		discrepancy: integer,		//	the number of open hits within this `ProfilingTatget` at the moment of the `getStats()` function call; values other than 0 indicate incidents of a profiling hit point that has been hit, but never ended (the corresponding `__pfend` has not been calld yet); it's normal to see such indications from time to time appear and disappear; a problem could be recognized, if such indications last for longer and the `discrepancy` value is steadily increasing
 	//		minMs: uint,				//	the shortest execution time on record for the this `ProfilingTatget`, in milliseconds
 	//		maxMs: uint,				//	the longest execution time on record for the this `ProfilingTatget`, in milliseconds
@@ -51,10 +71,26 @@ class ProfilerTarget
 	//		avgMs: uint,				//	the average execution time for the this `ProfilingTatget`, in milliseconds
 	//		totalMs: uint,				//	the total cumulative execution time for all profiling hits handleded by the this `ProfilingTatget`, in milliseconds
 	//		onMs: uint,					//	the total continuous execution time for all profiling hits handleded by the this `ProfilingTatget`, in milliseconds
+	//		gcMs: uint,					//	the total garbage collection pause time during all profiling hits handleded by the this `ProfilingTatget`, in milliseconds; approximate, because GC pauses are reported asynchronously and a pause during a synchronous hit is attributed to a later hit; see `MachineStats.getMachineStats` for reference
+	//		processStatsCount: uint,	//	the number of finished profiling hits with process stats collected (see the `processStats` runtime configuration field); the `cpuUserMs`, `cpuSysMs` and `heapDeltaKb` values are based on these hits only
+	//		cpuUserMs: number,			//	the average process user CPU time per profiling hit, in milliseconds with 2 decimal digits, as measured by `process.cpuUsage()`
+	//		cpuSysMs: number,			//	the average process system CPU time per profiling hit, in milliseconds with 2 decimal digits, as measured by `process.cpuUsage()`
+	//		heapDeltaKb: integer,		//	the average change of `process.memoryUsage().heapUsed` per profiling hit, in kilobytes; negative values indicate hits during which garbage collection freed more memory than was allocated
+	//		p50Ms: uint,				//	the median execution time for the this `ProfilingTatget`, in milliseconds; approximated with a relative error of at most 1%
+	//		p90Ms: uint,				//	the 90th percentile of the execution time for the this `ProfilingTatget`, in milliseconds; approximated with a relative error of at most 1%
+	//		p95Ms: uint,				//	the 95th percentile of the execution time for the this `ProfilingTatget`, in milliseconds; approximated with a relative error of at most 1%
+	//		p99Ms: uint,				//	the 99th percentile of the execution time for the this `ProfilingTatget`, in milliseconds; approximated with a relative error of at most 1%
 	//		avgCpu: uint,				//	the load of the OS CPU during the hit duration; if multiple CPUs are reported by the OS, the highest value is taken; it is normal for this value to be close to 100% - this means that during the profiling hit the application's main thread did not wait
 	//		minAvgOsCpu: uint,			//	the minimum OS CPU load, measured for the last 1 minute at the end of a profiling hit for the specified key (this value has no direct relation to the `CPU%` value); indicative for the overall os performance at the time of the profiling hit
 	//		avgAvgOsCpu: uint,			//	the average OS CPU load, measured for the last 1 minute since the profiling has started for the specified key (this value has no direct relation to the `CPU%` value); indicative for the overall os performance at the time of the profiling hit
 	//		maxAvgOsCpu: uint,			//	the maximum OS CPU load, measured for the last 1 minute at the end of a profiling hit for the specified key (this value has no direct relation to the `CPU%` value); indicative for the overall os performance at the time of the profiling hit
+	//		errorCount: uint,			//	the number of finished profiling hits that have failed (see `ProfilerTarget.finish`)
+	//		errorRate: uint,			//	the percentage of the failed profiling hits, in the range [0, 100]
+	//		okAvgMs: uint,				//	the average execution time of the successful profiling hits, in milliseconds
+	//		errorAvgMs: uint,			//	the average execution time of the failed profiling hits, in milliseconds
+	//		lastErrorText: string,		//	the text of the error of the last failed profiling hit or `null`
+	//		lastErrorTime: Date,		//	the date/time when the last failed profiling hit has finished or `null`
+	//		groups: [object],			//	the per-tag-value breakdown of the execution time stats, empty unless the `buckets.<bucketKey>.groupBy` runtime configuration field is set; see `TagGroupStats.getStats()` docs for reference
 	//	}
 	//	```
 	//	Remarks: The object returned by this function contains the profiling data logged in tabular format on profiling hit and represents the main product of the profiling effort.
@@ -65,7 +101,9 @@ class ProfilerTarget
 		result.bucketKey = this.bucketKey;
 		result.key = this.key;
 
-		result.count = this.stats.count;
+		result.count = this.stats.count + this.stats.unsampledCount;
+		result.sampledCount = this.stats.count;
+		result.samplingRate = result.count ? Math.round(100 * this.stats.count / result.count) : 100;
 		result.discrepancy = this.stats.hitCount - this.stats.count;
 
 		result.minMs = Math.round(this.stats.minNs / 1000000);
@@ -74,21 +112,41 @@ class ProfilerTarget
 		result.avgMs = Math.round(this.stats.avgNs / 1000000);
 		result.totalMs = this.stats.totalMs;
 		result.onMs = Math.round(this.stats.onNs / 1000000);
+		result.gcMs = Math.round(this.stats.gcMs);
+		result.processStatsCount = this.stats.processStatsCount;
+		result.cpuUserMs = Math.round(this.stats.cpuUserAvgMicros / 10) / 100;
+		result.cpuSysMs = Math.round(this.stats.cpuSysAvgMicros / 10) / 100;
+		result.heapDeltaKb = Math.round(this.stats.heapDeltaAvgBytes / 1024);
+		result.p50Ms = Math.round(this.histogram.getPercentile(50));
+		result.p90Ms = Math.round(this.histogram.getPercentile(90));
+		result.p95Ms = Math.round(this.histogram.getPercentile(95));
+		result.p99Ms = Math.round(this.histogram.getPercentile(99));
 
 		result.avgCpu = Math.round(this.stats.avgCpu);
 		result.minAvgOsCpu = Math.round(this.stats.minAvgOsCpu);
 		result.avgAvgOsCpu = Math.round(this.stats.avgAvgOsCpu);
 		result.maxAvgOsCpu = Math.round(this.stats.maxAvgOsCpu);
 
+		result.errorCount = this.stats.errorCount;
+		result.errorRate = this.stats.count ? Math.round(100 * this.stats.errorCount / this.stats.count) : 0;
+		result.okAvgMs = Math.round(this.stats.okAvgNs / 1000000);
+		result.errorAvgMs = Math.round(this.stats.errorAvgNs / 1000000);
+		result.lastErrorText = this.stats.lastErrorText;
+		result.lastErrorTime = this.stats.lastErrorTime;
+
+		result.groups = this.tagGroupStats.getStats();
+
 		return result;
 	}
 
-	//	Function: `hit(title: string, hitCount: uint, openHitsCount: uint): object` - Creates and returns an object representing a new profiling hit.
+	//	Function: `hit(title: string, hitCount: uint, openHitsCount: uint, parentHit: object, processStats: boolean): object` - Creates and returns an object representing a new profiling hit.
 	//	Parameter: `title: string` - required; a text used as a title for profiling stats tables with `EVerbosity.Brief` and `EVerbosity.Full` and as a
 	//		logging line with `EVerbosity.Log`; the `ProfilerTarget.finish` call can append a postfix text to this text.
 	//	Parameter: `hitCount: uint` - a global serial number of the profiling hit at the beginning of the profiling hit; it provides the ability to 1) unambiguasly determine profiling hit
 	//		events global precedence and b) report the number of other profiling hits detected during the execution time of this profiling hit.
 	//	Parameter: `openHitsCount: uint` - the number of profling hits that have begun but have not ended at the beginning of the profiling hit.
+	//	Parameter: `parentHit: object` - optional; the enclosing open profiling hit as tracked by the `Profiler` across async boundaries, if any.
+	//	Parameter: `processStats: boolean` - optional; if `true`, the process CPU time and heap usage are recorded for the hit (see the `processStats` runtime configuration field).
 	//	Returns: An object representing current state required for the measurements for hit profiling, with the following schema:
 	//	```
 	//	{
@@ -102,12 +160,22 @@ class ProfilerTarget
 	//		hrtime: [seconds, nanoseconds],								//	a value as returned by `process.hrtime()`
 	//		machineStats: null,											//	will be initialized at the end of the profiling hit; see `ProfilerTarget.finish` docs for reference
 	//		executionStats: null,										//	will be initialized at the end of the profiling hit; see `ProfilerTarget.finish` docs for reference
+	//		parentIndex: uint | null,									//	the `index` of the enclosing profiling hit or `null` if this is a root hit
+	//		depth: uint,												//	the nesting level of the profiling hit; `0` for root hits
+	//		rootIndex: uint,											//	the `index` of the outermost enclosing profiling hit; equals `index` for root hits
+	//		childHits: [object],										//	summaries of the nested profiling hits finished while this hit was open, in the form [{ index, bucketKey, key, title, ms, msText, childHits, omittedChildHitsCount }]; populated by the `Profiler`
+	//		omittedChildHitsCount: uint,								//	the number of nested profiling hits that were not added to `childHits` due to the `MAX_CHILD_HITS` limit (see `Profiler.js`)
+	//		tags: object | null,										//	the tags of the profiling hit, e.g. `{ tenant: "acme", region: "eu" }`, as returned by `TagGroupStats.normalizeTags`; populated by the `Profiler`
+	//		slowMs: uint | void 0,										//	set by the `Profiler` only on slow hits to the exceeded slow hit threshold (see `Profiler.onHitSlow`)
+	//		isPending: boolean | void 0,								//	set by the `Profiler` only on hits begun via `Profiler.beginPending` until their profiling key is set via `Profiler.rekey`
+	//		threadId: uint,												//	set only on the main thread for the hits fed by a worker thread (see `DataCollectorWorkerProxy`)
 	//		customStats: [],											//	can be populated with custom stats in the form [{categoryTitle: string, psText: string | void 0, osText: string | void 0 }] via __pf.instance.onInspectHitBegin and __pf.instance.onInspectHitEnd; if such stats are available during DataCollector machine stats formatting (see DataCollector.formatMachineStats), they will be included in the formatted output.
 	//
 	//		startMachineStatsSnapshot: object,							//	an object containing a snapshot of the system usage stats at the beginning of the profiling hit; the return value of a `MachineStats.getSnapshot()` call; see `MachineStats.getSnapshot()` docs for reference; this property will be deleted on hit finish
+	//		startProcessStats: { cpuUsage, heapUsed } | null,			//	the process CPU usage as returned by `process.cpuUsage()` and the used heap size in bytes at the beginning of the profiling hit, if `processStats` is set; this property will be deleted on hit finish
 	//	}
 	//	```
-	hit(title, hitCount, openHitsCount)
+	hit(title, hitCount, openHitsCount, parentHit, processStats)
 	{
 		const startMachineStatsSnapshot = MachineStats.getSnapshot();
 
@@ -135,20 +203,30 @@ class ProfilerTarget
 			hrtime: process.hrtime(),
 			machineStats: null,
 			executionStats: null,
+			parentIndex: parentHit ? parentHit.index : null,
+			depth: parentHit ? parentHit.depth + 1 : 0,
+			rootIndex: parentHit ? parentHit.rootIndex : hitCount,
+			childHits: [],
+			omittedChildHitsCount: 0,
+			tags: null,
 			customStats: [],
 
 			startMachineStatsSnapshot,	//	this property will be deleted on hit finish
+			//	taken last, so that the profiling overhead is not counted towards the hit; this property will be deleted on hit finish
+			startProcessStats: processStats ? { heapUsed: process.memoryUsage().heapUsed, cpuUsage: process.cpuUsage() } : null,
 		};
 	}
 
-	//	Function: `finish(hit: object, postfix: string, hitCount: uint, openHitsCount: uint): void` - calculates profiling data and finalizes a profiling `hit`.
+	//	Function: `finish(hit: object, postfix: string, hitCount: uint, openHitsCount: uint, err: any): void` - calculates profiling data and finalizes a profiling `hit`.
 	//	Parameter: `hit: object` - required; the result of the corresponding `ProfilerTarget.hit` call.
 	//	Parameter: `postfix: string` - optional; appended to the `text` from the corresponding `ProfilerTarget.hit` call.
 	//	Parameter: `hitCount: uint` - a global serial number of the profiling hit at the end of the profiling hit; it provides the ability to 1) unambiguasly determine profiling hit
 	//		events global precedence and b) report the number of other profiling hits detected during the execution time of this profiling hit.
 	//	Parameter: `openHitsCount: uint` - the number of profling hits that have begun but have not ended at the end of the profiling hit.
-	//	Remarks: Modifies the `hit` object. Assigns values to `hit.executionStats` and `hit.machineStats`. Modifies `hit.title` by appending `prefix`.
-	finish(hit, postfix, hitCount, openHitsCount)
+	//	Parameter: `err: any` - optional; if set to a value other than `void 0` or `null`, the profiling hit is counted as failed and `"; error=" + String(err)` is appended to `hit.title`
+	//		after `postfix` (`"error=" + String(err)` if the title is empty).
+	//	Remarks: Modifies the `hit` object. Assigns values to `hit.executionStats` and `hit.machineStats`. Modifies `hit.title` by appending `prefix`. Sets `hit.errorText` for failed hits.
+	finish(hit, postfix, hitCount, openHitsCount, err)
 	{
 		if (!hit || !hit.hrtime || hit.hrtime.length != 2)
 		{
@@ -156,6 +234,10 @@ class ProfilerTarget
 			return;
 		}
 
+		//	taken first, so that the profiling overhead is not counted towards the hit
+		const cpuUsageElapsed = hit.startProcessStats ? process.cpuUsage(hit.startProcessStats.cpuUsage) : null;
+		const heapUsedEnd = hit.startProcessStats ? process.memoryUsage().heapUsed : 0;
+
 		const hrtimeElapsed = process.hrtime(hit.hrtime);
 		const hrtimeOnElapsed = this.stats.ONhrtime && process.hrtime(this.stats.ONhrtime);
 		const endMachineStatsSnapshot = MachineStats.getSnapshot();
@@ -186,6 +268,19 @@ class ProfilerTarget
 
 		this.stats.totalMs += elapsedMs;
 
+		const errorText = (err !== void 0 && err !== null) ? ProfilerTarget._getErrorText(err) : null;
+		if (errorText !== null)
+		{
+			++this.stats.errorCount;
+			this.stats.errorAvgNs = this.stats.errorAvgNs + (elapsedNs - this.stats.errorAvgNs) / this.stats.errorCount;
+			this.stats.lastErrorText = errorText;
+			this.stats.lastErrorTime = new Date();
+			hit.errorText = errorText;
+		}
+		else this.stats.okAvgNs = this.stats.okAvgNs + (elapsedNs - this.stats.okAvgNs) / Math.max(1, this.stats.count - this.stats.errorCount);
+
+		this.histogram.record(elapsedNs / 1000000);
+
 		//  machine stats
 		hit.machineStats = MachineStats.getMachineStats(hit.startMachineStatsSnapshot, endMachineStatsSnapshot, elapsedMicros);
 		hit.machineStats.psUptimeText = fduration(hit.machineStats.psUptime * 1000);
@@ -200,6 +295,26 @@ class ProfilerTarget
 		//  https://ubuntuincident.wordpress.com/2012/04/25/calculating-the-average-incrementally/
 		this.stats.avgAvgOsCpu = this.stats.avgAvgOsCpu + (hit.machineStats.osAvgLoad_end - this.stats.avgAvgOsCpu) / this.stats.count;
 
+		this.stats.gcMs += hit.machineStats.gc.ms;
+
+		//  process stats
+		let processStats = null;
+		if (cpuUsageElapsed)
+		{
+			processStats =
+			{
+				cpuUserMicros: cpuUsageElapsed.user,
+				cpuSysMicros: cpuUsageElapsed.system,
+				heapDeltaBytes: heapUsedEnd - hit.startProcessStats.heapUsed,
+			};
+			++this.stats.processStatsCount;
+			//  https://ubuntuincident.wordpress.com/2012/04/25/calculating-the-average-incrementally/
+			this.stats.cpuUserAvgMicros = this.stats.cpuUserAvgMicros + (processStats.cpuUserMicros - this.stats.cpuUserAvgMicros) / this.stats.processStatsCount;
+			this.stats.cpuSysAvgMicros = this.stats.cpuSysAvgMicros + (processStats.cpuSysMicros - this.stats.cpuSysAvgMicros) / this.stats.processStatsCount;
+			this.stats.heapDeltaAvgBytes = this.stats.heapDeltaAvgBytes + (processStats.heapDeltaBytes - this.stats.heapDeltaAvgBytes) / this.stats.processStatsCount;
+		}
+		delete hit.startProcessStats;
+
 		hit.executionStats =
 		{
 			diffIndex: hitCount - hit.index,
@@ -217,15 +332,96 @@ class ProfilerTarget
 			ms: elapsedMs,
 			msText: fduration(elapsedMs),
 			avgCpu: hit.machineStats.osMaxCpu,
+			processStats,
 		};
 
 		if (postfix)
 		{
 			hit.title += postfix;
 		}
+		if (errorText !== null)
+		{
+			hit.title += (hit.title ? "; error=" : "error=") + errorText;
+		}
+	}
+
+	//	Function: `skip(): void` - counts a call that has not been sampled for profiling.
+	//	Remarks: Unsampled calls are counted towards the `count` stats only and don't create a profiling hit, which keeps the profiling overhead at a single counter increment.
+	skip()
+	{
+		++this.stats.unsampledCount;
+	}
+
+	//	Function: `reset(): void` - clears all collected stats while keeping the accounting for the currently open hits consistent.
+	//	Remarks: Open hits remain open and are counted towards the new stats when they finish; the ON-time of the currently running ON-period is counted from the moment of the reset.
+	reset()
+	{
+		const ONcount = this.stats.ONcount;
+		this.stats =
+		{
+			hitCount: ONcount,
+			count: 0,
+			minNs: Number.MAX_SAFE_INTEGER,
+			maxNs: 0,
+			maxDateTime: null,
+			avgNs: 0,
+			totalMs: 0,
+			ONcount,
+			ONhrtime: ONcount ? process.hrtime() : null,
+			onNs: 0,
+			avgCpu: 0,
+			minAvgOsCpu: 100,
+			maxAvgOsCpu: 0,
+			avgAvgOsCpu: 0,
+			gcMs: 0,
+			processStatsCount: 0,
+			cpuUserAvgMicros: 0,
+			cpuSysAvgMicros: 0,
+			heapDeltaAvgBytes: 0,
+			errorCount: 0,
+			okAvgNs: 0,
+			errorAvgNs: 0,
+			lastErrorText: null,
+			lastErrorTime: null,
+			unsampledCount: 0,
+		};
+		this.histogram.reset();
+		this.tagGroupStats.reset();
+	}
+
+	//	Function: `group(hit: object, groupBy: [string], maxTagValues: uint): void` - adds a finished profiling `hit` to the per-tag-value breakdown of the execution time stats.
+	//	Parameter: `hit: object` - required; the result of the corresponding `ProfilerTarget.hit` call, after `ProfilerTarget.finish`.
+	//	Parameter: `groupBy: [string]` - required; the names of the tags to group by (see the `buckets.<bucketKey>.groupBy` runtime configuration field).
+	//	Parameter: `maxTagValues: uint` - required; the maximum number of distinct values tracked per tag (see the `buckets.<bucketKey>.maxTagValues` runtime configuration field).
+	//	Remarks: Hits without tags are ignored.
+	group(hit, groupBy, maxTagValues)
+	{
+		if (!hit.tags || !hit.executionStats) return;
+		this.tagGroupStats.record(hit.tags, groupBy, maxTagValues, hit.executionStats.ns, !!hit.errorText);
+	}
+
+	//	Function: `adopt(hit: object): void` - takes over an open `hit` created by another `ProfilerTarget` of the same bucket, which has already discarded it (see `Profiler.rekey`).
+	//	Parameter: `hit: object` - required; the result of a `ProfilerTarget.hit` call of another `ProfilerTarget` instance.
+	//	Remarks: Modifies the `hit` object. Assigns new values to `hit.key` and `hit.localIndex`. If this `ProfilerTarget` has no open hits, a new ON-period begins with the call, otherwise
+	//		the running ON-period is extended; the time before the call is not counted as ON-time, as the ON-periods of this `ProfilerTarget` that have ended in the meantime already cover
+	//		part of it.
+	adopt(hit)
+	{
+		if (!hit)
+		{
+			this.onError(39996, `Argument is invalid: "hit", ${String(hit)}`, new TypeError());
+			return;
+		}
+
+		if (!this.stats.ONcount) this.stats.ONhrtime = process.hrtime();
+		++this.stats.hitCount;
+		++this.stats.ONcount;
+
+		hit.key = this.key;
+		hit.localIndex = this.stats.hitCount - 1;
 	}
 
-	//	Function: `discard(hit: object): void` - remove the `hit` from the ON-time stats.
+	//	Function: `discard(hit: object): void` - remove the `hit` from the begun hits count and the ON-time stats.
 	//	Parameter: `hit: object` - required; the result of the corresponding `ProfilerTarget.hit` call.
 	discard(hit)
 	{
@@ -235,7 +431,7 @@ class ProfilerTarget
 			return;
 		}
 
-		--this.stats.count;
+		--this.stats.hitCount;
 		--this.stats.ONcount;
 		if (!this.stats.ONcount)
 		{
@@ -248,6 +444,26 @@ class ProfilerTarget
 			this.stats.ONhrtime = null;
 		}
 	}
+
+	//	converts a failure reason of any type to a string without throwing, e.g. symbols, objects with a throwing `toString` or objects created by `Object.create(null)`
+	static _getErrorText(err)
+	{
+		try
+		{
+			return String(err);
+		}
+		catch (ex)
+		{
+			try
+			{
+				return Object.prototype.toString.call(err);
+			}
+			catch (ex2)
+			{
+				return typeof err;
+			}
+		}
+	}
 }
 
 module.exports = ProfilerTarget;
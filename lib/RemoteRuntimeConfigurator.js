@@ -51,6 +51,7 @@ class RemoteRuntimeConfigurator extends AsyncEventEmitter
 		this.remoteConfigPollingIntervalMs = par.remoteConfigPollingIntervalMs || 1000;
 
 		this.remoteCtimes = { commandFile: null, configurationFile: null };
+		this.data = {};
 	}
 
 	//	Function: Fires the "changed" event whenever a runtime configuration property's value has been changed.
@@ -62,6 +63,8 @@ class RemoteRuntimeConfigurator extends AsyncEventEmitter
 	//		- `"configFile"` - indicates that setting has been updated from the configuration file (`__pfconfig`);
 	//		- `"prop"` - indicates that setting has been updated when a property of this instance was set.
 	//		- `"remote"` - indicates that setting has been updated on the remote data collector server.
+	//		- `"mainThread"` - indicates that setting has been updated on the main thread (see `DataCollectorWorkerProxy`).
+	//		- `"primary"` - indicates that setting has been updated on the cluster primary process (see `DataCollectorIpcProxy`).
 	// Parameter: `ctimes: { commandFile: uint | null, configurationFile: uint | null } - `null` times mean the corresponding file could not be accessed for whatever reason; not set with `source === "prop"`.
 	//	Remarks: This event is fired for the first time on the configuration first read only for runtime congiguration properties that are not undefined.
 	async onChanged(key, value, oldValue, source, ctimes)
@@ -109,17 +112,7 @@ class RemoteRuntimeConfigurator extends AsyncEventEmitter
 				const { cts, deltaConfig = null } = JSON.parse(responseBody);	//	`deltaConfig` might be `void 0` with the `/conf` endpoint and no setting updates since `this.remoteCtimes`
 				this.remoteCtimes = { commandFile: cts[0], configurationFile: cts[1] };
 				if (!deltaConfig) break;
-				for (const key in deltaConfig)
-				{
-					const item = deltaConfig[key];
-					if (key === "enabled")
-					{
-						this.onConfigurationChanged("enabled", item.value, this._enabled, "remote", this.remoteCtimes);
-						this._enabled = item.value;
-					}
-					await this.onChanged(key, item.value, item.oldValue, "remote", this.remoteCtimes);
-				}
-				this.onRefreshFinished(true, this.remoteCtimes);
+				await this.applyConfigurationDelta(deltaConfig, "remote", this.remoteCtimes);
 				//console.log(999.001, "configuration changed", this.remoteCtimes, deltaConfig);
 				break;
 			case 204:	//	configuration unchanged
@@ -130,6 +123,26 @@ class RemoteRuntimeConfigurator extends AsyncEventEmitter
 		}
 	}
 
+	//	Function: `applyConfigurationDelta(deltaConfig: object, source: string, ctimes: object): Promise` - applies a set of runtime configuration changes and fires the corresponding events.
+	//	Parameter: `deltaConfig: { "property.name": { value, oldValue } }` - required; the changed runtime configuration fields.
+	//	Parameter: `source: string` - required; the source of the changes, `"remote"`, `"mainThread"` or `"primary"` (see `onChanged`).
+	//	Parameter: `ctimes: { commandFile: uint | null, configurationFile: uint | null }` - optional; passed to the event handlers.
+	async applyConfigurationDelta(deltaConfig, source, ctimes)
+	{
+		for (const key in deltaConfig)
+		{
+			const item = deltaConfig[key];
+			if (key === "enabled")
+			{
+				this.onConfigurationChanged("enabled", item.value, this._enabled, source, ctimes);
+				this._enabled = item.value;
+			}
+			else this.data[key] = item.value;
+			await this.onChanged(key, item.value, item.oldValue, source, ctimes);
+		}
+		this.onRefreshFinished(true, ctimes);
+	}
+
 	async inspectConfigPollingResponse(response)
 	{
 		switch (response.status)
@@ -0,0 +1,154 @@
+"use strict";
+
+const { Histogram } = require("./Histogram.js");
+
+//	the number of slots in the ring of every window; a window covers the current, partially filled slot and the `SLOT_COUNT - 1` preceding slots
+const SLOT_COUNT = 12;
+
+//	the supported time windows, keyed by the names used in runtime configuration and with `getStats()`
+const WINDOWS =
+{
+	"1m": 60 * 1000,
+	"5m": 5 * 60 * 1000,
+	"15m": 15 * 60 * 1000,
+};
+
+//	Class: `SlidingWindowStats` - maintains rolling 1-minute, 5-minute and 15-minute execution time statistics (count, min, avg, max and percentiles).
+//	Remarks: Every window records values into its own ring of `SLOT_COUNT` (12) slots, i.e. 5-second slots for the 1-minute window, 25-second slots for the 5-minute window and
+//		75-second slots for the 15-minute window. Windows include the current, partially filled slot, so the effective time span of a window varies by up to one slot length.
+//		Every slot holds its own `Histogram`, which limits the memory consumption to at most 36 histograms per instance; slots are allocated on demand and are reused when the ring
+//		wraps around.
+//		Instances are maintained by the printing `DataCollector` for every profiling key from the fed profiling hits (see `DataCollector.feed`), so the profiled application doesn't
+//		pay for the rolling windows and the window stats are only calculated when a profiling table is printed.
+class SlidingWindowStats
+{
+	//	Constructor: Creates a new instance of the `SlidingWindowStats` class.
+	constructor()
+	{
+		this.reset();
+	}
+
+	//	Field: `WINDOWS: { [name: string]: uint }` - the supported time window names and durations in milliseconds.
+	static get WINDOWS()
+	{
+		return WINDOWS;
+	}
+
+	//	Function: `reset(): void` - removes all recorded values.
+	reset()
+	{
+		this.windows = {};
+		//	every ring is an array of `{ slotNumber, count, unsampledCount, totalMs, minMs, maxMs, histogram }` slots, where `slotNumber` is `Math.floor(timeMs / slotMs)`;
+		//	slots that have never been used are `null`, slots with a `slotNumber` outside of the window are stale and are ignored
+		for (const name in WINDOWS) this.windows[name] =
+		{
+			durationMs: WINDOWS[name],
+			slotMs: WINDOWS[name] / SLOT_COUNT,
+			ring: Array(SLOT_COUNT).fill(null),
+		};
+	}
+
+	//	Function: `record(valueMs: number, timeMs: uint): void` - records a single execution time.
+	//	Parameter: `valueMs: number` - the execution time in milliseconds.
+	//	Parameter: `timeMs: uint` - the current time as returned by `Date.now()`.
+	record(valueMs, timeMs)
+	{
+		for (const name in this.windows)
+		{
+			const slot = this._ensureSlot(this.windows[name], timeMs);
+			++slot.count;
+			slot.totalMs += valueMs;
+			slot.minMs = Math.min(slot.minMs, valueMs);
+			slot.maxMs = Math.max(slot.maxMs, valueMs);
+			slot.histogram.record(valueMs);
+		}
+	}
+
+	//	Function: `recordUnsampled(timeMs: uint, count: uint): void` - counts calls that have not been sampled for profiling (see `Profiler` sampling); affects only the `count` stats.
+	//	Parameter: `timeMs: uint` - the current time as returned by `Date.now()`.
+	//	Parameter: `count: uint` - optional, defaults to `1`; the number of unsampled calls to count.
+	recordUnsampled(timeMs, count = 1)
+	{
+		for (const name in this.windows) this._ensureSlot(this.windows[name], timeMs).unsampledCount += count;
+	}
+
+	//	Function: `getStats(timeMs: uint, window: string): object` - returns a new object containing the current stats for the specified window.
+	//	Parameter: `timeMs: uint` - the current time as returned by `Date.now()`.
+	//	Parameter: `window: string` - required; `"1m"`, `"5m"` or `"15m"`.
+	//	Returns:
+	//	```
+	//	{
+	//		count: uint,		//	the number of execution times recorded during the time window, incl. the unsampled calls (see `SlidingWindowStats.recordUnsampled`)
+	//		minMs: uint,		//	the shortest execution time recorded during the time window, in milliseconds
+	//		avgMs: uint,		//	the average execution time recorded during the time window, in milliseconds; based on the sampled calls only
+	//		maxMs: uint,		//	the longest execution time recorded during the time window, in milliseconds
+	//		p50Ms: uint,		//	the median execution time recorded during the time window, in milliseconds
+	//		p90Ms: uint,		//	the 90th percentile of the execution times recorded during the time window, in milliseconds
+	//		p95Ms: uint,		//	the 95th percentile of the execution times recorded during the time window, in milliseconds
+	//		p99Ms: uint,		//	the 99th percentile of the execution times recorded during the time window, in milliseconds
+	//	}
+	//	```
+	//	Remarks: The stats are calculated by merging the histograms of the slots that remain in the time window, which costs up to `SLOT_COUNT` histogram merges; all values are `0`
+	//		if nothing has been recorded during the time window.
+	getStats(timeMs, window)
+	{
+		const ringWindow = this.windows[window];
+		const slotNumber = Math.floor(timeMs / ringWindow.slotMs);
+		const histogram = new Histogram();
+		let count = 0;
+		let unsampledCount = 0;
+		let totalMs = 0;
+		let minMs = Number.MAX_VALUE;
+		let maxMs = 0;
+		for (const slot of ringWindow.ring)
+		{
+			//	slots that have not been reused since they have left the window are stale
+			if (!slot || slot.slotNumber <= slotNumber - SLOT_COUNT) continue;
+			count += slot.count;
+			unsampledCount += slot.unsampledCount;
+			totalMs += slot.totalMs;
+			if (!slot.count) continue;
+			minMs = Math.min(minMs, slot.minMs);
+			maxMs = Math.max(maxMs, slot.maxMs);
+			histogram.add(slot.histogram);
+		}
+
+		return {
+			count: count + unsampledCount,
+			minMs: count ? Math.round(minMs) : 0,
+			avgMs: count ? Math.round(totalMs / count) : 0,
+			maxMs: Math.round(maxMs),
+			p50Ms: Math.round(histogram.getPercentile(50)),
+			p90Ms: Math.round(histogram.getPercentile(90)),
+			p95Ms: Math.round(histogram.getPercentile(95)),
+			p99Ms: Math.round(histogram.getPercentile(99)),
+		};
+	}
+
+	//	returns the slot of `window` for `timeMs`, replacing a stale slot if necessary; values recorded with a clock that went backwards are added to the newer slot in their ring position
+	_ensureSlot(window, timeMs)
+	{
+		const slotNumber = Math.floor(timeMs / window.slotMs);
+		const ringIndex = slotNumber % SLOT_COUNT;
+		let slot = window.ring[ringIndex];
+		if (!slot)
+		{
+			slot = { slotNumber, count: 0, unsampledCount: 0, totalMs: 0, minMs: Number.MAX_VALUE, maxMs: 0, histogram: new Histogram() };
+			window.ring[ringIndex] = slot;
+		}
+		else if (slot.slotNumber < slotNumber)
+		{
+			slot.slotNumber = slotNumber;
+			slot.count = 0;
+			slot.unsampledCount = 0;
+			slot.totalMs = 0;
+			slot.minMs = Number.MAX_VALUE;
+			slot.maxMs = 0;
+			slot.histogram.reset();
+		}
+		return slot;
+	}
+}
+
+module.exports = SlidingWindowStats;
+module.exports.SlidingWindowStats = module.exports;
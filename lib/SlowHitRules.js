@@ -0,0 +1,71 @@
+"use strict";
+
+//	Class: `SlowHitRules` - resolves the slow hit threshold of a profiling key from the `slowMs` and `slowMsPatterns` runtime configuration fields of a bucket.
+//	Remarks: A finished profiling hit whose execution time exceeds the threshold of its profiling key is a slow hit (see `Profiler.onHitSlow`). The patterns are regular expressions matched
+//		against the profiling key in the order of their declaration (the same way as custom `KeyNormalizer` rules); the threshold of the first matching pattern is used, otherwise the
+//		bucket's `slowMs` threshold. A threshold of `0` means that the hits of the matching profiling keys are never slow.
+//	Usage:
+//	```
+//		const rules = new SlowHitRules(500, [{ pattern: "^READ ", slowMs: 50 }, { pattern: "^AGGREGATE ", slowMs: 0 }]);
+//		rules.getSlowMs("READ user [_id]");		//	50
+//		rules.getSlowMs("UPDATE user [_id]");		//	500
+//	```
+//	See also: `Profiler`, `DataCollector.getBucketSlowHitRules`.
+class SlowHitRules
+{
+	//	Constructor: Creates a new instance of the `SlowHitRules` class.
+	//	Parameter: `slowMs: uint` - optional; the threshold for the profiling keys that don't match any pattern; `void 0` or `0` mean no threshold.
+	//	Parameter: `patterns: [{ pattern: string, flags: string, slowMs: uint }]` - optional; the per-key thresholds, where `pattern` is a regular expression source, e.g. `"^READ "`.
+	//	Remarks: Throws an exception if a pattern is not a valid regular expression.
+	constructor(slowMs, patterns)
+	{
+		this.slowMs = Math.max(0, parseInt(slowMs) || 0);
+		this.patterns = [];
+		for (let length = patterns ? patterns.length : 0, i = 0; i < length; ++i)
+		{
+			const item = patterns[i];
+			if (!item || typeof item.pattern !== "string") throw new Error(`Argument is invalid: "patterns[${i}].pattern".`);
+			this.patterns.push({ regex: new RegExp(item.pattern, item.flags || ""), slowMs: Math.max(0, parseInt(item.slowMs) || 0) });
+		}
+	}
+
+	//	Function: `getSlowMs(key: string): uint` - returns the slow hit threshold in milliseconds for the specified profiling key; `0` means no threshold.
+	//	Parameter: `key: string` - required; the profiling key (after key normalization, see `KeyNormalizer`).
+	getSlowMs(key)
+	{
+		for (let length = this.patterns.length, i = 0; i < length; ++i)
+		{
+			const item = this.patterns[i];
+			if (item.regex.test(key)) return item.slowMs;
+		}
+		return this.slowMs;
+	}
+
+	//	Function: `fromConfiguration(config: object, prefix: string): SlowHitRules | null` - creates a new `SlowHitRules` from a flattened runtime configuration.
+	//	Parameter: `config: object` - required; an object holding runtime configuration fields as properties, e.g. a `DataCollector` instance.
+	//	Parameter: `prefix: string` - required; the runtime configuration path of the bucket followed by a period, e.g. `"buckets.CRUD."`.
+	//	Returns: a new `SlowHitRules` instance or `null` if neither `slowMs` nor `slowMsPatterns` are configured under `prefix`.
+	//	Remarks: `RuntimeConfigurator` flattens the `slowMsPatterns` array into fields like `"buckets.CRUD.slowMsPatterns.0.pattern"`; this function reverses the flattening.
+	static fromConfiguration(config, prefix)
+	{
+		const slowMs = config[prefix + "slowMs"];
+		const patternsPrefix = prefix + "slowMsPatterns.";
+		const patterns = [];
+		for (const key in config)
+		{
+			if (key.indexOf(patternsPrefix) !== 0) continue;
+			const value = config[key];
+			if (value === void 0 || value === null) continue;
+			const segments = key.substring(patternsPrefix.length).split(".");
+			const index = parseInt(segments[0]);
+			if (isNaN(index) || segments.length !== 2) continue;
+			if (!patterns[index]) patterns[index] = {};
+			patterns[index][segments[1]] = value;
+		}
+		if ((slowMs === void 0 || slowMs === null) && !patterns.length) return null;
+		return new SlowHitRules(slowMs, patterns.filter(item => item));
+	}
+}
+
+module.exports = SlowHitRules;
+module.exports.SlowHitRules = module.exports;
@@ -0,0 +1,207 @@
+"use strict";
+
+const { Histogram } = require("./Histogram.js");
+
+//	the maximum number of tags kept per profiling hit; see `TagGroupStats.normalizeTags`
+const MAX_TAGS = 16;
+//	the maximum length of a tag value; longer values are truncated
+const MAX_TAG_VALUE_LENGTH = 64;
+//	the default maximum number of distinct values tracked per tag and profiling key; see the `buckets.<bucketKey>.maxTagValues` runtime configuration field
+const DEFAULT_MAX_VALUES = 20;
+//	the tag value used for all values of a tag after its value limit has been reached
+const OTHER_VALUE = "(other)";
+
+//	Class: `TagGroupStats` - maintains the per-tag-value breakdown of the execution time stats of a single `ProfilerTarget`.
+//	Remarks: Profiling hits can carry a small set of tags, e.g. `{ tenant: "acme", region: "eu" }` (see `Profiler.begin`). For every tag listed in the `buckets.<bucketKey>.groupBy` runtime
+//		configuration field, the finished hits are aggregated per tag value. To keep the memory consumption bounded, at most `maxValues` distinct values are tracked per tag; all further values
+//		are folded into a single `"(other)"` value. Hits without a value for a grouped tag are not included in the breakdown for that tag.
+//	See also: `ProfilerTarget`, `DataCollector.formatBucket`.
+class TagGroupStats
+{
+	//	Constructor: Creates a new instance of the `TagGroupStats` class.
+	constructor()
+	{
+		this.reset();
+	}
+
+	//	Field: `DEFAULT_MAX_VALUES: uint` - the default maximum number of distinct values tracked per tag.
+	static get DEFAULT_MAX_VALUES()
+	{
+		return DEFAULT_MAX_VALUES;
+	}
+
+	//	Function: `record(tags: object, groupBy: [string], maxValues: uint, elapsedNs: number, failed: boolean): void` - adds a finished profiling hit to the breakdown.
+	//	Parameter: `tags: object` - required; the tags of the hit as returned by `TagGroupStats.normalizeTags`.
+	//	Parameter: `groupBy: [string]` - required; the names of the tags to group by.
+	//	Parameter: `maxValues: uint` - required; the maximum number of distinct values tracked per tag.
+	//	Parameter: `elapsedNs: number` - required; the execution time of the hit in nanoseconds.
+	//	Parameter: `failed: boolean` - required; whether the hit has failed.
+	//	Remarks: Changing `groupBy` clears the breakdown collected so far.
+	record(tags, groupBy, maxValues, elapsedNs, failed)
+	{
+		const groupByText = groupBy.join(",");
+		if (groupByText !== this.groupByText)
+		{
+			this.reset();
+			this.groupByText = groupByText;
+		}
+
+		for (let length = groupBy.length, i = 0; i < length; ++i)
+		{
+			const tag = groupBy[i];
+			let value = tags[tag];
+			if (value === void 0) continue;
+
+			let values = this.tags.get(tag);
+			if (!values) this.tags.set(tag, values = new Map());
+			let group = values.get(value);
+			if (!group)
+			{
+				if (values.size >= maxValues)
+				{
+					value = OTHER_VALUE;
+					group = values.get(value);
+				}
+				if (!group) values.set(value, group = TagGroupStats._createGroup(tag, value));
+			}
+
+			++group.count;
+			group.minNs = Math.min(elapsedNs, group.minNs);
+			group.maxNs = Math.max(elapsedNs, group.maxNs);
+			//  https://ubuntuincident.wordpress.com/2012/04/25/calculating-the-average-incrementally/
+			group.avgNs = group.avgNs + (elapsedNs - group.avgNs) / group.count;
+			group.totalMs += elapsedNs / 1000000;
+			if (failed)
+			{
+				++group.errorCount;
+				group.errorAvgNs = group.errorAvgNs + (elapsedNs - group.errorAvgNs) / group.errorCount;
+			}
+			else group.okAvgNs = group.okAvgNs + (elapsedNs - group.okAvgNs) / (group.count - group.errorCount);
+			group.histogram.record(elapsedNs / 1000000);
+		}
+	}
+
+	//	Function: `getStats(): [object]` - returns the current breakdown, ordered by tag (in `groupBy` order) and by descending `count` within a tag.
+	//	Returns:
+	//	```
+	//	[{
+	//		tag: string,				//	the name of the tag
+	//		value: string,				//	the tag value or `"(other)"`
+	//		count: uint,				//	the number of finished profiling hits with this tag value
+	//		minMs: uint,				//	see `ProfilerTarget.getStats`
+	//		avgMs: uint,
+	//		maxMs: uint,
+	//		p50Ms: uint,
+	//		p90Ms: uint,
+	//		p95Ms: uint,
+	//		p99Ms: uint,
+	//		errorCount: uint,
+	//		errorRate: uint,
+	//		okAvgMs: uint,
+	//		errorAvgMs: uint,
+	//		totalMs: uint,
+	//	}]
+	//	```
+	getStats()
+	{
+		const result = [];
+		for (const values of this.tags.values())
+		{
+			const groups = Array.from(values.values()).sort((left, right) => right.count - left.count);
+			for (const group of groups)
+			{
+				result.push(
+				{
+					tag: group.tag,
+					value: group.value,
+					count: group.count,
+					minMs: Math.round(group.minNs / 1000000),
+					avgMs: Math.round(group.avgNs / 1000000),
+					maxMs: Math.round(group.maxNs / 1000000),
+					p50Ms: Math.round(group.histogram.getPercentile(50)),
+					p90Ms: Math.round(group.histogram.getPercentile(90)),
+					p95Ms: Math.round(group.histogram.getPercentile(95)),
+					p99Ms: Math.round(group.histogram.getPercentile(99)),
+					errorCount: group.errorCount,
+					errorRate: Math.round(100 * group.errorCount / group.count),
+					okAvgMs: Math.round(group.okAvgNs / 1000000),
+					errorAvgMs: Math.round(group.errorAvgNs / 1000000),
+					totalMs: Math.round(group.totalMs),
+				});
+			}
+		}
+		return result;
+	}
+
+	//	Function: `reset(): void` - clears the breakdown.
+	reset()
+	{
+		//	a dictionary of `(tag, Map)` pairs, where every map holds the `(value, group)` pairs of the tag
+		this.tags = new Map();
+		this.groupByText = null;
+	}
+
+	//	Function: `normalizeTags(tags: object): object | null` - returns a copy of `tags` suitable for keeping with a profiling hit.
+	//	Parameter: `tags: object` - optional; the tags as passed to `Profiler.begin`, e.g. `{ tenant, region, cacheHit }`.
+	//	Returns: A new object with at most 16 tags with string, number or boolean values converted to strings of at most 64 characters; `null` if no such tags are found.
+	//	Remarks: Tags with other values (e.g. `null`, `undefined` or objects) are ignored.
+	static normalizeTags(tags)
+	{
+		if (!tags || typeof tags !== "object") return null;
+
+		let result = null;
+		let count = 0;
+		for (const tag in tags)
+		{
+			if (count >= MAX_TAGS) break;
+			const value = tags[tag];
+			const type = typeof value;
+			if (type !== "string" && type !== "number" && type !== "boolean") continue;
+			if (!result) result = {};
+			result[tag] = String(value).substring(0, MAX_TAG_VALUE_LENGTH);
+			++count;
+		}
+		return result;
+	}
+
+	//	Function: `fromConfiguration(config: object, prefix: string): [string] | null` - reads the names of the tags to group by from a flattened runtime configuration.
+	//	Parameter: `config: object` - required; an object holding runtime configuration fields as properties, e.g. a `DataCollector` instance.
+	//	Parameter: `prefix: string` - required; the runtime configuration path of the tag names array followed by a period, e.g. `"buckets.REST.groupBy."`.
+	//	Returns: an array of unique tag names or `null` if no tag names are configured under `prefix`.
+	//	Remarks: `RuntimeConfigurator` flattens arrays into fields like `"groupBy.0"`; a single tag name can also be configured as a string, e.g. `"buckets.REST.groupBy": "tenant"`.
+	static fromConfiguration(config, prefix)
+	{
+		const result = [];
+		const single = config[prefix.substring(0, prefix.length - 1)];
+		if (typeof single === "string" && single) result.push(single);
+		for (const key in config)
+		{
+			if (key.indexOf(prefix) !== 0) continue;
+			const value = config[key];
+			if (typeof value !== "string" || !value || result.indexOf(value) !== -1) continue;
+			if (isNaN(parseInt(key.substring(prefix.length)))) continue;
+			result.push(value);
+		}
+		return result.length ? result : null;
+	}
+
+	static _createGroup(tag, value)
+	{
+		return {
+			tag,
+			value,
+			count: 0,
+			minNs: Number.MAX_SAFE_INTEGER,
+			maxNs: 0,
+			avgNs: 0,
+			totalMs: 0,
+			errorCount: 0,
+			okAvgNs: 0,
+			errorAvgNs: 0,
+			histogram: new Histogram(),
+		};
+	}
+}
+
+module.exports = TagGroupStats;
+module.exports.TagGroupStats = module.exports;
@@ -0,0 +1,85 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const EventEmitter = require("events");
+
+const { DataCollectorBase } = require("../lib/DataCollectorBase.js");
+const { ProfilerNamespace } = require("../lib/ProfilerNamespace.js");
+
+function createRuntimeConfigurator()
+{
+	const result = new EventEmitter();
+	result.enabled = true;
+	result.asyncSmartRefresh = () => {};
+	return result;
+}
+
+test("bucket fields fall back to the configured defaults", () =>
+{
+	const runtimeConfigurator = createRuntimeConfigurator();
+	const collector = new DataCollectorBase({ runtimeConfigurator, runtimeInitial: { overdueMs: 500, "buckets.B.maxKeys": 3 } });
+	assert.strictEqual(collector.getBucketOverdueMs("B"), 500);
+	assert.strictEqual(collector.getBucketMaxKeys("B"), 3);
+	assert.strictEqual(collector.getBucketKeyOverflowPolicy("B"), "other");
+
+	runtimeConfigurator.emit("changed", "buckets.B.overdueMs", 0);
+	runtimeConfigurator.emit("changed", "keyOverflowPolicy", "evict");
+	assert.strictEqual(collector.getBucketOverdueMs("B"), 0);
+	assert.strictEqual(collector.getBucketOverdueMs("C"), 500);
+	assert.strictEqual(collector.getBucketKeyOverflowPolicy("B"), "evict");
+});
+
+test("cached bucket configuration objects are cleared on change", () =>
+{
+	const runtimeConfigurator = createRuntimeConfigurator();
+	const collector = new DataCollectorBase({ runtimeConfigurator });
+	assert.strictEqual(collector.getBucketKeyNormalizer("B"), null);
+	assert.strictEqual(collector.getBucketSlowHitRules("B"), null);
+
+	runtimeConfigurator.emit("changed", "buckets.B.keyNormalizers.0", "number");
+	runtimeConfigurator.emit("changed", "buckets.B.slowMs", 10);
+	assert.strictEqual(collector.getBucketKeyNormalizer("B").normalize("GET /a/1"), "GET /a/:n");
+	assert.ok(collector.getBucketSlowHitRules("B"));
+
+	ProfilerNamespace.register("lib");
+	runtimeConfigurator.emit("changed", "namespaces.lib.enabled", false);
+	assert.strictEqual(collector.isBucketEnabled("lib/B"), false);
+	assert.strictEqual(collector.isBucketEnabled("B"), true);
+});
+
+test("bucket keys are namespaced only with a registered namespace name", () =>
+{
+	const runtimeConfigurator = createRuntimeConfigurator();
+	const collector = new DataCollectorBase({ runtimeConfigurator, runtimeInitial: { "buckets.api/v1.enabled": true } });
+	runtimeConfigurator.emit("changed", "namespaces.api.enabled", false);
+	assert.strictEqual(ProfilerNamespace.getNamespaceName("api/v1"), null);
+	assert.strictEqual(collector.isBucketEnabled("api/v1"), true);
+
+	ProfilerNamespace.register("api");
+	assert.strictEqual(ProfilerNamespace.getNamespaceName("api/v1"), "api");
+	assert.strictEqual(collector.isBucketEnabled("api/v1"), false);
+});
+
+test("derived classes handle their own fields and pass the rest to the base class", () =>
+{
+	class Collector extends DataCollectorBase
+	{
+		runtimeConfiguration_changed(key, value, oldValue, source, ctimes)
+		{
+			if (key === "custom") return void (this.custom = value);
+			super.runtimeConfiguration_changed(key, value, oldValue, source, ctimes);
+		}
+	}
+
+	const runtimeConfigurator = createRuntimeConfigurator();
+	const collector = new Collector({ runtimeConfigurator });
+	const changes = [];
+	collector.on("configurationChanged", (key, value) => changes.push([key, value]));
+	runtimeConfigurator.emit("changed", "custom", 1);
+	runtimeConfigurator.emit("changed", "buckets.B.sampleEvery", 4);
+	assert.strictEqual(collector.custom, 1);
+	assert.strictEqual(collector.getBucketSampleEvery("B"), 4);
+	assert.deepStrictEqual(changes, [["buckets.B.sampleEvery", 4]]);
+	assert.deepStrictEqual(collector.getBucketConfigurationLines("x").find(item => item.setting === "x.buckets.B.sampleEvery"), { setting: "x.buckets.B.sampleEvery", type: "runtime", value: 4 });
+});
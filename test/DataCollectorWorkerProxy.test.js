@@ -0,0 +1,103 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const EventEmitter = require("events");
+const { Worker } = require("worker_threads");
+
+const { Profiler } = require("../lib/Profiler.js");
+const { DataCollectorWorkerProxy } = require("../lib/DataCollectorWorkerProxy.js");
+const { FakeDataCollector } = require("./helpers/FakeDataCollector.js");
+
+//	the worker profiles a hit of the `"B"` bucket on `"hit"` and resets the bucket on `"reset"`; it reports its epoch timers and the stats count of the profiling key after every command
+const WORKER_CODE = `
+	const { parentPort } = require("worker_threads");
+	const { Profiler } = require(${JSON.stringify(path.join(__dirname, "../lib/Profiler.js"))});
+	const { DataCollectorWorkerProxy } = require(${JSON.stringify(path.join(__dirname, "../lib/DataCollectorWorkerProxy.js"))});
+	const { RemoteRuntimeConfigurator } = require(${JSON.stringify(path.join(__dirname, "../lib/RemoteRuntimeConfigurator.js"))});
+
+	const runtimeConfigurator = new RemoteRuntimeConfigurator({});
+	const profiler = new Profiler(new DataCollectorWorkerProxy({ runtimeConfigurator, runtimeInitial: { "buckets.B.resetIntervalMs": 60000 } }));
+	const report = () => parentPort.postMessage({ epochTimers: Object.keys(profiler.epochTimers), count: profiler.targetMap["B*k"]?.getStats().count || 0 });
+	profiler.dataCollector.on("reset", () => setImmediate(report));
+	parentPort.on("message", message =>
+	{
+		if (message === "hit") profiler.end(profiler.begin("B", "k"));
+		else if (message === "reset") profiler.reset("B", "worker");
+		else return;
+		report();
+	});
+`;
+
+function createRuntimeConfigurator()
+{
+	const result = new EventEmitter();
+	result.enabled = true;
+	result.data = {};
+	result.asyncSmartRefresh = callback => callback?.();
+	return result;
+}
+
+//	resolves with the next report of `worker`, after sending it `command` if set; the other messages of the worker, e.g. the connect message of `DataCollectorWorkerProxy`, are skipped
+function nextReport(worker, command)
+{
+	return new Promise(resolve =>
+	{
+		const listener = message =>
+		{
+			if (!message?.epochTimers) return;
+			worker.off("message", listener);
+			resolve(message);
+		};
+		worker.on("message", listener);
+		if (command) worker.postMessage(command);
+	});
+}
+
+//	resolves when `predicate` returns `true`, polling every few milliseconds
+async function waitFor(predicate)
+{
+	for (let i = 0; i < 200 && !predicate(); ++i) await new Promise(resolve => setTimeout(resolve, 10));
+	assert.ok(predicate());
+}
+
+test("the main thread owns the stats epochs of all threads", async () =>
+{
+	const dataCollector = new FakeDataCollector({ resetIntervalMs: 60000 });
+	const profiler = new Profiler(dataCollector);
+	const worker = new Worker(WORKER_CODE, { eval: true });
+	const detach = DataCollectorWorkerProxy.attach(worker, { profiler, runtimeConfigurator: createRuntimeConfigurator() });
+	try
+	{
+		profiler.end(profiler.begin("A", "k"));
+
+		//	the worker runs no reset timers of its own, the main thread starts the epoch of the bucket fed by the worker
+		await nextReport(worker, "hit");
+		let report = await nextReport(worker, "hit");
+		assert.deepStrictEqual(report, { epochTimers: [], count: 2 });
+		await waitFor(() => dataCollector.fed.length === 3);
+		assert.strictEqual(dataCollector.fed[2].hit.key, DataCollectorWorkerProxy.getThreadKey("k", worker.threadId));
+		assert.deepStrictEqual(Object.keys(profiler.epochTimers).sort(), ["A", "B"]);
+
+		//	a reset of the main thread clears the stats of the worker
+		const resetReport = nextReport(worker);
+		profiler.reset("B", "main");
+		assert.deepStrictEqual(await resetReport, { epochTimers: [], count: 0 });
+		assert.deepStrictEqual(dataCollector.resets, [{ bucketKey: "B", reason: "main" }]);
+
+		//	a reset requested by the worker is performed once, by the main thread
+		report = await nextReport(worker, "hit");
+		assert.strictEqual(report.count, 1);
+		report = await nextReport(worker, "reset");
+		assert.strictEqual(report.count, 0);
+		await waitFor(() => dataCollector.resets.length === 2);
+		assert.deepStrictEqual(dataCollector.resets[1], { bucketKey: "B", reason: "worker" });
+	}
+	finally
+	{
+		detach();
+		for (const key in profiler.epochTimers) clearTimeout(profiler.epochTimers[key].timer);
+		await worker.terminate();
+	}
+});
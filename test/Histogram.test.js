@@ -0,0 +1,58 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { Histogram } = require("../lib/Histogram.js");
+
+test("percentiles are clamped to the recorded range", () =>
+{
+	const single = new Histogram();
+	single.record(42);
+	for (const percentile of [0, 50, 99, 100]) assert.strictEqual(single.getPercentile(percentile), 42);
+
+	const histogram = new Histogram();
+	for (let i = 1; i <= 1000; ++i) histogram.record(i);
+	assert.strictEqual(histogram.getPercentile(0), 1);
+	assert.strictEqual(histogram.getPercentile(100), 1000);
+	for (const percentile of [50, 90, 95, 99])
+	{
+		const expected = percentile * 10;
+		assert.ok(Math.abs(histogram.getPercentile(percentile) - expected) <= expected * 0.01, `p${percentile}=${histogram.getPercentile(percentile)}`);
+	}
+});
+
+test("zero and negative values are reported as recorded", () =>
+{
+	const histogram = new Histogram();
+	histogram.record(0);
+	histogram.record(0);
+	histogram.record(5);
+	assert.strictEqual(histogram.getPercentile(50), 0);
+	assert.strictEqual(histogram.getPercentile(100), 5);
+
+	const negative = new Histogram();
+	negative.record(-3);
+	assert.strictEqual(negative.getPercentile(50), -3);
+});
+
+test("add merges the values and the range of another histogram", () =>
+{
+	const histogram = new Histogram();
+	const other = new Histogram();
+	for (let i = 1; i <= 500; ++i) histogram.record(i);
+	for (let i = 501; i <= 1000; ++i) other.record(i);
+	other.record(0);
+	histogram.add(other);
+
+	assert.strictEqual(histogram.count, 1001);
+	assert.strictEqual(histogram.getPercentile(0), 0);
+	assert.strictEqual(histogram.getPercentile(100), 1000);
+	assert.ok(Math.abs(histogram.getPercentile(90) - 900) <= 9, `p90=${histogram.getPercentile(90)}`);
+
+	const empty = new Histogram();
+	empty.add(new Histogram());
+	assert.strictEqual(empty.getPercentile(50), 0);
+	empty.add(other);
+	assert.strictEqual(empty.getPercentile(100), 1000);
+});
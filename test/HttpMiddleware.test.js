@@ -0,0 +1,92 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const EventEmitter = require("events");
+
+const { Profiler } = require("../lib/Profiler.js");
+const { HttpMiddleware } = require("../lib/HttpMiddleware.js");
+const { FakeDataCollector } = require("./helpers/FakeDataCollector.js");
+
+//	simulates a request handled by `middleware`; `finish: false` simulates a request closed before the response has finished
+function request(middleware, url, par)
+{
+	const req = { method: "GET", url };
+	const res = new EventEmitter();
+	res.statusCode = par?.statusCode || 200;
+	res.writableFinished = par?.finish !== false;
+	res.getHeader = () => void 0;
+	middleware(req, res, par?.next);
+	if (par?.finish !== false) res.emit("finish");
+	res.emit("close");
+}
+
+test("requests are counted under their final profiling key", () =>
+{
+	const profiler = new Profiler(new FakeDataCollector());
+	const middleware = HttpMiddleware.create(profiler);
+	request(middleware, "/a?x=1");
+	request(middleware, "/a");
+	request(middleware, "/b", { statusCode: 500 });
+	request(middleware, "/c", { finish: false });
+
+	assert.strictEqual(profiler.targetMap["HTTP*(pending)"], void 0);
+	assert.deepStrictEqual([...profiler.bucketTargets.HTTP.keys()].sort(), ["GET /a", "GET /b"]);
+	const a = profiler.targetMap["HTTP*GET /a"].getStats();
+	assert.strictEqual(a.count, 2);
+	assert.strictEqual(a.discrepancy, 0);
+	const b = profiler.targetMap["HTTP*GET /b"].getStats();
+	assert.strictEqual(b.errorCount, 1);
+	assert.strictEqual(profiler.openHitsCount, 0);
+	assert.strictEqual(profiler.openHits.size, 0);
+});
+
+test("sampleEvery applies to the final profiling key", () =>
+{
+	const profiler = new Profiler(new FakeDataCollector({ sampleEvery: 3 }));
+	const middleware = HttpMiddleware.create(profiler);
+	for (let i = 0; i < 7; ++i) request(middleware, "/a");
+
+	const stats = profiler.targetMap["HTTP*GET /a"].getStats();
+	assert.strictEqual(stats.count, 7);
+	assert.strictEqual(stats.sampledCount, 3);
+	assert.strictEqual(profiler.dataCollector.fed.length, 3);
+	assert.strictEqual(profiler.openHitsCount, 0);
+});
+
+test("unsampled requests are counted under their final profiling key", () =>
+{
+	const profiler = new Profiler(new FakeDataCollector({ sampleRate: 0 }));
+	const middleware = HttpMiddleware.create(profiler);
+	for (let i = 0; i < 4; ++i) request(middleware, "/a");
+
+	const stats = profiler.targetMap["HTTP*GET /a"].getStats();
+	assert.strictEqual(stats.count, 4);
+	assert.strictEqual(stats.sampledCount, 0);
+	assert.strictEqual(profiler.dataCollector.fed.length, 0);
+	assert.strictEqual(profiler.openHitsCount, 0);
+});
+
+test("pending hits don't take a key slot", () =>
+{
+	const profiler = new Profiler(new FakeDataCollector({ maxKeys: 2 }));
+	const middleware = HttpMiddleware.create(profiler);
+	request(middleware, "/a");
+	request(middleware, "/b");
+	request(middleware, "/c");
+
+	assert.deepStrictEqual([...profiler.bucketTargets.HTTP.keys()].sort(), ["(other)", "GET /a", "GET /b"]);
+	assert.strictEqual(profiler.targetMap["HTTP*(other)"].getStats().count, 1);
+});
+
+test("hits begun within next are nested in the request hit", () =>
+{
+	const profiler = new Profiler(new FakeDataCollector());
+	const middleware = HttpMiddleware.create(profiler);
+	let child;
+	request(middleware, "/a", { next: () => profiler.end(child = profiler.begin("CRUD", "READ users")) });
+
+	const requestHit = profiler.dataCollector.fed.find(item => item.hit.bucketKey === "HTTP").hit;
+	assert.strictEqual(child.parentIndex, requestHit.index);
+	assert.deepStrictEqual(requestHit.childHits.map(item => item.key), ["READ users"]);
+});
@@ -0,0 +1,45 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { KeyNormalizer } = require("../lib/KeyNormalizer.js");
+
+test("uuid preset replaces UUIDs", () =>
+{
+	const normalizer = new KeyNormalizer(["uuid"]);
+	assert.strictEqual(normalizer.normalize("GET /orders/3F2504E0-4F89-11D3-9A0C-0305E82C3301/items"), "GET /orders/:id/items");
+	assert.strictEqual(normalizer.normalize("GET /orders/3f2504e0-4f89-11d3-9a0c"), "GET /orders/3f2504e0-4f89-11d3-9a0c");
+});
+
+test("objectid preset replaces 24-digit hex ids", () =>
+{
+	const normalizer = new KeyNormalizer(["objectid"]);
+	assert.strictEqual(normalizer.normalize("GET /users/5f1c9e1b2a3d4c5e6f708192/orders"), "GET /users/:id/orders");
+	assert.strictEqual(normalizer.normalize("GET /users/5f1c9e1b2a3d4c5e6f7081921"), "GET /users/5f1c9e1b2a3d4c5e6f7081921");
+});
+
+test("email preset replaces email addresses without consuming surrounding delimiters", () =>
+{
+	const normalizer = new KeyNormalizer(["email"]);
+	assert.strictEqual(normalizer.normalize("GET /users/john.doe@example.com/orders"), "GET /users/:email/orders");
+	assert.strictEqual(normalizer.normalize("GET /users?email=john@example.com&x=1"), "GET /users?email=:email&x=1");
+	assert.strictEqual(normalizer.normalize("READ users v2 [a@b.com]"), "READ users v2 [:email]");
+	assert.strictEqual(normalizer.normalize("READ users [a@b.com,c@d.org]"), "READ users [:email,:email]");
+	assert.strictEqual(normalizer.normalize(`READ users {"email":"a@b.com"}`), `READ users {"email":":email"}`);
+	assert.strictEqual(normalizer.normalize("READ users ('a@b.com')"), "READ users (':email')");
+});
+
+test("number preset replaces integers and decimals", () =>
+{
+	const normalizer = new KeyNormalizer(["number"]);
+	assert.strictEqual(normalizer.normalize("GET /orders/42/items/3.5"), "GET /orders/:n/items/:n");
+	assert.strictEqual(normalizer.normalize("GET /v2x/items"), "GET /v2x/items");
+});
+
+test("rules are applied in order", () =>
+{
+	assert.strictEqual(new KeyNormalizer(["uuid", "number"]).normalize("GET /a/3f2504e0-4f89-11d3-9a0c-0305e82c3301/1"), "GET /a/:id/:n");
+	assert.strictEqual(new KeyNormalizer([{ pattern: "/v\\d+/", replacement: "/" }, "number"]).normalize("GET /v2/items/7"), "GET /items/:n");
+	assert.throws(() => new KeyNormalizer(["unknown"]), /Unknown key normalizer preset/);
+});
@@ -0,0 +1,20 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { MetricTarget } = require("../lib/MetricTarget.js");
+
+test("value percentiles are clamped to the recorded range", () =>
+{
+	const target = new MetricTarget("B", "rows", "value");
+	target.record(42);
+	let stats = target.getStats();
+	assert.deepStrictEqual([stats.min, stats.p50, stats.p99, stats.max], [42, 42, 42, 42]);
+
+	for (let i = 1; i <= 1000; ++i) target.record(i);
+	stats = target.getStats();
+	assert.strictEqual(stats.min, 1);
+	assert.strictEqual(stats.max, 1000);
+	assert.ok(stats.p99 <= stats.max);
+});
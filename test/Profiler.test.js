@@ -0,0 +1,203 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { Profiler } = require("../lib/Profiler.js");
+const { FakeDataCollector } = require("./helpers/FakeDataCollector.js");
+
+test("hits begun one after another are siblings", () =>
+{
+	const profiler = new Profiler(new FakeDataCollector());
+	const hits = [];
+	for (let i = 0; i < 3; ++i)
+	{
+		const hit = profiler.begin("B", "loop");
+		hits.push(hit);
+		profiler.end(hit);
+	}
+	const open1 = profiler.begin("B", "a");
+	const open2 = profiler.begin("B", "b");
+	hits.push(open1, open2);
+	profiler.end(open2);
+	profiler.end(open1);
+
+	for (const hit of hits)
+	{
+		assert.strictEqual(hit.parentIndex, null);
+		assert.strictEqual(hit.depth, 0);
+		assert.strictEqual(hit.rootIndex, hit.index);
+		assert.strictEqual(hit.childHits.length, 0);
+	}
+});
+
+test("hits begun within runInHitScope are nested", async () =>
+{
+	const profiler = new Profiler(new FakeDataCollector());
+	const outer = profiler.begin("B", "outer");
+	let inner1, inner2;
+	await profiler.runInHitScope(outer, async () =>
+	{
+		inner1 = profiler.begin("B", "inner1");
+		await new Promise(resolve => setImmediate(resolve));
+		profiler.end(inner1);
+		inner2 = profiler.begin("B", "inner2");
+		profiler.end(inner2);
+	});
+	const after = profiler.begin("B", "after");
+	profiler.end(after);
+	profiler.end(outer);
+
+	assert.strictEqual(inner1.parentIndex, outer.index);
+	assert.strictEqual(inner2.parentIndex, outer.index);
+	assert.strictEqual(inner1.depth, 1);
+	assert.strictEqual(inner2.rootIndex, outer.index);
+	assert.deepStrictEqual(outer.childHits.map(item => item.key), ["inner1", "inner2"]);
+	assert.strictEqual(after.parentIndex, null);
+});
+
+test("wrap, wrapAsync and instrumented methods nest the hits begun within", async () =>
+{
+	const profiler = new Profiler(new FakeDataCollector());
+	const fed = profiler.dataCollector.fed;
+	class Repository
+	{
+		find()
+		{
+			profiler.end(profiler.begin("B", "query"));
+			return Promise.resolve(1);
+		}
+	}
+	profiler.instrument(Repository, { bucketKey: "B" });
+
+	profiler.wrap("B", "sync", () => profiler.end(profiler.begin("B", "syncChild")));
+	await profiler.wrapAsync("B", "async", () => new Repository().find());
+
+	const byKey = {};
+	for (const item of fed) byKey[item.hit.key] = item.hit;
+	assert.strictEqual(byKey.syncChild.parentIndex, byKey.sync.index);
+	assert.strictEqual(byKey["Repository.find"].parentIndex, byKey.async.index);
+	assert.strictEqual(byKey.query.parentIndex, byKey["Repository.find"].index);
+	assert.strictEqual(byKey.query.depth, 2);
+	assert.strictEqual(byKey.query.rootIndex, byKey.async.index);
+});
+
+test("concurrent wrapAsync calls are attributed to their own hits", async () =>
+{
+	const profiler = new Profiler(new FakeDataCollector());
+	const fed = profiler.dataCollector.fed;
+	const work = async name =>
+	{
+		await new Promise(resolve => setImmediate(resolve));
+		profiler.end(profiler.begin("B", name + ".child"));
+	};
+	await Promise.all([profiler.wrapAsync("B", "x", () => work("x")), profiler.wrapAsync("B", "y", () => work("y"))]);
+
+	const byKey = {};
+	for (const item of fed) byKey[item.hit.key] = item.hit;
+	assert.strictEqual(byKey["x.child"].parentIndex, byKey.x.index);
+	assert.strictEqual(byKey["y.child"].parentIndex, byKey.y.index);
+	assert.strictEqual(byKey.x.parentIndex, null);
+	assert.strictEqual(byKey.y.parentIndex, null);
+});
+
+test("options.parent sets the enclosing hit explicitly", () =>
+{
+	const profiler = new Profiler(new FakeDataCollector());
+	const outer = profiler.begin("B", "outer");
+	const inner = profiler.begin("B", "inner", "", { parent: outer });
+	const root = profiler.runInHitScope(outer, () => profiler.begin("B", "root", "", { parent: null }));
+	profiler.end(inner);
+	profiler.end(root);
+	profiler.end(outer);
+
+	assert.strictEqual(inner.parentIndex, outer.index);
+	assert.strictEqual(root.parentIndex, null);
+	assert.deepStrictEqual(outer.childHits.map(item => item.key), ["inner"]);
+});
+
+test("finished hits are not used as enclosing hits", () =>
+{
+	const profiler = new Profiler(new FakeDataCollector());
+	const outer = profiler.begin("B", "outer");
+	const inner = profiler.runInHitScope(outer, () =>
+	{
+		profiler.end(outer);
+		return profiler.begin("B", "inner");
+	});
+	profiler.end(inner);
+
+	assert.strictEqual(inner.parentIndex, null);
+});
+
+test("buckets are reset on schedule also without hits", async () =>
+{
+	const dataCollector = new FakeDataCollector({ resetIntervalMs: 40 });
+	const profiler = new Profiler(dataCollector);
+	profiler.end(profiler.begin("B", "k"));
+	profiler.count("M", "n");
+	assert.deepStrictEqual(Object.keys(profiler.epochTimers).sort(), ["B", "M"]);
+
+	await new Promise(resolve => setTimeout(resolve, 100));
+	assert.ok(dataCollector.resets.filter(item => item.bucketKey === "B").length >= 2);
+	assert.strictEqual(dataCollector.resets[0].reason, "resetIntervalMs=40");
+	assert.strictEqual(profiler.targetMap["B*k"], void 0);
+
+	dataCollector.configure("resetIntervalMs", 0);
+	assert.deepStrictEqual(profiler.epochTimers, {});
+	const count = dataCollector.resets.length;
+	await new Promise(resolve => setTimeout(resolve, 60));
+	assert.strictEqual(dataCollector.resets.length, count);
+});
+
+test("the key overflow warning is fired again after a reset", () =>
+{
+	const profiler = new Profiler(new FakeDataCollector({ maxKeys: 1 }));
+	const warnings = [];
+	profiler.on("warning", message => warnings.push(message));
+	for (const key of ["a", "b", "c"]) profiler.end(profiler.begin("B", key));
+	assert.strictEqual(warnings.length, 1);
+
+	profiler.reset("B");
+	for (const key of ["a", "b", "c"]) profiler.end(profiler.begin("B", key));
+	assert.strictEqual(warnings.length, 2);
+});
+
+test("the key overflow warning is fired again after the key limit has been configured", () =>
+{
+	const dataCollector = new FakeDataCollector({ maxKeys: 1 });
+	const profiler = new Profiler(dataCollector);
+	const warnings = [];
+	profiler.on("warning", message => warnings.push(message));
+	for (const key of ["a", "b"]) profiler.end(profiler.begin("B", key));
+	assert.strictEqual(warnings.length, 1);
+
+	dataCollector.configure("maxKeys", 2);
+	for (const key of ["c", "d"]) profiler.end(profiler.begin("B", key));
+	assert.strictEqual(warnings.length, 2);
+	assert.match(warnings[1], /limit of 2 distinct profiling keys/);
+});
+
+test("configuring resetIntervalMs schedules the known buckets", async () =>
+{
+	const dataCollector = new FakeDataCollector();
+	const profiler = new Profiler(dataCollector);
+	profiler.end(profiler.begin("B", "k"));
+	assert.deepStrictEqual(profiler.epochTimers, {});
+
+	dataCollector.configure("resetIntervalMs", 30);
+	await new Promise(resolve => setTimeout(resolve, 50));
+	assert.deepStrictEqual(dataCollector.resets.map(item => item.bucketKey), ["B"]);
+	dataCollector.configure("resetIntervalMs", 0);
+});
+
+test("hits begun without text get an empty title", async () =>
+{
+	const profiler = new Profiler(new FakeDataCollector());
+	assert.strictEqual(profiler.wrap("B", "sync", () => 1), 1);
+	assert.throws(() => profiler.wrap("B", "sync", () => { throw new Error("x"); }), /x/);
+	await assert.rejects(profiler.wrapAsync("B", "async", async () => { throw new Error("y"); }), /y/);
+	const hit = profiler.begin("B", "plain");
+	profiler.end(hit, " done");
+	assert.deepStrictEqual(profiler.dataCollector.fed.map(item => item.hit.title), ["", "error=Error: x", "error=Error: y", " done"]);
+});
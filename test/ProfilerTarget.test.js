@@ -0,0 +1,65 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { ProfilerTarget } = require("../lib/ProfilerTarget.js");
+
+test("discarded hits are not counted and leave no discrepancy", () =>
+{
+	const target = new ProfilerTarget("B", "k");
+	const discarded = target.hit("discarded", 1, 1, null, false);
+	target.discard(discarded);
+
+	let stats = target.getStats();
+	assert.strictEqual(stats.count, 0);
+	assert.strictEqual(stats.discrepancy, 0);
+
+	const finished = target.hit("finished", 2, 1, null, false);
+	target.finish(finished, "", 2, 0);
+
+	stats = target.getStats();
+	assert.strictEqual(stats.count, 1);
+	assert.strictEqual(stats.discrepancy, 0);
+	assert.strictEqual(finished.localIndex, 0);
+});
+
+test("adopted hits don't count the ON-time of the ended ON-periods twice", async () =>
+{
+	const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+	const startTime = Date.now();
+	const source = new ProfilerTarget("B", "source");
+	const target = new ProfilerTarget("B", "target");
+	const hit = source.hit("adopted", 1, 1, null, false);
+	const other = target.hit("other", 2, 2, null, false);
+	await sleep(30);
+	target.finish(other, "", 2, 1);
+	await sleep(30);
+	source.discard(hit);
+	target.adopt(hit);
+	await sleep(30);
+	target.finish(hit, "", 2, 0);
+	const elapsedMs = Date.now() - startTime;
+
+	const stats = target.getStats();
+	assert.strictEqual(hit.key, "target");
+	assert.strictEqual(stats.count, 2);
+	assert.strictEqual(stats.discrepancy, 0);
+	assert.ok(stats.onMs >= 50, `onMs=${stats.onMs}`);
+	assert.ok(stats.onMs < elapsedMs - 20, `onMs=${stats.onMs}, elapsedMs=${elapsedMs}`);
+});
+
+test("failure reasons of any type are converted to the error text", () =>
+{
+	const target = new ProfilerTarget("B", "k");
+	const reasons = [Symbol("boom"), Object.create(null), { toString() { throw new Error("no"); } }, 42];
+	const hits = reasons.map((reason, i) =>
+	{
+		const hit = target.hit("text", i + 1, 1, null, false);
+		target.finish(hit, "", i + 1, 0, reason);
+		return hit;
+	});
+	assert.deepStrictEqual(hits.map(hit => hit.errorText), ["Symbol(boom)", "[object Object]", "[object Object]", "42"]);
+	assert.deepStrictEqual(hits.map(hit => hit.title), ["text; error=Symbol(boom)", "text; error=[object Object]", "text; error=[object Object]", "text; error=42"]);
+	assert.strictEqual(target.getStats().errorCount, 4);
+});
@@ -0,0 +1,48 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { SlidingWindowStats } = require("../lib/SlidingWindowStats.js");
+
+//	an arbitrary time aligned to the slot boundaries of all windows
+const T0 = 75 * 1000 * 1000000;
+
+test("window stats cover the recorded values within the window", () =>
+{
+	const windowStats = new SlidingWindowStats();
+	windowStats.record(10, T0);
+	windowStats.record(30, T0 + 20 * 1000);
+	windowStats.recordUnsampled(T0 + 20 * 1000);
+	windowStats.recordUnsampled(T0 + 20 * 1000, 2);
+
+	assert.deepStrictEqual(windowStats.getStats(T0 + 20 * 1000, "1m"), { count: 5, minMs: 10, avgMs: 20, maxMs: 30, p50Ms: 10, p90Ms: 30, p95Ms: 30, p99Ms: 30 });
+});
+
+test("window stats exclude the expired slots", () =>
+{
+	const windowStats = new SlidingWindowStats();
+	windowStats.record(100, T0);
+	windowStats.record(10, T0 + 30 * 1000);
+
+	//	the slot with the 100ms value expires 60s after it has begun
+	let stats = windowStats.getStats(T0 + 55 * 1000, "1m");
+	assert.strictEqual(stats.count, 2);
+	assert.strictEqual(stats.maxMs, 100);
+	stats = windowStats.getStats(T0 + 60 * 1000, "1m");
+	assert.deepStrictEqual(stats, { count: 1, minMs: 10, avgMs: 10, maxMs: 10, p50Ms: 10, p90Ms: 10, p95Ms: 10, p99Ms: 10 });
+	stats = windowStats.getStats(T0 + 90 * 1000, "1m");
+	assert.strictEqual(stats.count, 0);
+	assert.strictEqual(stats.p99Ms, 0);
+	assert.strictEqual(windowStats.getStats(T0 + 90 * 1000, "5m").count, 2);
+});
+
+test("slots are reused when the ring wraps around", () =>
+{
+	const windowStats = new SlidingWindowStats();
+	windowStats.record(100, T0);
+	windowStats.record(5, T0 + 60 * 1000);
+
+	assert.deepStrictEqual(windowStats.getStats(T0 + 60 * 1000, "1m"), { count: 1, minMs: 5, avgMs: 5, maxMs: 5, p50Ms: 5, p90Ms: 5, p95Ms: 5, p99Ms: 5 });
+	assert.strictEqual(windowStats.getStats(T0 + 60 * 1000, "5m").count, 2);
+});
@@ -0,0 +1,78 @@
+"use strict";
+
+const EventEmitter = require("events");
+
+//	Class: `FakeDataCollector` - a minimal in-memory data collector for testing the `Profiler`; records all fed hits and logged lines.
+//	Remarks: Bucket configuration is read from the `config` dictionary passed to the constructor, e.g. `{ sampleEvery: 3, maxKeys: 2 }`, and applies to all buckets; use `configure`
+//		to change it at run time.
+class FakeDataCollector extends EventEmitter
+{
+	constructor(config)
+	{
+		super();
+
+		this.enabled = true;
+		this.config = config || {};
+		this.fed = [];
+		this.logged = [];
+		this.resets = [];
+	}
+
+	configure(name, value)
+	{
+		this.config[name] = value;
+		this.emit("configurationChanged", "buckets.B." + name, value);
+	}
+
+	isBucketEnabled(bucketKey)
+	{
+		return true;
+	}
+
+	feed(stats, hit)
+	{
+		this.fed.push({ stats, hit });
+	}
+
+	log(bucketKey, text)
+	{
+		this.logged.push({ bucketKey, text });
+	}
+
+	reset(bucketKey, reason)
+	{
+		this.resets.push({ bucketKey, reason });
+	}
+
+	evict(bucketKey, key)
+	{
+	}
+
+	getBucketSampleEvery(bucketKey)
+	{
+		return this.config.sampleEvery;
+	}
+
+	getBucketSampleRate(bucketKey)
+	{
+		return this.config.sampleRate;
+	}
+
+	getBucketMaxKeys(bucketKey)
+	{
+		return this.config.maxKeys;
+	}
+
+	getBucketKeyOverflowPolicy(bucketKey)
+	{
+		return this.config.keyOverflowPolicy;
+	}
+
+	getBucketResetIntervalMs(bucketKey)
+	{
+		return this.config.resetIntervalMs;
+	}
+}
+
+module.exports = FakeDataCollector;
+module.exports.FakeDataCollector = module.exports;